@@ -1,5 +1,12 @@
-//  This sigfox-aws module remembers and computes the sum of last 10 "tmp" sensor values
-//  for each device.  Used for time series computation.
+//  This sigfox-aws module computes time series aggregates of sensor values for each device.
+//  The fields, operators and windows are configured by the environment variable AGGREGATE, e.g.
+//    AGGREGATE=tmp:mean:10,hmd:max:1h
+//  computes the mean of the last 10 "tmp" values as "tmpmean" and the maximum "hmd" value in the last hour
+//  as "hmdmax".  Each entry is field:operator:window[:output], where window is a count of values or a
+//  duration in s, m, h or d.  Operators: sum, mean, min, max, stddev, rate (change per second), ewma.
+//  Defaults to AGGREGATE=tmp:sum:10, which sets "tmpsum".
+//  The values are kept in the Thing Shadow, which is limited to 8 KB, so only the latest 200 values of all fields
+//  are kept.  For larger windows, set SIGFOX_STATE_BUCKET to save the values in S3 (up to 500 values per field).
 /* eslint-disable max-len, camelcase, no-console, no-nested-ternary, import/no-dynamic-require, import/newline-after-import, import/no-unresolved, global-require */
 
 //  We use AutoInstall to install any Node.js libraries automatically, without manually packaging them.
@@ -18,63 +25,182 @@ const package_json = /* eslint-disable quote-props,quotes,comma-dangle,indent */
 //  //////////////////////////////////////////////////////////////////////////////////// endregion
 //  region Message Processing Code
 
-function wrap() {
+function wrap(scloud) {
   //  Wrap the module into a function so that all we defer loading of dependencies,
   //  and ensure that cloud resources are properly disposed.
-  const scloud = require('sigfox-aws'); //  sigfox-aws Framework
+  //  eslint-disable-next-line import/no-extraneous-dependencies
+  //  const scloud = require('sigfox-aws'); //  sigfox-aws Framework
   let wrapCount = 0;  //  Count how many times the wrapper has been reused.
+  const bucketSamples = 500;  //  With SIGFOX_STATE_BUCKET, never keep more than 500 values per field.
+  const shadowSamples = 200;  //  Else keep 200 values for all fields, about 4 KB of values and times.
+  const units = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };  //  Seconds per time unit.
+
+  const operators = {
+    //  Each operator computes the aggregate from the values in the window, oldest first,
+    //  and the times in seconds.  Returns null if the aggregate can't be computed.
+    sum: values => values.reduce((sum, val) => sum + val, 0),
+    mean: values => operators.sum(values) / values.length,
+    min: values => Math.min(...values),
+    max: values => Math.max(...values),
+    stddev: (values) => {
+      const mean = operators.mean(values);
+      return Math.sqrt(values.reduce((sum, val) => sum + ((val - mean) * (val - mean)), 0) / values.length);
+    },
+    rate: (values, times) => {
+      //  Change per second from the oldest to the latest value.
+      const duration = times[times.length - 1] - times[0];
+      if (values.length < 2 || duration <= 0) return null;
+      return (values[values.length - 1] - values[0]) / duration;
+    },
+    //  EWMA is computed from the previous average, not from the window.  See computeEWMA().
+    ewma: null,
+  };
+
+  function parseConfig(config) {
+    //  Parse the AGGREGATE config e.g. "tmp:mean:10,hmd:max:1h" into
+    //  [{field:'tmp', operator:'mean', count:10, output:'tmpmean'},
+    //   {field:'hmd', operator:'max', seconds:3600, output:'hmdmax'}]
+    //  Invalid entries are logged and skipped.
+    const result = [];
+    for (const entry of config.split(',').map(s => s.trim()).filter(s => s)) {
+      const [field, operator, window, output] = entry.split(':').map(s => s.trim());
+      const match = /^(\d+)([smhd]?)$/.exec(window || '');
+      if (!field || !Object.prototype.hasOwnProperty.call(operators, operator) || !match || parseInt(match[1], 10) === 0) {
+        console.error('aggregateSensorData', 'Invalid AGGREGATE entry', entry);
+        continue;
+      }
+      const aggregate = { field, operator, output: output || `${field}${operator}` };
+      if (match[2]) aggregate.seconds = parseInt(match[1], 10) * units[match[2]];
+      else aggregate.count = parseInt(match[1], 10);
+      result.push(aggregate);
+    }
+    return result;
+  }
+
+  const aggregates = parseConfig(process.env.AGGREGATE || 'tmp:sum:10');
+  const fieldCount = aggregates.map(a => a.field).filter((field, i, arr) => arr.indexOf(field) === i).length;
+  const maxSamples = process.env.SIGFOX_STATE_BUCKET ? bucketSamples
+    : Math.max(1, Math.floor(shadowSamples / Math.max(1, fieldCount)));
+  for (const aggregate of aggregates.filter(a => a.count > maxSamples)) {
+    console.error('aggregateSensorData', 'AGGREGATE window is larger than', maxSamples, 'values, set SIGFOX_STATE_BUCKET', aggregate.output);
+  }
+
+  function addSample(samples, value, time) {
+    //  Return the samples with the value inserted by time, because Sigfox messages may arrive out of order.
+    //  The samples are sorted by time, latest value at the end.
+    const values = (samples.values || []).slice();
+    const times = (samples.times || []).slice();
+    let i = times.length;
+    while (i > 0 && times[i - 1] > time) i -= 1;
+    values.splice(i, 0, value);
+    times.splice(i, 0, time);
+    return { values, times };
+  }
+
+  function selectSamples(samples, select) {
+    //  Return the values and times whose time and index match the select function.
+    const indexes = samples.times.map((time, i) => i).filter(i => select(samples.times[i], i));
+    return { values: indexes.map(i => samples.values[i]), times: indexes.map(i => samples.times[i]) };
+  }
+
+  function getWindow(samples, aggregate, now) {
+    //  Return the values and times within the window of the aggregate.
+    const length = samples.values.length;
+    if (aggregate.count) return selectSamples(samples, (time, i) => i >= length - aggregate.count);
+    return selectSamples(samples, time => time > now - aggregate.seconds);
+  }
+
+  function pruneSamples(samples, field, now) {
+    //  Keep only the values needed by the largest count and time windows for the field, and the latest value.
+    //  Never keep more than maxSamples values.
+    const windows = aggregates.filter(a => a.field === field);
+    const maxCount = Math.max(1, ...windows.map(a => a.count || 0));
+    const maxSeconds = Math.max(0, ...windows.map(a => a.seconds || 0));
+    const length = samples.values.length;
+    return selectSamples(samples, (time, i) => i >= length - maxSamples
+      && (i >= length - maxCount || time > now - maxSeconds));
+  }
+
+  function computeEWMA(aggregate, previous, value, interval) {
+    //  Exponentially weighted moving average.  For a count window N, the weight of the new value is 2/(N+1).
+    //  For a time window T, the weight depends on the time since the previous value: 1 - e^(-interval/T).
+    if (previous === null || previous === undefined) return value;
+    const alpha = aggregate.count ? 2 / (aggregate.count + 1)
+      : 1 - Math.exp(-Math.max(0, interval) / aggregate.seconds);
+    return previous + (alpha * (value - previous));
+  }
 
   function task(req, device, body0, msg) {
     //  The task for this Cloud Function:
-    //  Look for any "tmp" values in the Sigfox message.
-    //  Accumulate the last 10 values in a SigfoxAggregator Thing.
-    //  Sum up the last 10 values and set as "tmpsum" in the Sigfox message.
-    //  We use a Thing to aggregate because it's much faster than database
-    //  or file storage.  It must aggregate a message within 10 seconds or data
-    //  will be lost.
+    //  Look for the configured fields in the Sigfox message.
+    //  Accumulate the values in the device's Thing Shadow under reported.aggregate.
+    //  Compute the aggregates and set them into the Sigfox message.
+    //  We use the Thing Shadow to aggregate because it's much faster than database
+    //  or file storage.  Each device has its own Thing Shadow so the aggregates of
+    //  different devices don't overwrite each other.
     wrapCount += 1; console.log({ wrapCount });  //  Count how many times the wrapper has been reused.
     const body = Object.assign({}, body0);  //  Clone the message body before update.
-    let state = {};
-    let pastValues = [];
-    //  If this Sigfox message has no "tmp" to aggregate, quit.
-    if (body.tmp === null || body.tmp === undefined) return Promise.resolve(msg);
-    //  Create the SigfoxAggregator Thing if not created.
-    return scloud.createDevice(req, 'SigfoxAggregator')
-    //  Read the last 10 "tmp" values from SigfoxAggregator by device ID.
-      .then(() => scloud.getDeviceState(req, 'SigfoxAggregator')
-      //  In case the device state doesn't exist, return empty state and proceed.
-        .catch(() => {}))
-      //  result contains {"reported":{"1A2345":[1,2,3],...
-      .then((res) => {
-        if (res) state = res.reported;
-        //  pastValues will contain the last 10 values e.g. [1,2,3]
-        if (state && state[device]) pastValues = state[device];
-        //  Append the current value to the last 10 values. Latest value at the end.
-        pastValues.push(body.tmp);
-        //  Remove the oldest value (at the front) if we exceed 10 values.
-        if (pastValues.length > 10) pastValues.shift();
-        //  Set the sum of the 10 values into the Sigfox message as tmpsum.
-        body.tmpsum = pastValues.reduce(  //  Compute the sum of pastValues using reduce function.
-          (sum, val) => (sum + val),  //  For every value found in pastValues, add to sum.
-          0  //  Initial value of the sum is 0.
-        );
-        //  Save the 10 values to SigfoxAggregator.
-        const newState = {};
-        //  This contains the partial state: {"1A2345":[1,2,3,4]}
-        newState[device] = pastValues;
-        console.log('Device', device, 'has accumulated', pastValues, 'with sum', body.tmpsum);
-        return scloud.updateDeviceState(req, 'SigfoxAggregator', newState);
-      })
+    //  If this Sigfox message has no values to aggregate, quit.
+    const fields = aggregates.map(a => a.field)
+      .filter((field, i, arr) => arr.indexOf(field) === i)
+      .filter(field => typeof body[field] === 'number');
+    if (fields.length === 0) return Promise.resolve(msg);
+    //  Use the base station time if available, in seconds.
+    const now = body.baseStationTime || Math.floor(Date.now() / 1000);
+    //  Aggregates computed from the latest Thing Shadow, to be set into the Sigfox message.
+    let outputs = {};
+    function accumulate(reported) {
+      //  Append the values to the past values in reported.aggregate and compute the aggregates.
+      //  Called again if another Lambda Function updated the Thing Shadow at the same time.
+      //  reported contains {"aggregate":{"tmp":{"values":[1,2,3],"times":[...],"ewma":{...}}},...
+      const state = reported.aggregate || {};
+      const newState = {};
+      outputs = {};
+      for (const field of fields) {
+        const past = state[field] || {};
+        const lastTime = (past.times && past.times.length > 0) ? past.times[past.times.length - 1] : null;
+        //  Add the current value to the past values. Latest value at the end.
+        const samples = pruneSamples(addSample(past, body[field], now), field, now);
+        const ewma = Object.assign({}, past.ewma);
+        for (const aggregate of aggregates.filter(a => a.field === field)) {
+          let result = null;
+          if (aggregate.operator === 'ewma') {
+            result = computeEWMA(aggregate, ewma[aggregate.output], body[field], now - lastTime);
+            ewma[aggregate.output] = result;
+          } else {
+            const window = getWindow(samples, aggregate, now);
+            if (window.values.length > 0) result = operators[aggregate.operator](window.values, window.times);
+          }
+          //  Set the aggregate into the Sigfox message e.g. tmpmean.
+          if (result !== null && isFinite(result)) outputs[aggregate.output] = result;
+        }
+        //  This contains the partial state: {"tmp":{"values":[1,2,3,4],"times":[...]}}
+        newState[field] = Object.assign(samples, Object.keys(ewma).length > 0 ? { ewma } : {});
+      }
+      console.log('Device', device, 'has accumulated', newState);
+      return { aggregate: newState };
+    }
+
+    //  Save the values to the Thing Shadow of the device, without overwriting the values
+    //  saved by other Lambda Functions for the same device.
+    return scloud.createDevice(req, device)
+      .then(() => scloud.modifyDeviceState(req, device, accumulate))
       //  Return the message with the body updated.
-      .then(() => Object.assign({}, msg, { body }))
+      .then(() => Object.assign({}, msg, { body: Object.assign(body, outputs) }))
       .catch((error) => { throw error; });
   }
 
+  //  Unit Test
+  if (process.env.NODE_ENV !== 'production') return { task, operators, parseConfig, addSample, getWindow, pruneSamples };
+
   //  Expose these functions outside of the wrapper.
   //  When this Cloud Function is triggered, we call main() which calls task().
   return { task };
 }
 
+//  Unit Test
+if (process.env.NODE_ENV !== 'production') module.exports = wrap(require('../index'));
+
 //  //////////////////////////////////////////////////////////////////////////////////// endregion
 //  region Standard Code for AutoInstall Startup Function 1.0.  Do not modify.  https://github.com/UnaBiz/sigfox-iot-cloud/blob/master/autoinstall.js
 /*  eslint-disable camelcase,no-unused-vars,import/no-absolute-path,import/no-unresolved,no-use-before-define,global-require,max-len,no-tabs,brace-style,import/no-extraneous-dependencies */
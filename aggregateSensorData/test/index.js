@@ -0,0 +1,80 @@
+//  Unit Test for aggregating the sensor values of each device over time windows
+/* global describe:true, it:true */
+/* eslint-disable max-len */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Run with the local emulator, so that no AWS credentials are needed.
+process.env.SIGFOX_LOCAL = 'true';
+//  The aggregates are configured when the module is loaded.
+process.env.AGGREGATE = 'tmp:mean:3,tmp:max:1h';
+//  Without SIGFOX_STATE_BUCKET, the samples are limited to what fits into the Thing Shadow.
+delete process.env.SIGFOX_STATE_BUCKET;
+const chai = require('chai');
+
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+
+const moduleName = 'aggregateSensorData'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+
+const now = 1507112763;  //  Time of the latest sample in seconds.
+
+describe(moduleName, () => {
+  it('should compute the operators', () => {
+    const { operators } = moduleTested;
+    const values = [2, 4, 4, 4, 5, 5, 7, 9];
+    operators.sum(values).should.equal(40);
+    operators.mean(values).should.equal(5);
+    operators.min(values).should.equal(2);
+    operators.max(values).should.equal(9);
+    operators.stddev(values).should.equal(2);
+    //  Rate is the change per second from the oldest to the latest value.
+    operators.rate([10, 13, 16], [now - 60, now - 30, now]).should.equal(0.1);
+    should.not.exist(operators.rate([10], [now]));
+    should.not.exist(operators.rate([10, 13], [now, now]));
+  });
+
+  it('should parse the config and skip invalid entries', () => {
+    moduleTested.parseConfig('tmp:mean:10, hmd:max:1h,tmp:ewma:30m:tmpavg').should.deep.equal([
+      { field: 'tmp', operator: 'mean', count: 10, output: 'tmpmean' },
+      { field: 'hmd', operator: 'max', seconds: 3600, output: 'hmdmax' },
+      { field: 'tmp', operator: 'ewma', seconds: 1800, output: 'tmpavg' },
+    ]);
+    moduleTested.parseConfig('tmp:median:10,tmp:mean,tmp:mean:0,tmp:mean:1w,:sum:10,').should.deep.equal([]);
+    moduleTested.parseConfig('tmp:sum:2d').should.deep.equal([{ field: 'tmp', operator: 'sum', seconds: 172800, output: 'tmpsum' }]);
+  });
+
+  it('should keep the samples sorted by time', () => {
+    let samples = moduleTested.addSample({}, 1, now - 20);
+    samples = moduleTested.addSample(samples, 3, now);
+    //  This message arrived late.
+    samples = moduleTested.addSample(samples, 2, now - 10);
+    samples.should.deep.equal({ values: [1, 2, 3], times: [now - 20, now - 10, now] });
+  });
+
+  it('should select the samples in the window', () => {
+    const samples = { values: [1, 2, 3, 4], times: [now - 7200, now - 1800, now - 60, now] };
+    moduleTested.getWindow(samples, { count: 3 }, now).values.should.deep.equal([2, 3, 4]);
+    moduleTested.getWindow(samples, { count: 10 }, now).values.should.deep.equal([1, 2, 3, 4]);
+    moduleTested.getWindow(samples, { seconds: 3600 }, now).should.deep.equal({ values: [2, 3, 4], times: [now - 1800, now - 60, now] });
+    moduleTested.getWindow(samples, { seconds: 3600 }, now + 7200).values.should.deep.equal([]);
+  });
+
+  it('should prune the samples outside the largest windows', () => {
+    //  AGGREGATE=tmp:mean:3,tmp:max:1h keeps the last 3 values and the values in the last hour.
+    const times = [now - 7200, now - 5400, now - 4000, now - 1800, now];
+    const samples = { values: [1, 2, 3, 4, 5], times };
+    moduleTested.pruneSamples(samples, 'tmp', now).should.deep.equal({ values: [3, 4, 5], times: times.slice(2) });
+    moduleTested.pruneSamples(samples, 'tmp', now - 5400).values.should.deep.equal([1, 2, 3, 4, 5]);
+    //  Fields without aggregates keep only the latest value.
+    moduleTested.pruneSamples(samples, 'hmd', now).values.should.deep.equal([5]);
+  });
+
+  it('should keep at most the values that fit into the Thing Shadow', () => {
+    //  Only 1 field is aggregated, so it may keep 200 values.
+    const values = [];
+    const times = [];
+    for (let i = 0; i < 300; i += 1) { values.push(i); times.push(now - 300 + i); }
+    const pruned = moduleTested.pruneSamples({ values, times }, 'tmp', now);
+    pruned.values.length.should.equal(200);
+    pruned.values[199].should.equal(299);
+  });
+});
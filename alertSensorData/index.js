@@ -0,0 +1,244 @@
+//  alertSensorData Installation Instructions:
+//  Copy and paste the entire contents of this file into a Lambda Function
+//  Name: alertSensorData
+//  Runtime: Node.js 6.10
+//  Handler: index.main
+//  Memory: 512 MB
+//  Timeout: 5 min
+//  Existing Role: lambda_iot Role, which has the LambdaExecuteIoTUpdate Policy
+//    (defined in ../policy/LambdaExecuteIoTUpdate.json)
+//  Debugging: Enable active tracing
+//  Environment Variables:
+//    NODE_ENV=production
+//    ALERT_RULES=tmp>30:2,hmd<20,1A2345/tmp>40,nodata>1h  (Alert rules, see below)
+//    ALERT_TOPIC=sigfox-alerts  (SNS topic for sending alerts.  Subscribe your email or phone to this topic.)
+
+//  Go to AWS IoT, create a Rule:
+//  Name: sigfoxAlertSensorData
+//  SQL Version: Beta
+//  Attribute: *
+//  Topic filter: sigfox/types/alertSensorData
+//  Condition: (Blank)
+//  Action: Invoke Lambda Function alertSensorData
+//  Add alertSensorData to the end of the route in routeMessage e.g. SIGFOX_ROUTE=decodeStructuredMessage,alertSensorData
+
+//  For "nodata" rules, go to CloudWatch, create a Rule:
+//  Event Source: Schedule, Fixed rate of 5 minutes
+//  Target: Lambda Function alertSensorData
+
+//  This sigfox-aws module checks the decoded sensor values of each Sigfox message against the alert rules
+//  in ALERT_RULES and sends an alert to the SNS topic ALERT_TOPIC when a rule is triggered or cleared.
+//  Each rule looks like [scope/]field>threshold[:hysteresis] where:
+//    scope (optional) is a device ID or device type (deviceType or deviceTypeId in the message).
+//      If omitted, the rule applies to all devices.
+//    > may also be <, >= or <=
+//    hysteresis (optional) is how far the value must move back past the threshold to clear the alert,
+//      e.g. tmp>30:2 is triggered when tmp exceeds 30 and cleared when tmp drops to 28 or below.
+//  nodata>1h is triggered when the device has not sent any message for 1 hour, checked every time the
+//  Lambda Function is run by the CloudWatch schedule.  The duration may end with s, m, h or d.
+//  The alert state is kept in the Thing Shadow as reported.alerts, so each alert is sent only once
+//  until it is cleared.
+/* eslint-disable max-len, camelcase, no-console, no-nested-ternary, import/no-dynamic-require, import/newline-after-import, import/no-unresolved, global-require */
+
+//  We use AutoInstall to install any Node.js libraries automatically, without manually packaging them.
+//  See https://github.com/UnaBiz/sigfox-iot-cloud/blob/master/autoinstall.js
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region AutoInstall: List all dependencies here, or just paste the contents of package.json. Autoinstall will install these dependencies.
+//  Don't include sigfox-aws, it will be automatically added as dependencies.
+
+const package_json = /* eslint-disable quote-props,quotes,comma-dangle,indent */
+//  PASTE PACKAGE.JSON BELOW  //////////////////////////////////////////////////////////
+{
+}
+//  PASTE PACKAGE.JSON ABOVE  //////////////////////////////////////////////////////////
+; /* eslint-enable quote-props,quotes,comma-dangle,indent */
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Message Processing Code
+
+function wrap(scloud) {
+  //  Wrap the module into a function so that all we defer loading of dependencies,
+  //  and ensure that cloud resources are properly disposed.
+  let wrapCount = 0;  //  Count how many times the wrapper has been reused.
+  const alertTopic = process.env.ALERT_TOPIC || 'sigfox-alerts';
+  const units = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };  //  Seconds per time unit.
+
+  const comparisons = {
+    //  Returns true if the value triggers the alert.
+    '>': (value, threshold) => value > threshold,
+    '<': (value, threshold) => value < threshold,
+    '>=': (value, threshold) => value >= threshold,
+    '<=': (value, threshold) => value <= threshold,
+  };
+
+  function parseRules(config) {
+    //  Parse the ALERT_RULES config e.g. "tmp>30:2,1A2345/hmd<20,nodata>1h" into
+    //  [{name:'tmp>30', field:'tmp', comparison:'>', threshold:30, hysteresis:2},
+    //   {name:'hmd<20', scope:'1A2345', field:'hmd', comparison:'<', threshold:20, hysteresis:0},
+    //   {name:'nodata>1h', field:'nodata', seconds:3600}]
+    //  Invalid rules are logged and skipped.
+    const result = [];
+    for (const entry of config.split(',').map(s => s.trim()).filter(s => s)) {
+      const match = /^(?:([^/]+)\/)?(\w+)\s*(>=|<=|>|<)\s*([-\d.]+)([smhd]?)(?::([\d.]+))?$/.exec(entry);
+      const isNoData = match && match[2] === 'nodata';
+      if (!match || (isNoData && (match[3] !== '>' || !match[5])) || (!isNoData && match[5])
+        || isNaN(parseFloat(match[4]))) {
+        console.error('alertSensorData', 'Invalid ALERT_RULES entry', entry);
+        continue;
+      }
+      const rule = { name: entry.split('/').pop().split(':')[0].replace(/\s/g, ''), field: match[2] };
+      if (match[1]) rule.scope = match[1].trim();
+      if (isNoData) rule.seconds = parseFloat(match[4]) * units[match[5]];
+      else {
+        rule.comparison = match[3];
+        rule.threshold = parseFloat(match[4]);
+        rule.hysteresis = match[6] ? parseFloat(match[6]) : 0;
+      }
+      result.push(rule);
+    }
+    return result;
+  }
+
+  const rules = parseRules(process.env.ALERT_RULES || '');
+
+  function getRules(device, body) {
+    //  Return the rules that apply to the device, matching by device ID or device type.
+    const deviceType = body ? (body.deviceType || body.deviceTypeId) : null;
+    return rules.filter(rule => !rule.scope || rule.scope === device || rule.scope === deviceType);
+  }
+
+  function isCleared(rule, value) {
+    //  Return true if the value has moved back past the threshold by the hysteresis.
+    //  For tmp>30:2, the alert is cleared when tmp <= 28.
+    if (rule.comparison === '>' || rule.comparison === '>=') return value <= rule.threshold - rule.hysteresis;
+    return value >= rule.threshold + rule.hysteresis;
+  }
+
+  function sendAlert(req, device, rule, active, value) {
+    //  Send the alert to the SNS topic for delivery by email or SMS.
+    const subject = `${active ? 'Alert' : 'Cleared'}: ${device} ${rule.name}`;
+    const text = rule.field === 'nodata'
+      ? `${subject}${active ? ` (last message at ${new Date(value * 1000).toISOString()})` : ''}`
+      : `${subject} (${rule.field}=${value})`;
+    scloud.log(req, 'sendAlert', { device, rule, active, value });
+    return scloud.sendNotification(req, alertTopic, subject, text);
+  }
+
+  function checkRules(deviceRules, alerts, body) {
+    //  Return the alerts triggered or cleared by the sensor values in the message body as [{rule, active, value}].
+    //  alerts is the alert state in the Thing Shadow.  A message from the device also clears any "nodata" alert.
+    const changes = [];
+    for (const rule of deviceRules) {
+      const active = !!(alerts[rule.name] && alerts[rule.name].active);
+      if (rule.field === 'nodata') {
+        if (active) changes.push({ rule, active: false, value: body.baseStationTime || null });
+        continue;
+      }
+      const value = body[rule.field];
+      if (typeof value !== 'number') continue;
+      if (!active && comparisons[rule.comparison](value, rule.threshold)) changes.push({ rule, active: true, value });
+      else if (active && isCleared(rule, value)) changes.push({ rule, active: false, value });
+    }
+    return changes;
+  }
+
+  function updateAlerts(req, device, getChanges) {
+    //  Save the alerts triggered and cleared by getChanges(alerts, reported) into the Thing Shadow, then send them.
+    //  getChanges returns [{rule, active, value}].  It's called again with the latest alert state if another
+    //  Lambda Function has updated the Thing Shadow in between, so each alert is sent only once.
+    //  Returns a promise for the number of alerts sent.
+    let changes = [];
+    return scloud.modifyDeviceState(req, device, (reported) => {
+      const alerts0 = reported.alerts || {};
+      changes = getChanges(alerts0, reported);
+      if (changes.length === 0) return null;
+      const alerts = {};
+      for (const change of changes) {
+        alerts[change.rule.name] = Object.assign({}, alerts0[change.rule.name], {
+          active: change.active,
+          value: change.value,
+          //  When the alert was triggered or cleared, in milliseconds.
+          updated: Date.now(),
+        });
+      }
+      return { alerts };
+    })
+      .then(() => Promise.all(changes.map(change => sendAlert(req, device, change.rule, change.active, change.value)
+        //  Don't stop the other alerts if one fails.
+        .catch(error => scloud.error(req, 'sendAlert', { error, device, change })))))
+      .then(() => changes.length);
+  }
+
+  function task(req, device, body, msg) {
+    //  The task for this Cloud Function:
+    //  Check the sensor values in the Sigfox message against the alert rules for the device.
+    //  Remember the alert state in the Thing Shadow and send any triggered or cleared alerts.
+    wrapCount += 1; console.log({ wrapCount });  //  Count how many times the wrapper has been reused.
+    const deviceRules = getRules(device, body);
+    if (deviceRules.length === 0) return Promise.resolve(msg);
+    return updateAlerts(req, device, alerts => checkRules(deviceRules, alerts, body))
+      .then(() => msg);
+  }
+
+  function checkNoData(req) {
+    //  Check every device against the "nodata" rules.  The time of the last message is taken from
+    //  reported.baseStationTime in the Thing Shadow.  Returns a promise for the number of alerts sent.
+    const now = Date.now() / 1000;
+    let count = 0;
+    if (!rules.find(rule => rule.field === 'nodata')) return Promise.resolve(0);
+    return scloud.listDevices(req)
+      .then(devices => devices.reduce((promise, device) => promise
+        .then(() => updateAlerts(req, device, (alerts, reported) => {
+          if (!reported.baseStationTime) return [];  //  Not a Sigfox device.
+          return getRules(device, reported)
+            .filter(rule => rule.field === 'nodata')
+            .filter(rule => !(alerts[rule.name] && alerts[rule.name].active))
+            .filter(rule => now - reported.baseStationTime > rule.seconds)
+            .map(rule => ({ rule, active: true, value: reported.baseStationTime }));
+        }))
+        .then((sent) => { count += sent; })
+        //  Continue with the next device in case of error.
+        .catch(error => scloud.error(req, 'checkNoData', { error, device })),
+      Promise.resolve()))
+      .then(() => count);
+  }
+
+  function main(event, context, callback, task0) {
+    //  When triggered by the CloudWatch schedule, check for devices that have stopped sending.
+    //  Else process the Sigfox message as usual.
+    if (!event || event.source !== 'aws.events') return scloud.main(event, context, callback, task0 || task);
+    const req = { starttime: Date.now() };
+    //  Wait for the error reports of this invocation to be sent before returning.
+    return checkNoData(req)
+      .then(count => scloud.flushErrors(req).then(() => callback(null, `Sent ${count} nodata alerts`)))
+      .catch(error => scloud.flushErrors(req).then(() => callback(error)));
+  }
+
+  //  Unit Test
+  if (process.env.NODE_ENV !== 'production') return { task, main, parseRules, getRules, checkRules };
+
+  //  Expose these functions outside of the wrapper.
+  //  When this Cloud Function is triggered, we call main() which calls task().
+  return { task, main };
+}
+
+//  Unit Test
+if (process.env.NODE_ENV !== 'production') module.exports = wrap(require('../index'));
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Standard Code for AutoInstall Startup Function 1.0.  Do not modify.  https://github.com/UnaBiz/sigfox-iot-cloud/blob/master/autoinstall.js
+/*  eslint-disable camelcase,no-unused-vars,import/no-absolute-path,import/no-unresolved,no-use-before-define,global-require,max-len,no-tabs,brace-style,import/no-extraneous-dependencies */
+const wrapper = {};  //  The single reused wrapper instance (initially empty) for invoking the module functions.
+exports.main = process.env.FUNCTION_NAME ? require('sigfox-gcloud/main').getMainFunction(wrapper, wrap, package_json)  //  Google Cloud.
+  : (event, context, callback) => {
+    const afterExec = error => error ? callback(error, 'AutoInstall Failed')
+      : require('/tmp/autoinstall').installAndRunWrapper(event, context, callback, package_json, __filename, wrapper, wrap);
+    if (require('fs').existsSync('/tmp/autoinstall.js')) return afterExec(null);  //  Already downloaded.
+    const cmd = 'curl -s -S -o /tmp/autoinstall.js https://raw.githubusercontent.com/UnaBiz/sigfox-iot-cloud/master/autoinstall.js';
+    const child = require('child_process').exec(cmd, { maxBuffer: 1024 * 500 }, afterExec);
+    child.stdout.on('data', console.log); child.stderr.on('data', console.error); return null; };
+//  exports.main is the startup function for AWS Lambda and Google Cloud Function.
+//  When AWS starts our Lambda function, we load the autoinstall script from GitHub to install any NPM dependencies.
+//  For first run, install the dependencies specified in package_json and proceed to next step.
+//  For future runs, just execute the wrapper function with the event, context, callback parameters.
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
@@ -0,0 +1,131 @@
+//  Unit Test for the threshold and nodata alerts sent for the sensor values of each device
+/* global describe:true, it:true, beforeEach:true */
+/* eslint-disable max-len */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Keep the alert state in the Thing Shadows and the alerts sent in memory with the local emulator.
+process.env.SIGFOX_LOCAL = 'true';
+//  The alert rules are configured when the module is loaded.
+process.env.ALERT_RULES = 'tmp>30:2,hmd<20,1A2345/tmp>40,nodata>1h';
+const chai = require('chai');
+
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+const scloud = require('../../index');
+const local = require('../../local');
+
+const moduleName = 'alertSensorData'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+const req = { unittest: true };
+
+function checkValues(rule, values) {
+  //  Return the alert state after checking each value in order against the rule, e.g. [true, true, false].
+  const alerts = {};
+  return values.map((value) => {
+    for (const change of moduleTested.checkRules([rule], alerts, { tmp: value, hmd: value })) {
+      alerts[change.rule.name] = { active: change.active, value: change.value };
+    }
+    return alerts[rule.name] ? alerts[rule.name].active : false;
+  });
+}
+
+function getAlerts() {
+  //  Return the text of the alerts sent to the SNS topic sigfox-alerts.
+  return local.getPublished().filter(msg => msg.topic === 'sigfox-alerts').map(msg => msg.event.Records[0].Sns.Message);
+}
+
+function runTask(device, body) {
+  //  Run the task for a message with the body.  Returns a promise for the alerts sent by the task.
+  const count = getAlerts().length;
+  const msg = { device, type: 'alertSensorData', body };
+  return moduleTested.task(req, device, body, msg)
+    .then((result) => {
+      result.should.equal(msg);
+      return getAlerts().slice(count);
+    });
+}
+
+describe(moduleName, () => {
+  beforeEach(() => {
+    //  Start every test with no Things and no alerts sent.
+    local.reset();
+  });
+
+  it('should parse the alert rules', () => {
+    moduleTested.parseRules('tmp>30:2, 1A2345/hmd <= 20,nodata>1h,tmp>=-5.5').should.deep.equal([
+      { name: 'tmp>30', field: 'tmp', comparison: '>', threshold: 30, hysteresis: 2 },
+      { name: 'hmd<=20', scope: '1A2345', field: 'hmd', comparison: '<=', threshold: 20, hysteresis: 0 },
+      { name: 'nodata>1h', field: 'nodata', seconds: 3600 },
+      { name: 'tmp>=-5.5', field: 'tmp', comparison: '>=', threshold: -5.5, hysteresis: 0 },
+    ]);
+  });
+
+  it('should skip invalid alert rules', () => {
+    moduleTested.parseRules('tmp>30h,nodata<1h,nodata>1,tmp=30,tmp>abc,>30').should.deep.equal([]);
+  });
+
+  it('should select the rules for the device or device type', () => {
+    moduleTested.getRules('1A2345', {}).map(rule => rule.name).should.deep.equal(['tmp>30', 'hmd<20', 'tmp>40', 'nodata>1h']);
+    moduleTested.getRules('2B3456', {}).map(rule => rule.name).should.deep.equal(['tmp>30', 'hmd<20', 'nodata>1h']);
+    moduleTested.getRules('2B3456', { deviceType: '1A2345' }).length.should.equal(4);
+  });
+
+  it('should trigger and clear the alert with hysteresis', () => {
+    const [rule] = moduleTested.parseRules('tmp>30:2');
+    //  Cleared only when tmp drops to 28 or below.
+    checkValues(rule, [29, 31, 29, 28.5, 28, 30, 30.5]).should.deep.equal([false, true, true, true, false, false, true]);
+  });
+
+  it('should clear the alert without hysteresis', () => {
+    const [rule] = moduleTested.parseRules('hmd<20');
+    checkValues(rule, [21, 19, 19.5, 20, 19]).should.deep.equal([false, true, true, false, true]);
+  });
+
+  it('should send each alert only once', () => {
+    const [rule] = moduleTested.parseRules('tmp>30');
+    const alerts = { 'tmp>30': { active: true, value: 31 } };
+    moduleTested.checkRules([rule], alerts, { tmp: 32 }).should.deep.equal([]);
+    moduleTested.checkRules([rule], {}, { tmp: 32 }).should.deep.equal([{ rule, active: true, value: 32 }]);
+    //  Messages without the field don't change the alert.
+    moduleTested.checkRules([rule], alerts, { hmd: 10 }).should.deep.equal([]);
+  });
+
+  it('should clear the nodata alert when the device sends a message', () => {
+    const [rule] = moduleTested.parseRules('nodata>1h');
+    moduleTested.checkRules([rule], {}, { baseStationTime: 1507112763 }).should.deep.equal([]);
+    moduleTested.checkRules([rule], { 'nodata>1h': { active: true } }, { baseStationTime: 1507112763 })
+      .should.deep.equal([{ rule, active: false, value: 1507112763 }]);
+  });
+
+  it('should save the alert state and send each alert once until it is cleared', () => runTask('1A2345', { tmp: 41, baseStationTime: 1507112763 })
+    .then((alerts) => {
+      alerts.sort().should.deep.equal(['Alert: 1A2345 tmp>30 (tmp=41)', 'Alert: 1A2345 tmp>40 (tmp=41)']);
+      return scloud.getDeviceState(req, '1A2345');
+    })
+    .then((state) => {
+      state.reported.alerts['tmp>30'].active.should.equal(true);
+      state.reported.alerts['tmp>30'].value.should.equal(41);
+      should.not.exist(state.reported.alerts['hmd<20']);
+      return runTask('1A2345', { tmp: 42 });
+    })
+    .then(alerts => alerts.should.deep.equal([]))
+    //  tmp>40 has no hysteresis, but tmp>30:2 is cleared only at 28 and below.
+    .then(() => runTask('1A2345', { tmp: 29 }))
+    .then(alerts => alerts.should.deep.equal(['Cleared: 1A2345 tmp>40 (tmp=29)']))
+    .then(() => runTask('1A2345', { tmp: 28 }))
+    .then(alerts => alerts.should.deep.equal(['Cleared: 1A2345 tmp>30 (tmp=28)'])));
+
+  it('should send the nodata alerts when triggered by the schedule', () => {
+    const now = Date.now() / 1000;
+    const lastSeen = Math.floor(now - (2 * 60 * 60));
+    //  2B3456 stopped sending 2 hours ago, 3C4567 is still sending.
+    return Promise.all([['2B3456', lastSeen], ['3C4567', Math.floor(now - 60)]].map(([device, baseStationTime]) => scloud.createDevice(req, device)
+      .then(() => scloud.modifyDeviceState(req, device, () => ({ baseStationTime })))))
+      .then(() => new Promise((resolve, reject) => moduleTested.main({ source: 'aws.events' }, {}, (error, result) => (error ? reject(error) : resolve(result)))))
+      .then((result) => {
+        result.should.equal('Sent 1 nodata alerts');
+        getAlerts().should.deep.equal([`Alert: 2B3456 nodata>1h (last message at ${new Date(lastSeen * 1000).toISOString()})`]);
+      })
+      //  The next message from the device clears the alert.
+      .then(() => runTask('2B3456', { baseStationTime: Math.floor(now) }))
+      .then(alerts => alerts.should.deep.equal(['Cleared: 2B3456 nodata>1h']));
+  });
+});
@@ -0,0 +1,223 @@
+//  archiveMessage Installation Instructions:
+//  Copy and paste the entire contents of this file into a Lambda Function
+//  Name: archiveMessage
+//  Runtime: Node.js 6.10
+//  Handler: index.main
+//  Memory: 512 MB
+//  Timeout: 5 min
+//  Existing Role: lambda_iot Role, which has the LambdaExecuteIoTUpdate Policy
+//    (defined in ../policy/LambdaExecuteIoTUpdate.json)
+//  Debugging: Enable active tracing
+//  Environment Variables:
+//    NODE_ENV=production
+//    ARCHIVE_BUCKET=my-bucket/archive  (S3 bucket and folder for the archive)
+
+//  Go to AWS IoT, create 2 Rules:
+//  Name: sigfoxArchiveReceived
+//  SQL Version: Beta
+//  Attribute: *
+//  Topic filter: sigfox/received
+//  Condition: (Blank)
+//  Action: Invoke Lambda Function archiveMessage
+//
+//  Name: sigfoxArchiveDevices
+//  SQL Version: Beta
+//  Attribute: *
+//  Topic filter: sigfox/devices/+
+//  Condition: (Blank)
+//  Action: Invoke Lambda Function archiveMessage
+
+//  This sigfox-aws module keeps a copy of every Sigfox message in S3.  Raw messages from the Sigfox callback
+//  (received through sigfox/received) and decoded messages (received through sigfox/devices/<deviceID>)
+//  are saved under keys partitioned by date and device, e.g.
+//    my-bucket/archive/raw/2017-11-27/1A2345/1511814827-1508-1D44.json
+//    my-bucket/archive/decoded/2017-11-27/1A2345/1511814827-1508.json
+//  The date and time are taken from the base station time of the message.
+//
+//  To replay the archived messages, e.g. after fixing a decoder, run this Lambda Function with a test event:
+//    {"replay":{"device":"1A2345","from":"7d","kind":"raw","topic":"sigfox/received"}}
+//  device (optional) is the device ID.  If omitted, the messages of all devices are replayed.
+//  from and to (optional) are the time range, as ISO dates like "2017-11-20T00:00:00Z", epoch seconds,
+//    or a duration before now like "7d" or "12h".  from defaults to 1 day ago, to defaults to now.
+//  kind (optional) is "raw" (default) or "decoded".
+//  topic (optional) is the topic to send the messages to, default sigfox/received.
+//  Messages are sent in time order.  The replayed messages are not archived again.
+
+/* eslint-disable max-len, camelcase, no-console, no-nested-ternary, import/no-dynamic-require, import/newline-after-import, import/no-unresolved, global-require */
+
+//  We use AutoInstall to install any Node.js libraries automatically, without manually packaging them.
+//  See https://github.com/UnaBiz/sigfox-iot-cloud/blob/master/autoinstall.js
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region AutoInstall: List all dependencies here, or just paste the contents of package.json. Autoinstall will install these dependencies.
+//  Don't include sigfox-aws, it will be automatically added as dependencies.
+
+const package_json = /* eslint-disable quote-props,quotes,comma-dangle,indent */
+//  PASTE PACKAGE.JSON BELOW  //////////////////////////////////////////////////////////
+{
+}
+//  PASTE PACKAGE.JSON ABOVE  //////////////////////////////////////////////////////////
+; /* eslint-enable quote-props,quotes,comma-dangle,indent */
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Message Processing Code
+
+function wrap(scloud) {
+  //  Wrap the module into a function so that all we defer loading of dependencies,
+  //  and ensure that cloud resources are properly disposed.
+  let wrapCount = 0;  //  Count how many times the wrapper has been reused.
+  const units = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };  //  Seconds per time unit.
+  const location = (process.env.ARCHIVE_BUCKET || '').replace(/\/+$/, '');
+  const bucket = location.split('/')[0];
+  const folder = location.substr(bucket.length + 1);
+
+  function getDate(time) {
+    //  Return the date partition for the time in seconds e.g. 2017-11-27
+    return new Date(time * 1000).toISOString().substr(0, 10);
+  }
+
+  function getPrefix(kind, date, device) {
+    //  Return the S3 key prefix for the kind of messages, date and device e.g. archive/raw/2017-11-27/1A2345/
+    return [folder, kind, date, device].filter(s => s).join('/').concat('/');
+  }
+
+  function parseTime(time, defaultTime) {
+    //  Return the time in seconds for an ISO date like "2017-11-20T00:00:00Z", epoch seconds,
+    //  or a duration before now like "7d".  Returns defaultTime if not specified.
+    if (time === undefined || time === null || time === '') return defaultTime;
+    const now = Date.now() / 1000;
+    const match = /^\s*([\d.]+)\s*([smhd])\s*$/.exec(`${time}`);
+    if (match) return now - (parseFloat(match[1]) * units[match[2]]);
+    if (/^\s*\d+\s*$/.test(`${time}`)) return parseInt(time, 10);
+    const date = Date.parse(time);
+    if (isNaN(date)) throw new Error(`Invalid time: ${time}`);
+    return date / 1000;
+  }
+
+  function getKey(kind, device, body) {
+    //  Return the S3 key for archiving the message body e.g. archive/raw/2017-11-27/1A2345/1511814827-1508-1D44.json
+    const time = body.baseStationTime || Math.floor(Date.now() / 1000);
+    //  Raw messages may be received by multiple base stations, so we include the station.
+    const name = [time, body.seqNumber, kind === 'raw' ? body.station : null]
+      .filter(s => s !== undefined && s !== null).join('-');
+    return `${getPrefix(kind, getDate(time), device)}${name}.json`;
+  }
+
+  function archiveMessage(req, device, body, msg) {
+    //  Save the Sigfox message into S3.  Messages that haven't been routed are raw messages
+    //  from sigfox/received.  Returns a promise.
+    const kind = msg.type ? 'decoded' : 'raw';
+    const key = getKey(kind, device, body);
+    return scloud.writeFile(req, bucket, key, msg)
+      .then(() => scloud.log(req, 'archiveMessage', { device, bucket, key }));
+  }
+
+  function task(req, device, body, msg) {
+    //  The task for this Cloud Function:
+    //  Save the raw or decoded Sigfox message into the S3 archive.
+    wrapCount += 1; console.log({ wrapCount });  //  Count how many times the wrapper has been reused.
+    //  Don't archive the replayed messages again.
+    if (!location || !body || body.replayed) return Promise.resolve(msg);
+    return archiveMessage(req, device, body, msg)
+      .then(() => msg);
+  }
+
+  function replay(req, options) {
+    //  Send the archived messages for the device and time range in options to the topic, in time order.
+    //  Returns a promise for the number of messages sent.
+    if (!location) return Promise.reject(new Error('ARCHIVE_BUCKET is not set'));
+    const kind = options.kind || 'raw';
+    const topic = (options.topic || 'sigfox/received').split('/').join('.');
+    //  Capitalise device ID but not device names, like the framework.
+    const device0 = options.device ? `${options.device}` : null;
+    const device = (device0 && device0.length <= 6) ? device0.toUpperCase() : device0;
+    let from = null;
+    let to = null;
+    let count = 0;
+    //  parseTime() throws for invalid times, so we start with a promise to reject them.
+    return Promise.resolve()
+      .then(() => {
+        const now = Date.now() / 1000;
+        from = parseTime(options.from, now - units.d);
+        to = parseTime(options.to, now);
+        //  List the files for each day in the time range.
+        const prefixes = [];
+        for (let day = Math.floor(from / units.d) * units.d; day <= to; day += units.d) {
+          prefixes.push(getPrefix(kind, getDate(day), device));
+        }
+        return Promise.all(prefixes.map(prefix => scloud.listFiles(req, bucket, prefix)));
+      })
+      .then(lists => [].concat(...lists)
+        //  Select the files in the time range.  The file name starts with the time and sequence number.
+        .map((key) => {
+          const name = key.split('/').pop().split('-');
+          return { key, time: parseInt(name[0], 10), seqNumber: parseInt(name[1], 10) || 0 };
+        })
+        .filter(file => file.time >= from && file.time <= to)
+        .sort((a, b) => (a.time - b.time) || (a.seqNumber - b.seqNumber)))
+      .then(files => files.reduce((promise, file) => promise
+        .then(() => scloud.readFile(req, bucket, file.key))
+        .then((msg) => {
+          if (!msg) return null;
+          //  Send the message without the route and trace of the original message.
+          const message = {
+            device: msg.device,
+            body: Object.assign({}, msg.body, { replayed: true }),
+            query: msg.query,
+          };
+          count += 1;
+          return scloud.publishJSON(req, scloud.getQueue(req, null, topic), message);
+        }),
+      Promise.resolve()))
+      .then(() => scloud.log(req, 'replay', { count, from, to, kind, topic, device }))
+      .then(() => count);
+  }
+
+  function repackMessage(event) {
+    //  Messages sent to sigfox/devices/<deviceID> at the end of the route are unpacked: the body
+    //  is at the root and the rest of the message is in metadata.  Return the message with the body inside.
+    if (!event || event.body || !event.metadata) return event;
+    const body = Object.assign({}, event);
+    delete body.metadata;
+    delete body.rootTraceId;
+    return Object.assign({}, event.metadata, { body, rootTraceId: event.rootTraceId || event.metadata.rootTraceId });
+  }
+
+  function main(event, context, callback, task0) {
+    //  When run with a replay event, replay the archived messages.
+    //  Else archive the Sigfox message as usual.
+    if (!event || !event.replay) return scloud.main(repackMessage(event), context, callback, task0 || task);
+    const req = { starttime: Date.now() };
+    //  Wait for the error reports of this invocation to be sent before returning.
+    return replay(req, event.replay)
+      .then(count => scloud.flushErrors(req).then(() => callback(null, `Replayed ${count} messages`)))
+      .catch(error => scloud.flushErrors(req).then(() => callback(error)));
+  }
+
+  //  Unit Test
+  if (process.env.NODE_ENV !== 'production') return { task, main, parseTime, getKey, replay };
+
+  //  Expose these functions outside of the wrapper.
+  //  When this Cloud Function is triggered, we call main() which calls task().
+  return { task, main };
+}
+
+//  Unit Test
+if (process.env.NODE_ENV !== 'production') module.exports = wrap(require('../index'));
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Standard Code for AutoInstall Startup Function 1.0.  Do not modify.  https://github.com/UnaBiz/sigfox-iot-cloud/blob/master/autoinstall.js
+/*  eslint-disable camelcase,no-unused-vars,import/no-absolute-path,import/no-unresolved,no-use-before-define,global-require,max-len,no-tabs,brace-style,import/no-extraneous-dependencies */
+const wrapper = {};  //  The single reused wrapper instance (initially empty) for invoking the module functions.
+exports.main = process.env.FUNCTION_NAME ? require('sigfox-gcloud/main').getMainFunction(wrapper, wrap, package_json)  //  Google Cloud.
+  : (event, context, callback) => {
+    const afterExec = error => error ? callback(error, 'AutoInstall Failed')
+      : require('/tmp/autoinstall').installAndRunWrapper(event, context, callback, package_json, __filename, wrapper, wrap);
+    if (require('fs').existsSync('/tmp/autoinstall.js')) return afterExec(null);  //  Already downloaded.
+    const cmd = 'curl -s -S -o /tmp/autoinstall.js https://raw.githubusercontent.com/UnaBiz/sigfox-iot-cloud/master/autoinstall.js';
+    const child = require('child_process').exec(cmd, { maxBuffer: 1024 * 500 }, afterExec);
+    child.stdout.on('data', console.log); child.stderr.on('data', console.error); return null; };
+//  exports.main is the startup function for AWS Lambda and Google Cloud Function.
+//  When AWS starts our Lambda function, we load the autoinstall script from GitHub to install any NPM dependencies.
+//  For first run, install the dependencies specified in package_json and proceed to next step.
+//  For future runs, just execute the wrapper function with the event, context, callback parameters.
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
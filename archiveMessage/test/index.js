@@ -0,0 +1,113 @@
+//  Unit Test for archiving the Sigfox messages into S3 and replaying them
+/* global describe:true, it:true, after:true */
+/* eslint-disable max-len */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Archive into a temporary folder with the local emulator.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archiveMessage-'));
+process.env.SIGFOX_LOCAL = 'true';
+process.env.SIGFOX_LOCAL_DIR = localDir;
+process.env.ARCHIVE_BUCKET = 'archive-bucket/archive';
+const chai = require('chai');
+
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+const scloud = require('../../index');
+const local = require('../../local');
+
+const moduleName = 'archiveMessage'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+const req = { unittest: true };
+
+const time = 1511814827;  //  2017-11-27T20:33:47Z
+
+function removeDir(dir) {
+  //  Remove the folder and its contents.
+  for (const name of fs.readdirSync(dir)) {
+    const file = path.join(dir, name);
+    if (fs.statSync(file).isDirectory()) removeDir(file);
+    else fs.unlinkSync(file);
+  }
+  fs.rmdirSync(dir);
+}
+
+describe(moduleName, () => {
+  after(() => removeDir(localDir));
+
+  it('should parse the times', () => {
+    moduleTested.parseTime('2017-11-27T00:00:00Z').should.equal(1511740800);
+    moduleTested.parseTime(time).should.equal(time);
+    moduleTested.parseTime(` ${time} `).should.equal(time);
+    moduleTested.parseTime('7d').should.be.closeTo((Date.now() / 1000) - (7 * 24 * 60 * 60), 5);
+    moduleTested.parseTime('1.5h').should.be.closeTo((Date.now() / 1000) - (90 * 60), 5);
+    moduleTested.parseTime(undefined, 123).should.equal(123);
+    moduleTested.parseTime('', 123).should.equal(123);
+    (() => moduleTested.parseTime('yesterday')).should.throw(/^Invalid time/);
+  });
+
+  it('should name the archived messages by date, device, time and sequence number', () => {
+    const body = { baseStationTime: time, seqNumber: 1508, station: '1D44' };
+    moduleTested.getKey('raw', '1A2345', body).should.equal('archive/raw/2017-11-27/1A2345/1511814827-1508-1D44.json');
+    moduleTested.getKey('decoded', '1A2345', body).should.equal('archive/decoded/2017-11-27/1A2345/1511814827-1508.json');
+  });
+
+  it('should reject invalid times when replaying', () => moduleTested.replay(req, { from: 'yesterday' })
+    .then(() => { throw new Error('should be rejected'); }, error => error.message.should.match(/^Invalid time/)));
+
+  it('should replay the messages in time order', () => {
+    //  Archive the messages out of order, across 2 days.
+    const seqNumbers = [1510, 1508, 1511, 1509];
+    const times = [time + 100, time, time + 86400, time + 100];
+    return Promise.all(seqNumbers.map((seqNumber, i) => {
+      const body = { device: '1A2345', baseStationTime: times[i], seqNumber, station: '1D44' };
+      return scloud.writeFile(req, 'archive-bucket', moduleTested.getKey('raw', '1A2345', body), { device: '1A2345', body, route: ['x'] });
+    }))
+      //  Device IDs are capitalised.
+      .then(() => moduleTested.replay(req, { device: '1a2345', from: time, to: time + 86400, topic: 'sigfox/replayed' }))
+      .then((count) => {
+        count.should.equal(4);
+        const replayed = local.getPublished().filter(m => m.topic === 'sigfox/replayed').map(m => m.event);
+        replayed.map(m => m.body.seqNumber).should.deep.equal([1508, 1509, 1510, 1511]);
+        replayed.filter(m => m.body.replayed === true && !m.route).length.should.equal(4);
+      });
+  });
+
+  it('should replay only the messages in the time range', () => moduleTested.replay(req, { device: '1A2345', from: time + 1, to: time + 100, topic: 'sigfox/replayed2' })
+    .then((count) => {
+      count.should.equal(2);
+      local.getPublished().filter(m => m.topic === 'sigfox/replayed2').map(m => m.event.body.seqNumber).should.deep.equal([1509, 1510]);
+    }));
+
+  it('should archive the raw and decoded messages', () => {
+    const body = { device: '2C30EB', baseStationTime: time, seqNumber: 1508, station: '1D44', data: 'b0513801a421f0019405a500' };
+    const raw = { device: '2C30EB', body, route: [] };
+    const decoded = { device: '2C30EB', type: 'decodeStructuredMessage', body: Object.assign({ tmp: 36.9 }, body) };
+    return moduleTested.task(req, '2C30EB', raw.body, raw)
+      .then(result => result.should.equal(raw))
+      .then(() => moduleTested.task(req, '2C30EB', decoded.body, decoded))
+      .then(result => result.should.equal(decoded))
+      .then(() => Promise.all(['raw', 'decoded'].map(kind => scloud.listFiles(req, 'archive-bucket', `archive/${kind}/2017-11-27/2C30EB/`))))
+      .then((lists) => {
+        lists.should.deep.equal([['archive/raw/2017-11-27/2C30EB/1511814827-1508-1D44.json'], ['archive/decoded/2017-11-27/2C30EB/1511814827-1508.json']]);
+        return scloud.readFile(req, 'archive-bucket', lists[1][0]);
+      })
+      .then(msg => msg.should.deep.equal(decoded));
+  });
+
+  it('should not archive the replayed messages again', () => {
+    const body = { device: '3D41F0', baseStationTime: time, seqNumber: 1508, station: '1D44', replayed: true };
+    const msg = { device: '3D41F0', body };
+    return moduleTested.task(req, '3D41F0', body, msg)
+      .then(result => result.should.equal(msg))
+      .then(() => scloud.listFiles(req, 'archive-bucket', 'archive/raw/2017-11-27/3D41F0/'))
+      .then(list => list.should.deep.equal([]));
+  });
+
+  it('should replay the messages when run with a replay event', () => new Promise((resolve, reject) => moduleTested.main(
+    { replay: { device: '1A2345', from: time, to: time + 100, topic: 'sigfox/replayed3' } }, {}, (error, result) => (error ? reject(error) : resolve(result))))
+    .then((result) => {
+      result.should.equal('Replayed 3 messages');
+      local.getPublished().filter(m => m.topic === 'sigfox/replayed3').length.should.equal(3);
+    }));
+});
@@ -0,0 +1,169 @@
+//  checkDeviceStatus Installation Instructions:
+//  Copy and paste the entire contents of this file into a Lambda Function
+//  Name: checkDeviceStatus
+//  Runtime: Node.js 6.10
+//  Handler: index.main
+//  Memory: 512 MB
+//  Timeout: 5 min
+//  Existing Role: lambda_iot Role, which has the LambdaExecuteIoTUpdate Policy
+//    (defined in ../policy/LambdaExecuteIoTUpdate.json)
+//  Debugging: Enable active tracing
+//  Environment Variables:
+//    NODE_ENV=production
+//    REPORTING_INTERVAL=1h  (Default interval between messages for each device, ending with s, m, h or d)
+//    MISSED_MESSAGES=3  (Number of messages missed before the device is considered offline)
+
+//  Go to CloudWatch, create a Rule:
+//  Event Source: Schedule, Fixed rate of 5 minutes
+//  Target: Lambda Function checkDeviceStatus
+
+//  This sigfox-aws module checks every AWS IoT Thing created by the sigfox-aws framework for devices that
+//  have stopped sending messages.  The time of the last message is taken from reported.baseStationTime
+//  in the Thing Shadow.  A device is offline when it has not sent any message for MISSED_MESSAGES times
+//  its reporting interval.  To set the reporting interval of a device, set desired.reportingInterval in
+//  the Thing Shadow e.g. {"state":{"desired":{"reportingInterval":"15m"}}}.
+//  When a device goes offline or comes back online, an event is sent to sigfox/status/<deviceID> e.g.
+//  {"device":"1A2345","status":"offline","lastSeen":1511814827,"reportingInterval":3600,"timestamp":1511825627}
+//  The status of each device is kept in the Thing Shadow as reported.deviceStatus.
+/* eslint-disable max-len, camelcase, no-console, no-nested-ternary, import/no-dynamic-require, import/newline-after-import, import/no-unresolved, global-require */
+
+//  We use AutoInstall to install any Node.js libraries automatically, without manually packaging them.
+//  See https://github.com/UnaBiz/sigfox-iot-cloud/blob/master/autoinstall.js
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region AutoInstall: List all dependencies here, or just paste the contents of package.json. Autoinstall will install these dependencies.
+//  Don't include sigfox-aws, it will be automatically added as dependencies.
+
+const package_json = /* eslint-disable quote-props,quotes,comma-dangle,indent */
+//  PASTE PACKAGE.JSON BELOW  //////////////////////////////////////////////////////////
+{
+}
+//  PASTE PACKAGE.JSON ABOVE  //////////////////////////////////////////////////////////
+; /* eslint-enable quote-props,quotes,comma-dangle,indent */
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Message Processing Code
+
+
+function wrap(scloud) {
+  //  Wrap the module into a function so that all we defer loading of dependencies,
+  //  and ensure that cloud resources are properly disposed.
+  let wrapCount = 0;  //  Count how many times the wrapper has been reused.
+  const units = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };  //  Seconds per time unit.
+  const missedMessages = parseFloat(process.env.MISSED_MESSAGES || '3');
+  const batchSize = 10;  //  Check 10 devices at a time.
+
+  function parseInterval(interval) {
+    //  Return the interval in seconds for "15m", "1h", 3600, etc.  Returns null if invalid.
+    const match = /^\s*([\d.]+)\s*([smhd]?)\s*$/.exec(`${interval}`);
+    if (!match || !(parseFloat(match[1]) > 0)) return null;
+    return parseFloat(match[1]) * units[match[2] || 's'];
+  }
+
+  const defaultInterval = parseInterval(process.env.REPORTING_INTERVAL || '1h') || 60 * 60;
+
+  function getStatusEvent(device, state, now) {
+    //  Return the status event if the device has gone offline or come back online since the status
+    //  in the Thing Shadow state, e.g. {"device":"1A2345","status":"offline","lastSeen":1511814827,...}
+    //  Returns null if unchanged.
+    const reported = (state && state.reported) || {};
+    const desired = (state && state.desired) || {};
+    const lastSeen = reported.baseStationTime;
+    if (!lastSeen) return null;  //  Not a Sigfox device or no messages yet.
+    const reportingInterval = parseInterval(desired.reportingInterval) || defaultInterval;
+    const status = (now - lastSeen > reportingInterval * missedMessages) ? 'offline' : 'online';
+    //  Devices without status are assumed to be online.
+    const oldStatus = (reported.deviceStatus && reported.deviceStatus.status) || 'online';
+    if (status === oldStatus) return null;
+    return {
+      device,
+      status: status === 'offline' ? 'offline' : 'back-online',
+      lastSeen,
+      reportingInterval,
+      timestamp: Math.floor(now),
+    };
+  }
+
+  function checkDevice(req, device, now) {
+    //  Check whether the device has gone offline or come back online.  If the status has changed,
+    //  save the status in the Thing Shadow and send the status event to sigfox/status/<device>.
+    //  The status is saved only if no other Lambda Function has updated the Thing Shadow in between,
+    //  so each status event is sent only once.  Returns a promise for the new status, or null if unchanged.
+    let event = null;
+    return scloud.modifyDeviceState(req, device, (reported, state) => {
+      event = getStatusEvent(device, state, now);
+      if (!event) return null;
+      const status = event.status === 'offline' ? 'offline' : 'online';
+      return { deviceStatus: { status, lastSeen: event.lastSeen, changed: event.timestamp } };
+    })
+      .then(() => {
+        if (!event) return null;
+        scloud.log(req, 'checkDevice', { event });
+        return scloud.publishJSON(req, scloud.getQueue(req, null, `sigfox.status.${device}`), event)
+          .then(() => event.status);
+      })
+      //  Continue with the other devices in case of error.
+      .catch((error) => { scloud.error(req, 'checkDevice', { error, device }); return null; });
+  }
+
+  function checkDevices(req) {
+    //  Check the status of every device, a batch at a time.  Returns a promise for the counts
+    //  of devices that went offline and came back online.
+    const now = Date.now() / 1000;
+    const result = { offline: 0, 'back-online': 0 };
+    return scloud.listDevices(req)
+      .then((devices) => {
+        const batches = [];
+        for (let i = 0; i < devices.length; i += batchSize) batches.push(devices.slice(i, i + batchSize));
+        return batches.reduce((promise, batch) => promise
+          .then(() => Promise.all(batch.map(device => checkDevice(req, device, now))))
+          .then((statuses) => {
+            for (const status of statuses) {
+              if (status) result[status] += 1;
+            }
+          }),
+        Promise.resolve());
+      })
+      .then(() => result);
+  }
+
+  function main(event, context, callback) {
+    //  Triggered by the CloudWatch schedule.  Check the status of every device.
+    wrapCount += 1; console.log({ wrapCount });  //  Count how many times the wrapper has been reused.
+    const req = { starttime: Date.now() };
+    return checkDevices(req)
+      .then((result) => {
+        scloud.log(req, 'checkDeviceStatus', { result });
+        //  Wait for the error reports of this invocation to be sent before returning.
+        return scloud.flushErrors(req).then(() => callback(null, result));
+      })
+      .catch(error => scloud.flushErrors(req).then(() => callback(error)));
+  }
+
+  //  Unit Test
+  if (process.env.NODE_ENV !== 'production') return { main, parseInterval, getStatusEvent, checkDevices };
+
+  //  Expose these functions outside of the wrapper.
+  //  When this Cloud Function is triggered by the schedule, we call main().
+  return { main };
+}
+
+//  Unit Test
+if (process.env.NODE_ENV !== 'production') module.exports = wrap(require('../index'));
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Standard Code for AutoInstall Startup Function 1.0.  Do not modify.  https://github.com/UnaBiz/sigfox-iot-cloud/blob/master/autoinstall.js
+/*  eslint-disable camelcase,no-unused-vars,import/no-absolute-path,import/no-unresolved,no-use-before-define,global-require,max-len,no-tabs,brace-style,import/no-extraneous-dependencies */
+const wrapper = {};  //  The single reused wrapper instance (initially empty) for invoking the module functions.
+exports.main = process.env.FUNCTION_NAME ? require('sigfox-gcloud/main').getMainFunction(wrapper, wrap, package_json)  //  Google Cloud.
+  : (event, context, callback) => {
+    const afterExec = error => error ? callback(error, 'AutoInstall Failed')
+      : require('/tmp/autoinstall').installAndRunWrapper(event, context, callback, package_json, __filename, wrapper, wrap);
+    if (require('fs').existsSync('/tmp/autoinstall.js')) return afterExec(null);  //  Already downloaded.
+    const cmd = 'curl -s -S -o /tmp/autoinstall.js https://raw.githubusercontent.com/UnaBiz/sigfox-iot-cloud/master/autoinstall.js';
+    const child = require('child_process').exec(cmd, { maxBuffer: 1024 * 500 }, afterExec);
+    child.stdout.on('data', console.log); child.stderr.on('data', console.error); return null; };
+//  exports.main is the startup function for AWS Lambda and Google Cloud Function.
+//  When AWS starts our Lambda function, we load the autoinstall script from GitHub to install any NPM dependencies.
+//  For first run, install the dependencies specified in package_json and proceed to next step.
+//  For future runs, just execute the wrapper function with the event, context, callback parameters.
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
@@ -0,0 +1,58 @@
+//  Unit Test for the offline and back-online events of devices that stop and resume sending
+/* global describe:true, it:true */
+/* eslint-disable max-len */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Run with the local emulator, so that no AWS credentials are needed.
+process.env.SIGFOX_LOCAL = 'true';
+//  The reporting interval is configured when the module is loaded.
+process.env.REPORTING_INTERVAL = '1h';
+process.env.MISSED_MESSAGES = '3';
+const chai = require('chai');
+
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+
+const moduleName = 'checkDeviceStatus'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+
+const lastSeen = 1511814827;  //  Time of the last message from the device in seconds.
+const hour = 60 * 60;
+
+describe(moduleName, () => {
+  it('should parse the reporting interval', () => {
+    moduleTested.parseInterval('15m').should.equal(900);
+    moduleTested.parseInterval(' 1.5 h ').should.equal(5400);
+    moduleTested.parseInterval('2d').should.equal(172800);
+    moduleTested.parseInterval(3600).should.equal(3600);
+    should.not.exist(moduleTested.parseInterval('0'));
+    should.not.exist(moduleTested.parseInterval('1w'));
+    should.not.exist(moduleTested.parseInterval(undefined));
+  });
+
+  it('should report devices that stopped sending as offline', () => {
+    const state = { reported: { baseStationTime: lastSeen } };
+    should.not.exist(moduleTested.getStatusEvent('1A2345', state, lastSeen + (3 * hour)));
+    moduleTested.getStatusEvent('1A2345', state, lastSeen + (3 * hour) + 1).should.deep.equal({
+      device: '1A2345', status: 'offline', lastSeen, reportingInterval: hour, timestamp: lastSeen + (3 * hour) + 1,
+    });
+  });
+
+  it('should use the reporting interval of the device', () => {
+    const state = { reported: { baseStationTime: lastSeen }, desired: { reportingInterval: '15m' } };
+    moduleTested.getStatusEvent('1A2345', state, lastSeen + hour).status.should.equal('offline');
+    moduleTested.getStatusEvent('1A2345', state, lastSeen + hour).reportingInterval.should.equal(900);
+  });
+
+  it('should report offline devices that resumed sending as back online', () => {
+    const offline = { status: 'offline', lastSeen: lastSeen - (4 * hour), changed: lastSeen - hour };
+    const state = { reported: { baseStationTime: lastSeen, deviceStatus: offline } };
+    moduleTested.getStatusEvent('1A2345', state, lastSeen + 60).status.should.equal('back-online');
+    //  The status event is sent only once.
+    const stillOffline = { reported: { baseStationTime: lastSeen - (4 * hour), deviceStatus: offline } };
+    should.not.exist(moduleTested.getStatusEvent('1A2345', stillOffline, lastSeen));
+  });
+
+  it('should skip devices without messages', () => {
+    should.not.exist(moduleTested.getStatusEvent('1A2345', {}, lastSeen));
+    should.not.exist(moduleTested.getStatusEvent('1A2345', null, lastSeen));
+  });
+});
@@ -10,6 +10,7 @@
 const isGoogleCloud = !!process.env.FUNCTION_NAME || !!process.env.GAE_SERVICE;
 const isAWS = !!process.env.AWS_LAMBDA_FUNCTION_NAME;
 const isProduction = (process.env.NODE_ENV === 'production');  //  True on production server.
+const isLocal = !!process.env.SIGFOX_LOCAL;  //  True when running with the local emulator in ./local.
 
 const functionName = process.env.AWS_LAMBDA_FUNCTION_NAME || 'unknown_function';
 const logName = process.env.LOGNAME || 'sigfox-aws';
@@ -17,13 +18,22 @@ if (process.env.AWS_EXECUTION_ENV && process.env.AWS_EXECUTION_ENV.indexOf('AWS_
   //  Confirm that NODE_ENV is set to "production".  This is enforced in Google Cloud but not AWS.
   throw new Error('NODE_ENV must be set to "production" in AWS Lambda environment');
 }
-process.env.AWS_XRAY_DEBUG_MODE = 'TRUE';
+//  Set AWS_XRAY_DEBUG_MODE=TRUE to show the debug log of the AWS X-Ray SDK.  Not recommended for production.
 process.env.PACKAGE_VERSION = require('./package.json').version;
 console.log({ gcloud_aws_version: process.env.PACKAGE_VERSION });
 
 //  //////////////////////////////////////////////////////////////////////////////////// endregion
 //  region Utility Functions
 
+function parseJSON(text) {
+  //  Parse the JSON text and return the object, or null if the text is not valid JSON.
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
 //  //////////////////////////////////////////////////////////////////////////////////// endregion
 //  region Instrumentation Functions: Trace the execution of this Sigfox Callback across multiple Cloud Functions via AWS X-Ray
 
@@ -31,82 +41,69 @@ console.log({ gcloud_aws_version: process.env.PACKAGE_VERSION });
 //  Allow AWS X-Ray to capture trace.
 //  eslint-disable-next-line import/no-unresolved
 const AWSXRay = require('aws-xray-sdk-core');
+const crypto = require('crypto');  //  For segment IDs, S3 locations and verifying callbacks.
 AWSXRay.setStreamingThreshold(0);  //  TODO: Send XRay events immediately.
-AWSXRay.middleware.setSamplingRules({
-  default: {
-    fixed_target: 100,  //  default 1
-    rate: 0.90,  //  default 0.05
-  },
-  version: 1,
-});
 
-//  Clear the AWS Xray whitelist to disallow any AWS functions to be traced.
-/* AWSXRay.setAWSWhitelist({
-  services: {
-  },
-}); */
-
-//  Clear the AWS Xray whitelist and allow only AWS Lambda to be traced.
-/* AWSXRay.setAWSWhitelist({
-  services: {
-    lambda: {
-      operations: {
-        invoke: {
-          request_parameters: [
-            'FunctionName',
-            'InvocationType',
-            'LogType',
-            'Qualifier',
-          ],
-          response_parameters: [
-            'FunctionError',
-            'StatusCode',
-          ],
-        },
-        invokeAsync: {
-          request_parameters: [
-            'FunctionName',
-          ],
-          response_parameters: [
-            'Status',
-          ],
-        },
-      },
-    },
-  },
-}); */
-
-//  Extend the AWS Xray whitelist to allow these functions to log.
-/* AWSXRay.appendAWSWhitelist({
-  services: {
-    xray: {
-      operations: {
-        putTraceSegments: {},
-      },
-    },
-    iot: {
-      operations: {
-        describeEndpoint: {},
-      },
-    },
-    iotdata: {
-      operations: {
-        publish: {},
-      },
-    },
-  },
-}); */
+//  Sampling rules for tracing Sigfox messages, decided by sigfoxCallback and passed along the chain of Lambda Functions.
+//  Set SIGFOX_TRACE_SAMPLING to the rules in JSON, or to the S3 file <bucket>/<file> containing the rules, e.g.
+//  { "fixed_target": 1, "rate": 0.05, "devices": { "2C30EB": true, "1A2345": false } }
+//  fixed_target is the number of messages per second to be traced, rate is the fraction of the other messages
+//  to be traced.  devices always (true) or never (false) traces the devices.  The defaults trace most messages.
+const defaultSamplingRules = {
+  fixed_target: 100,
+  rate: 0.90,
+};
+const samplingExpiry = 10 * 1000;  //  Reload the sampling rules from S3 after 10 seconds.
+let samplingRules = null;
+let samplingRulesExpiry = 0;
+let samplingSecond = 0;  //  The second when we last sampled a message, for counting fixed_target.
+let samplingCount = 0;  //  Number of messages sampled in samplingSecond.
+
+//  AWS SDK calls to be traced as X-Ray subsegments.  We don't use AWSXRay.captureAWS() because it attaches
+//  the subsegments to the Lambda segment created by AWS, not the segments that we send for the Sigfox message.
+//  Set SIGFOX_TRACE_AWS to the services and operations to be traced, e.g. "S3,IotData.publish", or "none".
+//  A service without operations will trace the operations listed here.  Calls are traced under the trace of the
+//  request passed to promise(req), e.g. s3.getObject(params).promise(req).
+const defaultAWSWhitelist = {
+  S3: ['getObject', 'putObject', 'deleteObject', 'listObjectsV2'],
+  Iot: ['describeThing', 'createThing', 'updateThing', 'listThings', 'listThingGroupsForThing',
+    'addThingToThingGroup', 'removeThingFromThingGroup'],
+  IotData: ['publish', 'getThingShadow', 'updateThingShadow'],
+  SQS: ['sendMessage'],
+  SNS: ['publish'],
+};
+
+function getAWSWhitelist(config) {
+  //  Return the AWS services and operations to be traced, e.g. "S3,IotData.publish" returns
+  //  { S3: ['getObject', 'putObject', ...], IotData: ['publish'] }
+  const whitelist = {};
+  for (const item of (config || '').split(',')) {
+    const service = item.trim().split('.')[0];
+    const operation = item.trim().split('.')[1];
+    if (!service || service === 'none') continue;
+    if (operation) whitelist[service] = (whitelist[service] || []).concat([operation]);
+    else whitelist[service] = defaultAWSWhitelist[service] || [];
+  }
+  return whitelist;
+}
+
+const awsWhitelist = getAWSWhitelist(process.env.SIGFOX_TRACE_AWS || 'S3,Iot,IotData');
 
 //  Create the AWS SDK instance.  aws-sdk is automatically provided in AWS Lambda, no need to add to dependencies.
 //  eslint-disable-next-line import/no-extraneous-dependencies
-const AWS = require('aws-sdk');  //  Disable Xray logging for AWS requests.
-/* const AWS = isProduction
-  ? AWSXRay.captureAWS(require('aws-sdk')) //  Enable Xray logging for AWS requests.
-  : require('aws-sdk'); */
+const AWS = require('aws-sdk');  //  AWS requests are traced by traceAWSClient(), not AWSXRay.captureAWS().
 if (isProduction) AWS.config.update({ region: process.env.AWS_REGION });
-else AWS.config.loadFromPath('./aws-credentials.json');
+else if (!isLocal) AWS.config.loadFromPath('./aws-credentials.json');
+
+function newAWSClient(service, options) {
+  //  Return a new AWS SDK client for the service e.g. newAWSClient('S3') returns new AWS.S3().
+  //  When running with the local emulator, return the local stand-in instead.
+  //  eslint-disable-next-line global-require
+  if (isLocal) return traceAWSClient(service, require('./local').createClient(service, options));
+  return traceAWSClient(service, new AWS[service](options));
+}
 
-//  TODO: Create spans and traces for logging performance.
+//  Span returned when we are not tracing.
 const rootSpanStub = {
   startSpan: (/* rootSpanName, labels */) => ({
     end: () => ({}),
@@ -114,20 +111,25 @@ const rootSpanStub = {
   end: () => ({}),
 };
 
-//  Remember the current AWS XRay trace.
-let parentSegmentId = null;
-let childSegmentId = null;
-let parentSegment = null;
-let childSegment = null;
-let traceId = null;
+//  The AWS XRay trace of each request is kept in req.traceContext, see createTraceContext().
+
+const maxEndedSpans = 50;  //  Send the ended subsegments when we have this many.
+
+//  Parameters of AWS SDK calls to be recorded in the subsegment.
+const awsParameters = {
+  Bucket: 'bucket_name',
+  Key: 'key',
+  Prefix: 'prefix',
+  topic: 'topic',
+  thingName: 'thing_name',
+  QueueUrl: 'queue_url',
+  TopicArn: 'topic_arn',
+};
 
 //  Prefix all segment names by the version number.
 //  const namePrefix = ['a', process.env.PACKAGE_VERSION.split('.').join(''), '_'].join('');
 const namePrefix = '';  //  No prefix for segment name.
 
-//  Random prefix for segment ID.
-let segmentPrefix = '';
-
 function sendTrace(req, segment) {
   //  Send the AWS XRay segment to AWS. Returns a promise.
   const params = {
@@ -135,12 +137,151 @@ function sendTrace(req, segment) {
       JSON.stringify(segment),
     ],
   };
-  const xray = new AWS.XRay();
+  const xray = newAWSClient('XRay');
   return xray.putTraceSegments(params).promise()
     .then((res) => { console.log('sendSegment', segment, res); return res; })
     .catch(error => console.error('sendSegment', segment, error.message, error.stack));
 }
 
+function composeSpanAnnotations(labels) {
+  //  Convert the span labels to AWS XRay annotations.  Annotation keys may only contain letters, numbers and underscore.
+  const annotations = {};
+  for (const key of Object.keys(labels || {})) {
+    const val = labels[key];
+    if (val === null || val === undefined) continue;
+    annotations[key.replace(/\W/g, '_')] = (typeof val === 'number' || typeof val === 'boolean') ? val : `${val}`;
+  }
+  return annotations;
+}
+
+function createTraceContext() {
+  //  Return a new trace context for the request.  parentSegment is the segment passed by the previous
+  //  Lambda Function (or created by sigfoxCallback), childSegment is the segment for this Lambda Function.
+  //  openSpans and endedSpans are the subsegments for the spans.  sampled is false if the message is not traced,
+  //  null if sampling has not been decided.  pendingSegments are the segments to be sent once sampled.
+  return {
+    traceId: null,
+    parentSegmentId: null,
+    parentSegment: null,
+    childSegmentId: null,
+    childSegment: null,
+    openSpans: [],
+    endedSpans: [],
+    sampled: true,
+    samplingPromise: null,
+    device: null,
+    pendingSegments: [],
+  };
+}
+
+function getTraceContext(req) {
+  //  Return the trace context of the request.  Create one if missing.
+  //  eslint-disable-next-line no-param-reassign
+  if (!req.traceContext) req.traceContext = createTraceContext();
+  return req.traceContext;
+}
+
+function sendSpans(trace) {
+  //  Send the ended subsegments of the trace to AWS XRay in a single request.  Returns a promise.
+  //  If sampling has not been decided, keep the subsegments until shutdown.
+  if (trace.endedSpans.length === 0 || trace.sampled !== true) return Promise.resolve(null);
+  const params = {
+    TraceSegmentDocuments: trace.endedSpans.splice(0).map(subsegment => JSON.stringify(subsegment)),
+  };
+  const xray = newAWSClient('XRay');
+  return xray.putTraceSegments(params).promise()
+    .catch(error => console.error('sendSpans', error.message, error.stack));
+}
+
+function startSpan(trace, parent, name, labels, fields) {
+  //  Start an AWS XRay subsegment of the trace under the parent segment or subsegment.  labels are recorded as annotations,
+  //  fields are added to the subsegment.  Returns a span with startSpan(name, labels) for starting a nested span
+  //  and end(error) for ending the span.  Returns the stub span if we are not tracing.
+  if (!parent) return rootSpanStub;
+  const subsegment = Object.assign({
+    type: 'subsegment',
+    //  Names may only contain letters, numbers, whitespace and _ . : / % & # = + \ - @
+    name: `${name || 'missing_name'}`.replace(/[^\w\s.:/%&#=+\\\-@]/g, '_').substr(0, 200),
+    id: newTraceSegmentId(),
+    trace_id: parent.trace_id,
+    parent_id: parent.id,
+    start_time: Date.now() / 1000.0,
+  }, fields);
+  const annotations = composeSpanAnnotations(labels);
+  if (Object.keys(annotations).length > 0) subsegment.annotations = annotations;
+  const span = {
+    subsegment,
+    startSpan: (name0, labels0) => startSpan(trace, subsegment, name0, labels0),
+    end: (error) => {
+      const index = trace.openSpans.indexOf(span);
+      if (index < 0) return subsegment;  //  Already ended.
+      trace.openSpans.splice(index, 1);
+      subsegment.end_time = Date.now() / 1000.0;
+      if (error) {
+        subsegment.fault = true;
+        subsegment.cause = { exceptions: [{ message: error.message, type: error.code || error.name }] };
+      }
+      trace.endedSpans.push(subsegment);
+      if (trace.endedSpans.length >= maxEndedSpans) sendSpans(trace);
+      return subsegment;
+    },
+  };
+  trace.openSpans.push(span);
+  return span;
+}
+
+function endSpans(trace) {
+  //  End the spans of the trace that are still open and send all ended subsegments.  Returns a promise.
+  for (const span of trace.openSpans.slice()) span.end();
+  return sendSpans(trace);
+}
+
+function createTrace(trace) {
+  //  Return the root trace for the child segment of the trace context.  The root span is a subsegment of the Lambda segment
+  //  and is ended when the root trace is ended.  sigfox-iot-cloud replaces the end() of the root span
+  //  by the end() of the root trace, so we keep the original end().
+  let endRootSpan = null;
+  return {
+    traceId: [trace.traceId, trace.parentSegmentId].join('|'),
+    startSpan: (rootSpanName, labels) => {
+      const rootSpan = startSpan(trace, trace.childSegment, rootSpanName, labels);
+      endRootSpan = rootSpan.end;
+      return rootSpan;
+    },
+    end: () => (endRootSpan ? endRootSpan() : {}),
+  };
+}
+
+function traceAWSClient(service, client) {
+  //  Trace the whitelisted operations of the AWS SDK client as subsegments of the Lambda segment of the
+  //  request.  The operation is traced when called with promise(req) for a request that is traced.  Returns the client.
+  for (const operation of awsWhitelist[service] || []) {
+    const call = client[operation];
+    if (typeof call !== 'function') continue;
+    // eslint-disable-next-line no-param-reassign
+    client[operation] = (...args) => {
+      const request = call.apply(client, args);
+      if (!request || typeof request.promise !== 'function') return request;
+      const promise = request.promise;
+      request.promise = (req) => {
+        const trace = req && req.traceContext;
+        const aws = { operation };
+        const params = args[0] || {};
+        for (const key of Object.keys(awsParameters)) {
+          if (params[key] !== undefined) aws[awsParameters[key]] = params[key];
+        }
+        const span = trace ? startSpan(trace, trace.childSegment, service, null, { namespace: 'aws', aws })
+          : rootSpanStub;
+        return promise.call(request)
+          .then((res) => { span.end(); return res; })
+          .catch((error) => { span.end(error); throw error; });
+      };
+      return request;
+    };
+  }
+  return client;
+}
+
 function createTraceSegment(traceId0, segmentId, parentSegmentId0, name0, user, annotations, metadata, startTime, comment) {
   //  Create a new AWS XRay segment.  startTime (optional) is number of milliseconds since Jan 1 1970.
   //  const suffix = ` (${process.env.PACKAGE_VERSION.split('.').join('')})`;
@@ -199,6 +340,112 @@ function closeTraceSegment(segment) {
     .catch(error => console.error('closeSegment', error.message, error.stack));
 }
 
+function sendTraceSegment(trace, segment) {
+  //  Send the segment if the trace is sampled.  If sampling has not been decided, the latest
+  //  version of the segment will be sent when sampled.  Returns a promise.
+  if (trace.sampled === false) return Promise.resolve(null);
+  if (trace.sampled === null) {
+    if (trace.pendingSegments.indexOf(segment) < 0) trace.pendingSegments.push(segment);
+    return Promise.resolve(null);
+  }
+  return sendTrace({}, segment);
+}
+
+function getSamplingRules(req) {
+  //  Return a promise for the sampling rules in SIGFOX_TRACE_SAMPLING, which contains the rules in JSON
+  //  or the S3 file location e.g. my-bucket/sampling.json.  Returns the default rules if not set.
+  const config = process.env.SIGFOX_TRACE_SAMPLING;
+  if (!config) return Promise.resolve(defaultSamplingRules);
+  if (config.trim().startsWith('{')) {
+    if (!samplingRules) {
+      const rules = parseJSON(config);
+      //  Use the default rules, but report the error so that the configuration is fixed.
+      if (!rules) module.exports.error(req, 'getSamplingRules', { error: new Error('SIGFOX_TRACE_SAMPLING is not valid JSON'), config });
+      samplingRules = Object.assign({}, defaultSamplingRules, rules);
+    }
+    return Promise.resolve(samplingRules);
+  }
+  if (samplingRules && samplingRulesExpiry >= Date.now()) return Promise.resolve(samplingRules);
+  //  Extend the expiry temporarily so we don't have concurrent requests to fetch the rules.
+  if (samplingRules) samplingRulesExpiry = Date.now() + samplingExpiry;
+  const bucket = config.split('/')[0];
+  const name = config.substr(bucket.length + 1);
+  return readFile(req, bucket, name)
+    .then((res) => {
+      //  In case of error, reuse the previous rules if any.
+      if (!res) return samplingRules || defaultSamplingRules;
+      samplingRules = Object.assign({}, defaultSamplingRules, res);
+      samplingRulesExpiry = Date.now() + samplingExpiry;
+      module.exports.log(req, 'getSamplingRules', { result: samplingRules, location: config });
+      return samplingRules;
+    });
+}
+
+function applySamplingRules(rules) {
+  //  Return true if the message should be traced.  The first fixed_target messages in each second are
+  //  traced, followed by the fraction rate of the remaining messages.
+  const second = Math.floor(Date.now() / 1000);
+  if (second !== samplingSecond) {
+    samplingSecond = second;
+    samplingCount = 0;
+  }
+  if (samplingCount < (rules.fixed_target || 0)) {
+    samplingCount += 1;
+    return true;
+  }
+  return Math.random() < (rules.rate || 0);
+}
+
+function isDeviceSampled(req, device) {
+  //  Return a promise for true if the message from the device should be traced.  Sampling is decided in this order:
+  //  (1) The "trace" attribute of the AWS IoT Thing: "always" or "never"
+  //  (2) The device in the "devices" of the sampling rules SIGFOX_TRACE_SAMPLING
+  //  (3) fixed_target and rate of the sampling rules
+  return Promise.all([
+    getSamplingRules(req),
+    //  eslint-disable-next-line no-use-before-define
+    device ? describeDevice(req, device) : Promise.resolve(null),
+  ])
+    .then((res) => {
+      const rules = res[0];
+      const thing = res[1] || {};
+      const attribute = `${(thing.attributes || {}).trace || ''}`.toLowerCase();
+      if (attribute === 'always') return true;
+      if (attribute === 'never') return false;
+      const override = (rules.devices || {})[device];
+      if (override !== undefined && override !== null) return (override === true || override === 'always');
+      return applySamplingRules(rules);
+    });
+}
+
+function sampleTrace(req, trace) {
+  //  Decide whether to trace the message received by sigfoxCallback.  If sampled, send the segments
+  //  created so far.  Returns a promise for true if sampled.
+  return isDeviceSampled(req, trace.device)
+    .catch((error) => {
+      module.exports.error(req, 'sampleTrace', { error, device: trace.device });
+      return true;
+    })
+    .then((sampled) => {
+      /* eslint-disable no-param-reassign */
+      trace.sampled = sampled;
+      const segments = trace.pendingSegments.splice(0);
+      if (sampled) segments.forEach(segment => sendTrace(req, segment));
+      else trace.endedSpans.splice(0);
+      /* eslint-enable no-param-reassign */
+      module.exports.log(req, 'sampleTrace', { sampled, device: trace.device });
+      return sampled;
+    });
+}
+
+function waitForSampling(req) {
+  //  Return a promise for true if the message is traced.  For sigfoxCallback this waits
+  //  for the sampling decision, so that the next Lambda Functions know whether to trace.
+  const trace = req.traceContext;
+  if (!trace) return Promise.resolve(false);
+  return trace.samplingPromise || Promise.resolve(trace.sampled);
+}
+
 /* function newTraceId() {
   //  Return a new Xray trace ID to identify a new request.
   const trace_id_time = Math.floor(Date.now() / 1000).toString(16);
@@ -231,23 +478,11 @@ function getTraceMetadata(payload) {
   return metadata;
 }
 
-let lastSegmentId = null;
-
 function newTraceSegmentId() {
   //  Return a unique new XRay segment ID to identify the segment of running request code trace.
-  //  Segment IDs must be 16 hex digits.  We simply take the current epoch time
-  //  and convert to hex.
-  const time = Date.now();
-  let segmentId = null;
-  for (let i = 0; i < 2; i += 1) {
-    //  Loop twice if the segmentId is same as previous.
-    const timeHex = Math.floor(time + i).toString(16);
-    segmentId = (`0000000000000000${segmentPrefix}0${timeHex}`);
-    segmentId = segmentId.substr(segmentId.length - 16);  //  16-digits
-    if (segmentId !== lastSegmentId) break;
-  }
-  lastSegmentId = segmentId;
-  return segmentId;
+  //  Segment IDs must be 16 hex digits.  We use 64 random bits so that the IDs won't clash
+  //  across Lambda Functions and invocations.
+  return crypto.randomBytes(8).toString('hex');
 }
 
 function getLambdaPrefix(annotations) {
@@ -257,74 +492,78 @@ function getLambdaPrefix(annotations) {
     : '';
 }
 
-function startTrace(/* req */) {
+function startTrace(req) {
   //  Start the trace.  Called by sigfoxCallback to start a trace.
-  console.log('startTrace - parentSegment', parentSegment);
+  const trace = getTraceContext(req);
+  console.log('startTrace - parentSegment', trace.parentSegment);
 
   //  Create the child segment to represent sigfoxCallback.
-  if (parentSegment) {
+  if (trace.parentSegment) {
+    const parentSegment = trace.parentSegment;
     const name = `${getLambdaPrefix(parentSegment.annotations)}${functionName}`;
     const comment = `Run Lambda Func ${functionName}`;
-    childSegmentId = newTraceSegmentId();
-    childSegment = openTraceSegment(traceId, childSegmentId, parentSegmentId, name,
+    trace.childSegmentId = newTraceSegmentId();
+    trace.childSegment = createTraceSegment(trace.traceId, trace.childSegmentId, trace.parentSegmentId, name,
       parentSegment.user, parentSegment.annotations, parentSegment.metadata, null, comment);
-    console.log('startTrace - childSegment:', childSegment);
+    sendTraceSegment(trace, trace.childSegment);
+    console.log('startTrace - childSegment:', trace.childSegment);
   }
-  const rootTraceStub = {  // new tracingtrace(tracing, rootTraceId);
-    traceId: [traceId, parentSegmentId].join('|'),
-    startSpan: (/* rootSpanName, labels */) => rootSpanStub,
-    end: () => ({}),
-  };
-  const tracing = { startTrace: () => rootTraceStub };
-  return tracing.startTrace();
+  //  Spans will be created as subsegments of the child segment.
+  return createTrace(trace);
 }
 
 function createRootTrace(req, traceId0, traceSegment0) {
   //  Return the root trace for instrumentation.  Called by
   //  non-sigfoxCallback (e.g. routeMessage) to continue a trace.
   //  We continue the trace passed by the previous Lambda and create a child segment.
+  const trace = getTraceContext(req);
   if (traceSegment0) {
     //  Resume the receiver segment from the previous Lambda.
-    parentSegment = traceSegment0;
+    const parentSegment = traceSegment0;
     const name = `${getLambdaPrefix(parentSegment.annotations)}${functionName}`;
     parentSegment.http.request.method += ` ${functionName}`;
     parentSegment.name = name;
-    traceId = parentSegment.trace_id;
-    parentSegmentId = parentSegment.id;
+    trace.parentSegment = parentSegment;
+    trace.traceId = parentSegment.trace_id;
+    trace.parentSegmentId = parentSegment.id;
     sendTrace(req, parentSegment);
     console.log('createRootTrace - parentSegment:', parentSegment);
   }
   //  Create the child segment.
-  if (parentSegment) {
+  if (trace.parentSegment) {
+    const parentSegment = trace.parentSegment;
     const name = `${getLambdaPrefix(parentSegment.annotations)}${functionName}`;
     const comment = `Run Lambda Func ${functionName}`;
-    childSegmentId = newTraceSegmentId();
-    childSegment = openTraceSegment(traceId, childSegmentId, parentSegmentId, name,
+    trace.childSegmentId = newTraceSegmentId();
+    trace.childSegment = openTraceSegment(trace.traceId, trace.childSegmentId, trace.parentSegmentId, name,
       parentSegment.user, parentSegment.annotations, parentSegment.metadata, null, comment);
-    console.log('createRootTrace - childSegment:', childSegment);
+    console.log('createRootTrace - childSegment:', trace.childSegment);
 
     //  Close the parent segment.
     closeTraceSegment(parentSegment);
     console.log('Close parentSegment', parentSegment);
-    parentSegment = null;
+    trace.parentSegment = null;
   }
-  const rootTraceStub = {
-    traceId: [traceId, parentSegmentId].join('|'),
-    startSpan: (/* rootSpanName, labels */) => rootSpanStub,
-    end: () => ({}),
-  };
-  return rootTraceStub;
+  //  Spans will be created as subsegments of the child segment.
+  return createTrace(trace);
 }
 
 function initTrace(event, context) {
-  //  During startup, create the trace segments.
+  //  During startup, create the trace segments.  Returns the trace context for the request.
+  const trace = createTraceContext();
   const startTime = context.autoinstallStart;  //  Use autoinstall start time as start time.
-  const body = (typeof event.body === 'string') ? JSON.parse(event.body) : event.body;
+  const body = (typeof event.body === 'string') ? (parseJSON(event.body) || {}) : event.body;
   const annotations = composeTraceAnnotations(body);
   const metadata = getTraceMetadata(event);
   const prefix = getLambdaPrefix(annotations);
   console.log('initTrace', { body, annotations, metadata });
 
+  if (event.traceSampled === false) {
+    //  The previous Lambda decided not to trace this message.  Don't create any segments.
+    trace.sampled = false;
+    console.log('initTrace - not sampled');
+    return trace;
+  }
   if (process.env._X_AMZN_TRACE_ID && !event.traceSegment) {
     //  This is the first Lambda in the chain, i.e. sigfoxCallback.
     //  For sigfoxCallback, we create a new segment and specify the URL.
@@ -340,24 +579,25 @@ function initTrace(event, context) {
       const val = fieldSplit[1];
       parsedFields[key] = val;
     }
-    traceId = parsedFields.Root;
+    trace.traceId = parsedFields.Root;
     const rootSegmentId = parsedFields.Parent;
 
-    //  Create a new segment.
+    //  Create a new segment.  The segments will be sent after init() decides to sample the message.
     const comment = 'Receive message from Sigfox via HTTP POST Callback';
-    parentSegmentId = newTraceSegmentId();
-    parentSegment = openTraceSegment(traceId, parentSegmentId, rootSegmentId, prefix + functionName,
+    trace.sampled = null;
+    trace.device = annotations.device ? `${annotations.device}`.toUpperCase() : null;
+    trace.parentSegmentId = newTraceSegmentId();
+    trace.parentSegment = createTraceSegment(trace.traceId, trace.parentSegmentId, rootSegmentId, prefix + functionName,
       annotations.device, annotations, metadata, startTime, comment);
+    sendTraceSegment(trace, trace.parentSegment);
   } else if (event.traceSegment) {
     //  This is the second or later Lambda in the chain, e.g. routeMessage, decodeStructuredMessage.
-    //  Set the environment for AWS XRay tracing based on the traceSegment passed by previous Lambda.
-    //  _X_AMZN_TRACE_ID will become 'Root=1-5a24ba7c-4cfeb71c7b94c50c2f420a8c;Parent=6d0cb8bb50733c26;Sampled=1',
-    parentSegment = JSON.parse(JSON.stringify(event.traceSegment));
-    traceId = parentSegment.trace_id;
-    parentSegmentId = parentSegment.id;
+    //  Continue the AWS XRay trace based on the traceSegment passed by previous Lambda.
+    trace.parentSegment = JSON.parse(JSON.stringify(event.traceSegment));
+    trace.traceId = trace.parentSegment.trace_id;
+    trace.parentSegmentId = trace.parentSegment.id;
   }
-  //  Update the environment.
-  process.env._X_AMZN_TRACE_ID = `Root=${traceId};Parent=${parentSegmentId};Sampled=1`;
+  //  The trace is kept in the request, not in _X_AMZN_TRACE_ID, which is shared by all invocations.
 
   //  Create a segment for autoinstall and close it.
   let autoinstallSegment = null;
@@ -365,18 +605,20 @@ function initTrace(event, context) {
     //  name = 2C30EB_@_autoinstall_sigfoxCallback
     const name = `${prefix}autoinstall_${functionName}`;
     const comment = `Autoinstall modules for ${functionName}`;
-    autoinstallSegment = openTraceSegment(traceId, newTraceSegmentId(), parentSegmentId, name,
+    autoinstallSegment = createTraceSegment(trace.traceId, newTraceSegmentId(), trace.parentSegmentId, name,
       annotations.device, annotations, metadata, startTime, comment);
-    closeTraceSegment(autoinstallSegment);
+    autoinstallSegment.end_time = Date.now() / 1000.0;
+    delete autoinstallSegment.in_progress;
+    sendTraceSegment(trace, autoinstallSegment);
   }
-  console.log('initTrace parentSegment', parentSegment, '_X_AMZN_TRACE_ID', process.env._X_AMZN_TRACE_ID,
-    { autoinstallSegment });
+  console.log('initTrace parentSegment', trace.parentSegment, 'traceId', trace.traceId, { autoinstallSegment });
+  return trace;
 }
 
 //  //////////////////////////////////////////////////////////////////////////////////// endregion
 //  region File Functions: Store and retrieve files from AWS S3 storage
 
-const s3 = new AWS.S3();
+const s3 = newAWSClient('S3');
 
 function writeFile(req, bucket, name, obj) {
   //  Write file to S3 bucket.  Serialise the object to JSON.  Returns a promise.
@@ -385,7 +627,7 @@ function writeFile(req, bucket, name, obj) {
     Bucket: bucket,
     Key: name,
   };
-  return s3.putObject(params).promise()
+  return s3.putObject(params).promise(req)
     .catch((error) => {
       module.exports.error(req, 'writeFile', { error, bucket, name });
       throw error;
@@ -399,7 +641,7 @@ function readFile(req, bucket, name) {
     Bucket: bucket,
     Key: name,
   };
-  return s3.getObject(params).promise()
+  return s3.getObject(params).promise(req)
     .then(res => (res && res.Body) ? JSON.parse(res.Body) : null)
     .catch(() => null);
 }
@@ -410,28 +652,152 @@ function deleteFile(req, bucket, name) {
     Bucket: bucket,
     Key: name,
   };
-  return s3.deleteObject(params).promise()
+  return s3.deleteObject(params).promise(req)
     .catch((error) => {
       module.exports.error(req, 'deleteFile', { error, bucket, name });
       throw error;
     });
 }
 
+function listFiles(req, bucket, prefix, token, names0) {
+  //  Return a promise for the names of all files in the S3 bucket that start with the prefix.
+  const names = names0 || [];
+  const params = { Bucket: bucket, Prefix: prefix };
+  if (token) params.ContinuationToken = token;
+  return s3.listObjectsV2(params).promise(req)
+    .then((res) => {
+      const result = names.concat((res.Contents || []).map(obj => obj.Key));
+      if (res.IsTruncated && res.NextContinuationToken) return listFiles(req, bucket, prefix, res.NextContinuationToken, result);
+      return result;
+    })
+    .catch((error) => {
+      module.exports.error(req, 'listFiles', { error, bucket, prefix });
+      throw error;
+    });
+}
+
 //  //////////////////////////////////////////////////////////////////////////////////// endregion
 //  region Logging Functions: Log to AWS CloudWatch
 
-//  Logger object for AWS.
+//  Logs are written to the console as single lines of JSON, which AWS Lambda sends to AWS CloudWatch Logs.
+//  Set SIGFOX_LOG_LEVEL to debug (default), info, warn or error to skip the logs below the level.
+//  Set SIGFOX_LOG_DEBUG_SAMPLING to the fraction of requests (0 to 1) that will write debug logs, default 1.
+const logLevels = { debug: 10, info: 20, warn: 30, error: 40 };
+const logLevel = logLevels[(process.env.SIGFOX_LOG_LEVEL || '').toLowerCase()] || logLevels.debug;
+const debugSampling = parseFloat(process.env.SIGFOX_LOG_DEBUG_SAMPLING || '1');
+//  Log entries written by sigfox-iot-cloud don't have the request, only the operation ID "<action>_<req.traceid>".
+//  So we map req.traceid of each request to its log context.  Set by init().
+const maxLogContexts = 100;  //  Keep the log contexts of the latest 100 requests.
+const logContexts = {};
+
+function getLogContext(req, event) {
+  //  Return the fields to be added to every log of the request: function, requestId, traceId, device, seqNumber.
+  //  debug is true if the debug logs of the request are sampled.  event is the message received, if any.
+  if (req.logContext) return req.logContext;
+  const message = event || {};
+  const body = req.body || message.body || {};
+  const device = req.device || message.device || body.device;
+  const seqNumber = (body.seqNumber !== undefined) ? body.seqNumber : null;
+  //  eslint-disable-next-line no-param-reassign
+  req.logContext = {
+    function: functionName,
+    requestId: req.requestId || null,
+    traceId: req.traceContext ? req.traceContext.traceId : null,
+    device: device ? `${device}`.toUpperCase() : null,
+    seqNumber,
+    debug: Math.random() < debugSampling,
+  };
+  return req.logContext;
+}
+
+function addLogContext(req, event) {
+  //  Add the log context of the request for the log entries written by sigfox-iot-cloud for the request.
+  //  sigfox-iot-cloud will reuse req.traceid to identify the request.  Returns the log context.
+  const context = getLogContext(req, event);
+  //  eslint-disable-next-line no-param-reassign
+  if (!req.traceid) req.traceid = [newTraceSegmentId()];
+  const keys = Object.keys(logContexts);
+  for (const key of keys.slice(0, Math.max(0, (keys.length - maxLogContexts) + 1))) delete logContexts[key];
+  logContexts[req.traceid[0]] = context;
+  return context;
+}
+
+function getEntryContext(metadata) {
+  //  Return the log context of the request that wrote the log entry, from the operation ID "<action>_<req.traceid>".
+  const id = (metadata && metadata.operation && metadata.operation.id) || '';
+  return logContexts[id.substr(id.lastIndexOf('_') + 1)] || null;
+}
+
+function stringifyLog(key, val) {
+  //  Replacer for JSON.stringify() to include the message and stack of errors.
+  if (!(val instanceof Error)) return val;
+  return { message: val.message, code: val.code, stack: val.stack };
+}
+
+function stringifyCircular(record) {
+  //  Return the record as JSON, replacing circular references by "[Circular]".
+  const ancestors = [];
+  return JSON.stringify(record, function replacer(key, val) {
+    if (typeof val !== 'object' || val === null) return val;
+    //  "this" is the object containing the value.  Keep only the objects above the value.
+    while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) ancestors.pop();
+    if (ancestors.includes(val)) return '[Circular]';
+    ancestors.push(val);
+    return stringifyLog(key, val);
+  });
+}
+
+function writeLogRecord(context0, level, action, data, timestamp) {
+  //  Write the log record as a single line of JSON so that AWS CloudWatch Logs Insights can query the fields, e.g.
+  //  { "level": "info", "function": "routeMessage", "device": "1A2345", "action": "task", "data": {...}, ... }
+  //  Returns true if written, false if skipped because of the log level or sampling.
+  const context = context0 || {};
+  if (logLevels[level] < logLevel) return false;
+  if (level === 'debug' && context.debug === false) return false;
+  const record = {
+    level,
+    timestamp: new Date(timestamp || Date.now()).toISOString(),
+    function: context.function || functionName,
+    requestId: context.requestId || null,
+    traceId: context.traceId || null,
+    device: (data && data.device) || context.device || null,
+    seqNumber: context.seqNumber,
+    action,
+    data,
+  };
+  try {
+    console.log(JSON.stringify(record, stringifyLog));
+  } catch (error) {
+    //  Data may contain circular references.
+    console.log(stringifyCircular(record));
+  }
+  return true;
+}
+
+//  Logger object for AWS.  sigfox-iot-cloud calls entry() to create the log entries and write() to write them.
+//  Modules may write logs at a level e.g. scloud.getLogger().warn(req, 'decodeMessage', { device, data })
 const loggingLog = {
-  write: (/* entry */) => {
-    //  Write the log entry to AWS CloudWatch.
-    //  console.log(stringify(entry ? entry.event || '' : '', null, 2));
+  write: (entries) => {
+    //  Write the log entries to AWS CloudWatch.
+    for (const entry of [].concat(entries || [])) {
+      if (entry) writeLogRecord(entry.context, entry.level, entry.action, entry.data, entry.timestamp);
+    }
     return Promise.resolve({});
   },
   entry: (metadata, event) => {
-    //  Create the log event.
-    console.log(JSON.stringify(event, null, 2));
-    return ({ metadata, event });
+    //  Create the log entry.  metadata and event are explained below.  Calls that have started (">>")
+    //  or completed ("<<") are logged as info, the rest as debug.
+    const key = Object.keys(event || {})[0] || '';
+    const level = (metadata.severity === 'ERROR') ? 'error'
+      : /^_(<<|>>)_/.test(key) ? 'info'
+      : 'debug';
+    const action = key.replace(/^_.._\[ .* \]_+/, '').replace(/_+$/, '');
+    return { context: getEntryContext(metadata), level, action, data: event[key], timestamp: metadata.timestamp };
   },
+  debug: (req, action, data) => writeLogRecord(getLogContext(req || {}), 'debug', action, data),
+  info: (req, action, data) => writeLogRecord(getLogContext(req || {}), 'info', action, data),
+  warn: (req, action, data) => writeLogRecord(getLogContext(req || {}), 'warn', action, data),
+  error: (req, action, data) => writeLogRecord(getLogContext(req || {}), 'error', action, data),
 };
 
 /* metadata looks like {
@@ -478,8 +844,136 @@ function getLogger() {
   return loggingLog;
 }
 
-function reportError(/* req. err, action, para */) {
-  //  TODO: Report error to CloudWatch.
+//  Errors are grouped by fingerprint, computed from the function, action, error message and location.
+//  Set SIGFOX_ERROR_TOPIC to the AWS SNS topic e.g. sigfox-alerts for sending error notifications by Email or SMS.
+//  If not set, the notifications are sent to the MQTT queue sigfox/errors.  Each error group is notified at most
+//  once every SIGFOX_ERROR_INTERVAL seconds (default 300).  Set SIGFOX_ERROR_BUCKET to the S3 bucket and
+//  folder e.g. my-bucket/errors to keep every error in <fingerprint>/<timestamp>-<id>.json for counting.
+const errorTopic = 'sigfox/errors';
+const errorInterval = parseInt(process.env.SIGFOX_ERROR_INTERVAL || '300', 10) * 1000;
+const errorGroups = {};  //  Maps fingerprint to { count, notifiedCount, notifiedAt }.
+const errorPromises = [];  //  Error reports to be completed before returning, see flushErrors().
+const reportedErrors = new WeakSet();  //  Errors already reported, so that each error is counted once.
+
+function getErrorFingerprint(err, action) {
+  //  Return the fingerprint for grouping the error e.g. "3f1c0e5d2a9b".  Numbers and IDs in the message are
+  //  ignored so that the same error for different devices and messages will be grouped together.
+  const message = `${err.message || err}`
+    .replace(/\b[0-9a-f]{6,}\b/gi, '#')
+    .replace(/\d+/g, '#');
+  const location = (err.stack || '').split('\n')
+    .find(line => line.trim().startsWith('at ')) || '';
+  return crypto.createHash('sha1')
+    .update([functionName, action, err.name || '', message, location.trim()].join('|'))
+    .digest('hex')
+    .substr(0, 12);
+}
+
+function createErrorReport(req, err, action, para0) {
+  //  Return the error report with the error, stack, function name and the Sigfox message being processed.
+  const para = para0 || {};
+  const context = getLogContext(req || {});
+  const body = para.body || {};
+  const message = para.message || {};
+  return {
+    fingerprint: getErrorFingerprint(err, action),
+    function: functionName,
+    action,
+    error: `${err.message || err}`,
+    code: err.code || null,
+    stack: err.stack || null,
+    device: para.device || body.device || context.device || null,
+    seqNumber: (body.seqNumber !== undefined) ? body.seqNumber : context.seqNumber,
+    data: body.data || null,
+    type: message.type || null,
+    details: para.details || null,
+    requestId: context.requestId,
+    traceId: context.traceId,
+    timestamp: Date.now(),
+  };
+}
+
+function saveError(req, report) {
+  //  Save the error to SIGFOX_ERROR_BUCKET as <fingerprint>/<timestamp>-<id>.json.  Every error is saved
+  //  to a new S3 object, so that errors reported at the same time by other Lambda instances are not lost.
+  //  Returns a promise.
+  const location = process.env.SIGFOX_ERROR_BUCKET;
+  if (!location) return Promise.resolve(null);
+  const id = `${report.timestamp}-${crypto.randomBytes(4).toString('hex')}`;
+  const file = `${location.replace(/\/+$/, '')}/${report.fingerprint}/${id}.json`;
+  const record = {
+    fingerprint: report.fingerprint,
+    function: report.function,
+    action: report.action,
+    error: report.error,
+    code: report.code,
+    stack: report.stack,
+    device: report.device,
+    seqNumber: report.seqNumber,
+    requestId: report.requestId,
+    timestamp: report.timestamp,
+  };
+  //  eslint-disable-next-line no-use-before-define
+  return writeLocation(req, file, record);
+}
+
+function notifyError(req, report) {
+  //  Send the error report to the SNS topic SIGFOX_ERROR_TOPIC, or to sigfox/errors if not set.  Returns a promise.
+  const snsTopic = process.env.SIGFOX_ERROR_TOPIC;
+  if (snsTopic) {
+    const subject = `${report.function} ${report.action}: ${report.error}`;
+    //  eslint-disable-next-line no-use-before-define
+    return sendNotification(req, snsTopic, subject, JSON.stringify(report, null, 2));
+  }
+  //  eslint-disable-next-line no-use-before-define
+  return getIoTData(req)
+    .then(IotData => IotData.publish({ topic: errorTopic, payload: JSON.stringify(report), qos: 0 }).promise(req));
+}
+
+function reportError(req, err, action, para) {
+  //  Report the error by sending a notification for the error group, unless the group has been notified
+  //  within SIGFOX_ERROR_INTERVAL.  The notification includes the number of errors since the last notification.
+  //  sigfox-iot-cloud calls this for every error logged in production.  An error that has been reported
+  //  will not be reported again when it's logged.  Never fails.  Returns a promise.
+  if (!err || action === 'reportError') return Promise.resolve(null);
+  if (typeof err === 'object') {
+    if (reportedErrors.has(err)) return Promise.resolve(null);
+    reportedErrors.add(err);
+  }
+  let report = null;
+  try {
+    report = createErrorReport(req, err, action, para);
+  } catch (error) {
+    console.error('reportError', error.message, error.stack);
+    return Promise.resolve(null);
+  }
+  const now = Date.now();
+  const group = errorGroups[report.fingerprint] || { count: 0, notifiedCount: 0, notifiedAt: 0 };
+  errorGroups[report.fingerprint] = group;
+  group.count += 1;
+  const promises = [saveError(req, report)
+    .catch(error => console.error('reportError', error.message, error.stack))];
+  if (now - group.notifiedAt >= errorInterval) {
+    report.count = group.count - group.notifiedCount;
+    group.notifiedCount = group.count;
+    group.notifiedAt = now;
+    promises.push(notifyError(req, report)
+      .catch(error => console.error('reportError', error.message, error.stack)));
+  }
+  const promise = Promise.all(promises).then(() => report);
+  errorPromises.push(promise);
+  //  Remove the report when completed, in case flushErrors() is not called.
+  promise.then(() => {
+    const index = errorPromises.indexOf(promise);
+    if (index >= 0) errorPromises.splice(index, 1);
+  });
+  return promise;
+}
+
+function flushErrors(/* req */) {
+  //  Wait for the error reports of this invocation to be sent and saved.  Lambda Functions that don't return
+  //  through shutdown() should call this before returning.  Never fails.  Returns a promise.
+  return Promise.all(errorPromises.splice(0));
 }
 
 //  //////////////////////////////////////////////////////////////////////////////////// endregion
@@ -498,39 +992,61 @@ function getFunctionMetadata(/* req, authClient */) {
 }
 
 //  //////////////////////////////////////////////////////////////////////////////////// endregion
-//  region Messaging Functions: Dispatch messages between Cloud Functions via AWS IoT MQTT Queues
+//  region Messaging Functions: Dispatch messages between Cloud Functions via AWS IoT MQTT Queues, AWS SQS or AWS SNS
 
-const Iot = new AWS.Iot();
+const Iot = newAWSClient('Iot');
+const SQS = newAWSClient('SQS');
+const SNS = newAWSClient('SNS');
 let awsIoTDataPromise = null;
+const sqsQueueUrls = {};  //  Maps SQS queue name to queue URL.
+const snsTopicArns = {};  //  Maps SNS topic name to topic ARN.
 
-function createQueueSegment(req, topic, payloadObj) {
+function createQueueSegment(req, topic, payloadObj, transport) {
   //  Create the 3 child trace segments (sender, rule and receiver segments) for the outgoing message.
   //  Pass the receiver segment through traceSegment in the message.
-  //  Write the 3 segments to S3 storage so that processIoTLogs can match up with AWS IoT log and open/close the
-  //  segments.
-  if (!childSegment) return null;
+  //  For AWS IoT, write the 3 segments to S3 storage so that processIoTLogs can match up with AWS IoT log
+  //  and open/close the segments.  For SQS and SNS there is no AWS IoT log, so the caller must close the
+  //  sender and rule segments with closeQueueSegment() after sending.
+  //  Returns { traceTopic, senderSegment, ruleSegment }.  traceTopic is null except for AWS IoT.
+  //  Returns null if we are not tracing.
+  const trace = req.traceContext;
+  if (trace && trace.sampled === false) {
+    //  Tell the next Lambda Functions not to trace the message.
+    payloadObj.traceSampled = false;  //  eslint-disable-line no-param-reassign
+    return null;
+  }
+  if (!trace || !trace.childSegment) return null;
+  const traceId = trace.traceId;
+  const isIoT = !transport || transport === 'iot';
   const annotations = composeTraceAnnotations(payloadObj);
   const metadata = getTraceMetadata(payloadObj) || {};
   const device = payloadObj.device || payloadObj.body.device || '';
   const name = `==_${device}_@_${topic}_==`;
-  const comment = `Send message to MQTT queue ${topic}`;
+  const comment = isIoT ? `Send message to MQTT queue ${topic}`
+    : `Send message to ${transport.toUpperCase()} ${topic}`;
   const startTime = Date.now();
+  //  For AWS IoT the rule and receiver segments will be corrected by processIoTLogs, so we offset them for display.
+  const delay = isIoT ? 40 : 0;
   metadata.startTime = startTime;
   metadata.comment = comment;
 
   //  Create 3 segments but send only the first one: sender, rule, receiver.
-  const senderSegment = openTraceSegment(traceId, newTraceSegmentId(), childSegmentId, name, device, annotations, metadata,
+  const senderSegment = openTraceSegment(traceId, newTraceSegmentId(), trace.childSegmentId, name, device, annotations, metadata,
     startTime, comment);
   const ruleSegment = openTraceSegment(traceId, newTraceSegmentId(), senderSegment.id, 'ruleSegment', device, annotations, metadata,
-    startTime + 40, 'Apply rule with matching conditions');
+    startTime + delay, isIoT ? 'Apply rule with matching conditions' : `Deliver message via ${transport.toUpperCase()}`);
   const receiverSegment = createTraceSegment(traceId, newTraceSegmentId(), ruleSegment.id, 'receiverSegment', device, annotations, metadata,
-    startTime + 80, 'Trigger rule action to run Lambda Func');
+    startTime + (2 * delay), 'Trigger rule action to run Lambda Func');
 
   //  Pass the receiver segment to the payload.
   /* eslint-disable no-param-reassign */
   payloadObj.traceSegment = receiverSegment;
   payloadObj.rootTraceId = [traceId, receiverSegment.id].join('|');  //  For info, not really used.
   /* eslint-enable no-param-reassign */
+  if (!isIoT) {
+    console.log('createQueueSegment - segment:', senderSegment, transport);
+    return { traceTopic: null, senderSegment, ruleSegment };
+  }
   //  Send the message to the trace queue for processIoTLogs to match up AWS IoT Rules and Lambda invocations.
   //  The trace topic looks like sigfox/trace/<deviceid>-<sendersegmentid>
   const traceName = `${device}-${senderSegment.id}`;
@@ -543,7 +1059,17 @@ function createQueueSegment(req, topic, payloadObj) {
       .catch(error => console.error('createQueueSegment', error.message, error.stack));
   }
   console.log('createQueueSegment - segment:', senderSegment, traceTopic);
-  return traceTopic;
+  return { traceTopic, senderSegment, ruleSegment };
+}
+
+function closeQueueSegment(req, queueSegment) {
+  //  Close the rule and sender segments created by createQueueSegment() for SQS and SNS.  Returns a promise.
+  if (!queueSegment) return Promise.resolve(null);
+  return Promise.all([
+    closeTraceSegment(queueSegment.ruleSegment),
+    closeTraceSegment(queueSegment.senderSegment),
+  ])
+    .catch(error => console.error('closeQueueSegment', error.message, error.stack));
 }
 
 function sendIoTMessage(req, topic0, payload0) {
@@ -553,7 +1079,8 @@ function sendIoTMessage(req, topic0, payload0) {
   const topic = (topic0 || '').split('.').join('/');
   //  We inject a segment for the queue, e.g. ==_sigfox/types/routeMessage_==
   const payloadObj = JSON.parse(payload0);
-  const traceTopic = createQueueSegment(req, topic, payloadObj);
+  const queueSegment = createQueueSegment(req, topic, payloadObj, 'iot');
+  const traceTopic = queueSegment ? queueSegment.traceTopic : null;
   const payload = JSON.stringify(payloadObj);
   //  Send the message to AWS IoT MQTT queue.
   const params = { topic, payload, qos: 0 };
@@ -566,13 +1093,13 @@ function sendIoTMessage(req, topic0, payload0) {
   return getIoTData(req)
     .then((res) => { IotData = res; })
     //  Send begin trace message.
-    .then(() => (beginTrace === null) || IotData.publish(beginTrace).promise()  //  Ignore any trace errors.
+    .then(() => (beginTrace === null) || IotData.publish(beginTrace).promise(req)  //  Ignore any trace errors.
       .catch(error => console.error('begin trace', error.message, error.stack)))
-    //  Send actual message.
-    .then(() => IotData.publish(params).promise())
+    //  Send actual message.  Retry if it fails.
+    .then(() => retryPublish(req, 'sendIoTMessage', () => IotData.publish(params).promise(req)))
     .then((res) => { result = res; })
     //  Send end trace message.
-    .then(() => (endTrace === null) || IotData.publish(endTrace).promise()  //  Ignore any trace errors.
+    .then(() => (endTrace === null) || IotData.publish(endTrace).promise(req)  //  Ignore any trace errors.
       .catch(error => console.error('end trace', error.message, error.stack)))
     .then(() => {
       module.exports.log(req, 'sendIoTMessage', { result, topic, payloadObj, params });
@@ -581,44 +1108,290 @@ function sendIoTMessage(req, topic0, payload0) {
     .catch((error) => { module.exports.error(req, 'sendIoTMessage', { error, topic, payloadObj, params }); throw error; });
 }
 
-/* function sendSQSMessage(req, topic0, msg) {
+const publishRetries = parseInt(process.env.SIGFOX_PUBLISH_RETRIES || '3', 10);  //  Number of times to retry publishing.
+const publishRetryDelay = 200;  //  Wait 200, 400, 800, ... milliseconds before each retry.
+
+function retryPublish(req, action, publish, retry) {
+  //  Call publish(), which returns a promise.  If it fails, retry up to SIGFOX_PUBLISH_RETRIES times
+  //  with exponential backoff and some random delay.  action is the name for logging.  Returns a promise.
+  const retryCount = retry || 0;
+  return publish()
+    .catch((error) => {
+      if (retryCount >= publishRetries) throw error;
+      const delay = (publishRetryDelay * Math.pow(2, retryCount)) + Math.floor(Math.random() * publishRetryDelay);
+      module.exports.log(req, action, { retry: retryCount + 1, delay, error: error.message });
+      return module.exports.sleep(req, null, delay)
+        .then(() => retryPublish(req, action, publish, retryCount + 1));
+    });
+}
+
+function getSQSQueueUrl(req, queueName) {
+  //  Return a promise for the URL of the SQS queue name e.g. sigfox-devices-all.  The queue must already exist.
+  if (sqsQueueUrls[queueName]) return Promise.resolve(sqsQueueUrls[queueName]);
+  return SQS.getQueueUrl({ QueueName: queueName }).promise(req)
+    .then((res) => {
+      sqsQueueUrls[queueName] = res.QueueUrl;
+      return res.QueueUrl;
+    });
+}
+
+function sendSQSMessage(req, topic0, payload0) {
   //  Send the text message to the AWS Simple Queue Service queue name.
   //  In Google Cloud topics are named like sigfox.devices.all.  We need to rename them
   //  to AWS SQS format like sigfox-devices-all.
-  const msgObj = JSON.parse(msg);
   const topic = (topic0 || '').split('.').join('-');
-  const url = `${SQS.endpoint.href}${topic}`;
-  const params = {
-    MessageBody: msg,
-    QueueUrl: url,
-    DelaySeconds: 0,
-    MessageAttributes: {
-      device: {
-        DataType: 'String',
-        StringValue: msgObj.device || 'missing_device',
-      },
-    },
-  };
-  module.exports.log(req, 'awsSendSQSMessage', { topic, url, msgObj, params });
-  return SQS.sendMessage(params).promise()
-    .then(result => module.exports.log(req, 'awsSendSQSMessage', { result, topic, url, msgObj, params }))
-    .catch((error) => { module.exports.error(req, 'awsSendSQSMessage', { error, topic, url, msgObj, params }); throw error; });
-} */
+  //  We inject a segment for the queue, e.g. ==_sigfox-devices-all_==
+  const payloadObj = JSON.parse(payload0);
+  const queueSegment = createQueueSegment(req, topic, payloadObj, 'sqs');
+  const payload = JSON.stringify(payloadObj);
+  let params = null;
+  let result = null;
+  module.exports.log(req, 'sendSQSMessage', { topic, payloadObj });
+  return getSQSQueueUrl(req, topic)
+    .then((url) => {
+      params = {
+        MessageBody: payload,
+        QueueUrl: url,
+        DelaySeconds: 0,
+        MessageAttributes: {
+          device: {
+            DataType: 'String',
+            StringValue: payloadObj.device || 'missing_device',
+          },
+        },
+      };
+      return SQS.sendMessage(params).promise(req);
+    })
+    .then((res) => { result = res; })
+    //  Close the queue segments even if the message could not be sent.
+    .then(() => closeQueueSegment(req, queueSegment),
+      error => closeQueueSegment(req, queueSegment).then(() => { throw error; }))
+    .then(() => {
+      module.exports.log(req, 'sendSQSMessage', { result, topic, payloadObj, params });
+      return result;
+    })
+    .catch((error) => { module.exports.error(req, 'sendSQSMessage', { error, topic, payloadObj, params }); throw error; });
+}
+
+function getSNSTopicArn(req, topicName) {
+  //  Return a promise for the ARN of the SNS topic name e.g. sigfox-devices-all.
+  //  createTopic is idempotent: it returns the ARN of the topic if the topic already exists.
+  if (snsTopicArns[topicName]) return Promise.resolve(snsTopicArns[topicName]);
+  return SNS.createTopic({ Name: topicName }).promise(req)
+    .then((res) => {
+      snsTopicArns[topicName] = res.TopicArn;
+      return res.TopicArn;
+    });
+}
+
+function sendSNSMessage(req, topic0, payload0) {
+  //  Send the text message to the AWS Simple Notification Service topic name.
+  //  In Google Cloud topics are named like sigfox.devices.all.  We need to rename them
+  //  to AWS SNS format like sigfox-devices-all.
+  const topic = (topic0 || '').split('.').join('-');
+  //  We inject a segment for the topic, e.g. ==_sigfox-devices-all_==
+  const payloadObj = JSON.parse(payload0);
+  const queueSegment = createQueueSegment(req, topic, payloadObj, 'sns');
+  const payload = JSON.stringify(payloadObj);
+  let params = null;
+  let result = null;
+  module.exports.log(req, 'sendSNSMessage', { topic, payloadObj });
+  return getSNSTopicArn(req, topic)
+    .then((arn) => {
+      params = {
+        Message: payload,
+        TopicArn: arn,
+        MessageAttributes: {
+          device: {
+            DataType: 'String',
+            StringValue: payloadObj.device || 'missing_device',
+          },
+        },
+      };
+      return SNS.publish(params).promise(req);
+    })
+    .then((res) => { result = res; })
+    //  Close the queue segments even if the message could not be sent.
+    .then(() => closeQueueSegment(req, queueSegment),
+      error => closeQueueSegment(req, queueSegment).then(() => { throw error; }))
+    .then(() => {
+      module.exports.log(req, 'sendSNSMessage', { result, topic, payloadObj, params });
+      return result;
+    })
+    .catch((error) => { module.exports.error(req, 'sendSNSMessage', { error, topic, payloadObj, params }); throw error; });
+}
+
+function sendNotification(req, topicName, subject, text) {
+  //  Send a human-readable notification to the AWS Simple Notification Service topic name
+  //  e.g. sigfox-alerts, for delivery to the Email and SMS subscribers of the topic.
+  //  Unlike sendSNSMessage, the message is plain text and is not traced.  Returns a promise.
+  const topic = (topicName || '').split('.').join('-');
+  let params = null;
+  return getSNSTopicArn(req, topic)
+    .then((arn) => {
+      //  SNS allows subjects up to 100 characters.
+      params = { TopicArn: arn, Subject: (subject || '').substr(0, 100), Message: text };
+      return SNS.publish(params).promise(req);
+    })
+    .then(result => module.exports.log(req, 'sendNotification', { result, topic, params }))
+    .catch((error) => { module.exports.error(req, 'sendNotification', { error, topic, params }); throw error; });
+}
+
+//  Functions for sending a message through each transport.
+const transports = {
+  iot: sendIoTMessage,
+  sqs: sendSQSMessage,
+  sns: sendSNSMessage,
+};
+
+//  Maps topic names to transports, parsed from environment variable SIGFOX_TRANSPORT.
+let transportConfig = null;
+
+function getTransport(req, topicName) {
+  //  Return the transport ("iot", "sqs" or "sns") for sending to the topic name e.g. sigfox.devices.all
+  //  The transports are configured in environment variable SIGFOX_TRANSPORT e.g.
+  //  SIGFOX_TRANSPORT=sigfox.devices.all:sqs,sigfox.types.sendToDatabase:sns
+  //  "*" sets the default transport e.g. SIGFOX_TRANSPORT=*:sqs.  If not configured, send via AWS IoT MQTT.
+  if (transportConfig === null) {
+    transportConfig = {};
+    for (const item of (process.env.SIGFOX_TRANSPORT || '').split(',')) {
+      const itemSplit = item.split(':');
+      //  Topics may be written as sigfox.devices.all or sigfox/devices/all.
+      const name = itemSplit[0].trim().split('/').join('.');
+      const transport = (itemSplit[1] || '').trim().toLowerCase();
+      if (!name) continue;
+      if (!transports[transport]) {
+        module.exports.error(req, 'getTransport', { error: new Error(`Unknown transport "${transport}" for ${name}`) });
+        continue;
+      }
+      transportConfig[name] = transport;
+    }
+  }
+  const name = (topicName || '').split('/').join('.');
+  return transportConfig[name] || transportConfig['*'] || 'iot';
+}
 
 function getQueue(req, projectId0, topicName) {
-  //  Return the AWS IoT MQTT Queue and AWS Simple Queue Service queue with that name
-  //  for that project.  Will be used for publishing messages, not reading.
+  //  Return the AWS IoT MQTT Queue, AWS Simple Queue Service queue or AWS Simple Notification Service topic
+  //  with that name for that project, depending on the transport configured in SIGFOX_TRANSPORT.
+  //  Will be used for publishing messages, not reading.
+  const transport = getTransport(req, topicName);
+  const send = transports[transport];
   const topic = {
     name: topicName,
+    transport,
     publisher: () => ({
-      //  Calling publish on this queue will send an AWS IoT MQTT message.
-      publish: buffer => sendIoTMessage(req, topicName, buffer.toString())
-          .catch(error => console.error('getQueue', error.message, error.stack)),
+      //  Calling publish on this queue will send an AWS IoT MQTT, SQS or SNS message.
+      //  Don't send if the HTTP request was rejected by validateRequest, or if the message is a duplicate.
+      publish: buffer => (req.rejected ? Promise.resolve('rejected')
+        //  eslint-disable-next-line no-use-before-define
+        : filterDuplicate(req, topicName, buffer.toString())
+          //  Wait for sigfoxCallback to decide whether to trace the message.
+          .then(payload => (payload === null ? 'duplicate' : waitForSampling(req)
+            .then(() => send(req, topicName, payload))))
+          .catch((error) => {
+            console.error('getQueue', transport, error.message, error.stack);
+            //  Keep the message so that it can be re-driven later.  Keep the text if it's not valid JSON.
+            const text = buffer.toString();
+            return deadLetter(req, topicName, parseJSON(text) || text, error, 'publish');
+          })),
     }),
   };
   return topic;
 }
 
+function unwrapEvent(event) {
+  //  Messages delivered through SNS arrive wrapped in Records.  Return the Sigfox message inside,
+  //  so that the Lambda Function sees the same message as AWS IoT delivers.  SQS and Kinesis batches are
+  //  split into single messages by main() before calling init().
+  if (!event || !Array.isArray(event.Records) || event.Records.length === 0) return event;
+  const record = event.Records[0];
+  if (record.EventSource === 'aws:sns') return JSON.parse(record.Sns.Message);
+  return event;
+}
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Dead Letter Functions: Keep the messages that could not be processed or published, for re-driving later
+
+function getDeadLetterLocation(functionName0) {
+  //  Return the S3 folder for the dead letters of the function e.g. my-bucket/deadletter/decodeStructuredMessage
+  //  for SIGFOX_DEADLETTER_BUCKET=my-bucket/deadletter.  Returns null if SIGFOX_DEADLETTER_BUCKET is not set.
+  const location = process.env.SIGFOX_DEADLETTER_BUCKET;
+  if (!location) return null;
+  return `${location.replace(/\/+$/, '')}/${functionName0 || functionName}`;
+}
+
+function getMessageTopic(message) {
+  //  Return the topic that delivered the message to this function, for re-driving the message.
+  //  The message type was set by dispatchMessage from the route.
+  if (!message || !message.type) return 'sigfox.received';
+  if (message.type === 'all') return `sigfox.devices.${message.device}`;
+  return `sigfox.types.${message.type}`;
+}
+
+function deadLetter(req, topicName, message, error, reason) {
+  //  Save the message that failed in this function as a dead letter, with the error and the history.
+  //  reason is "task" if the task failed, or "publish" if the message could not be published to topicName.
+  //  The dead letter is saved to S3 if SIGFOX_DEADLETTER_BUCKET is set, else sent to sigfox/deadletter/<function>.
+  //  Only the dead letters in S3 can be re-driven by redriveDeadLetters().  Never fails.  Returns a promise
+  //  for the dead letter, or null if the dead letter could not be saved or sent.
+  const record = {
+    id: `${Date.now()}-${Math.floor(Math.random() * 1000000)}`,
+    function: functionName,
+    reason,
+    topic: (topicName || '').split('/').join('.'),
+    error: { message: error ? error.message : null, code: error ? error.code : null },
+    history: (message && message.history) || [],
+    message,
+    timestamp: Date.now(),
+  };
+  const location = getDeadLetterLocation();
+  const topic = `sigfox/deadletter/${functionName}`;
+  return (location
+    ? writeLocation(req, `${location}/${record.id}.json`, record)
+    : getIoTData(req).then(IotData => IotData.publish({ topic, payload: JSON.stringify(record), qos: 0 }).promise(req)))
+    .then(() => module.exports.log(req, 'deadLetter', { record, location, topic }))
+    .then(() => record)
+    .catch((err) => { module.exports.error(req, 'deadLetter', { error: err, record }); return null; });
+}
+
+function redriveMessage(req, record) {
+  //  Publish the message in the dead letter again to its topic, without checking for duplicates.
+  //  For failed tasks, the message is sent to the topic that delivered it to the function.
+  //  Returns a promise, which fails if the message could not be published.
+  const topicName = record.topic;
+  const payload = JSON.stringify(record.message);
+  const send = transports[getTransport(req, topicName)];
+  return send(req, topicName, payload)
+    .then(result => module.exports.log(req, 'redriveMessage', { result, topicName, id: record.id }));
+}
+
+function redriveDeadLetters(req, functionName0) {
+  //  Re-drive all dead letters of the function (default: this function) saved in SIGFOX_DEADLETTER_BUCKET.
+  //  Dead letters are deleted after re-driving.  If the message fails again, it becomes a new dead letter.
+  //  Returns a promise for the counts e.g. { redriven: 3, failed: 0 }.
+  const location = getDeadLetterLocation(functionName0);
+  if (!location) return Promise.reject(new Error('SIGFOX_DEADLETTER_BUCKET is not set'));
+  const bucket = location.split('/')[0];
+  const prefix = `${location.substr(bucket.length + 1)}/`;
+  const result = { redriven: 0, failed: 0 };
+  return listFiles(req, bucket, prefix)
+    .then(names => names.reduce((promise, name) => promise
+      .then(() => readFile(req, bucket, name))
+      .then((record) => {
+        //  readFile() returns null if the dead letter is missing or corrupted.  Messages that were not
+        //  valid JSON are kept as text and can't be re-driven.
+        if (!record || !record.message || typeof record.message !== 'object') throw new Error(`Unable to read dead letter ${name}`);
+        return redriveMessage(req, record);
+      })
+      .then(() => deleteFile(req, bucket, name))
+      .then(() => { result.redriven += 1; })
+      //  Keep the dead letter and continue with the next one.
+      .catch((error) => { result.failed += 1; module.exports.error(req, 'redriveDeadLetters', { error, name }); }),
+    Promise.resolve()))
+    .then(() => module.exports.log(req, 'redriveDeadLetters', { result, location }));
+}
+
 //  //////////////////////////////////////////////////////////////////////////////////// endregion
 //  region Device State Functions: Memorise the device state with AWS IoT Thing Shadows
 
@@ -628,7 +1401,7 @@ function getIoTData(/* req */) {
   if (awsIoTDataPromise) return awsIoTDataPromise;
   awsIoTDataPromise = Iot.describeEndpoint({}).promise()
     .then((res) => {
-      const IotData = new AWS.IotData({ endpoint: res.endpointAddress });
+      const IotData = newAWSClient('IotData', { endpoint: res.endpointAddress });
       return IotData;
     })
     .catch((error) => {
@@ -638,28 +1411,148 @@ function getIoTData(/* req */) {
   return awsIoTDataPromise;
 }
 
-function createDevice(req, device0) {
+//  Thing Types, attributes and Thing Groups assigned to each device by createDevice, configured by:
+//  SIGFOX_THING_TYPES=5a1b2c3d4e5f6a7b8c9d0e1f:TemperatureSensor,...  Maps Sigfox deviceTypeId to Thing Type.
+//    Devices with other deviceTypeIds are assigned the Thing Type sigfox-<deviceTypeId>.
+//  SIGFOX_THING_ATTRIBUTES=firmware,site,customer  Fields in the Sigfox message to be saved as Thing attributes.
+//  SIGFOX_THING_GROUPS=sigfox-devices,site-{site}  Thing Groups for the device.  {site} is replaced by the
+//    "site" field of the Sigfox message.
+const thingTypeNames = {};
+for (const item of (process.env.SIGFOX_THING_TYPES || '').split(',')) {
+  const itemSplit = item.split(':');
+  if (itemSplit.length === 2) thingTypeNames[itemSplit[0].trim().toLowerCase()] = itemSplit[1].trim();
+}
+const thingAttributes = (process.env.SIGFOX_THING_ATTRIBUTES || '').split(' ').join('').split(',').filter(s => s);
+const thingGroups = (process.env.SIGFOX_THING_GROUPS || '').split(' ').join('').split(',').filter(s => s);
+const thingTypePromises = {};  //  Maps Thing Type name to the promise for creating the Thing Type.
+const deviceGroups = {};  //  Maps device ID to the Thing Groups that were assigned.
+
+function getThingName(name) {
+  //  Thing Type and Thing Group names may only contain letters, digits, ":", "_" and "-".
+  return `${name}`.replace(/[^a-zA-Z0-9:_-]/g, '_').substr(0, 128);
+}
+
+function getThingAttribute(value) {
+  //  Thing attribute values may only contain letters, digits and "_.,@/:#-".
+  return `${value}`.replace(/[^a-zA-Z0-9_.,@/:#-]/g, '_').substr(0, 800);
+}
+
+function getDeviceProfile(req, options) {
+  //  Return the Thing Type, attributes and Thing Groups for the device, derived from the Sigfox message
+  //  in req.body according to the environment variables above.  options may override them, e.g.
+  //  { thingType: 'TemperatureSensor', attributes: { site: 'Jurong' }, groups: ['sigfox-devices'] }
+  const body = req.body || {};
+  const profile = { thingType: null, attributes: {}, groups: [] };
+  if (body.deviceTypeId) {
+    profile.thingType = thingTypeNames[`${body.deviceTypeId}`.toLowerCase()] || `sigfox-${body.deviceTypeId}`;
+  }
+  for (const field of thingAttributes) {
+    if (body[field] !== undefined && body[field] !== null) profile.attributes[field] = body[field];
+  }
+  for (const template of thingGroups) {
+    let missing = false;
+    const group = template.replace(/{(\w+)}/g, (match, field) => {
+      if (body[field] === undefined || body[field] === null || body[field] === '') missing = true;
+      return body[field];
+    });
+    //  Skip the group if the message doesn't have the field.
+    if (!missing) profile.groups.push(group);
+  }
+  if (options && options.thingType) profile.thingType = options.thingType;
+  if (options && options.attributes) Object.assign(profile.attributes, options.attributes);
+  if (options && options.groups) profile.groups = profile.groups.concat(options.groups);
+  //  Clean up the names and values.
+  if (profile.thingType) profile.thingType = getThingName(profile.thingType);
+  for (const key of Object.keys(profile.attributes)) profile.attributes[key] = getThingAttribute(profile.attributes[key]);
+  profile.groups = profile.groups.map(getThingName).filter((group, i, arr) => arr.indexOf(group) === i);
+  return profile;
+}
+
+function createThingType(req, thingTypeName) {
+  //  Create the Thing Type if it doesn't exist.  Returns a promise.
+  if (!thingTypePromises[thingTypeName]) {
+    thingTypePromises[thingTypeName] = Iot.createThingType({ thingTypeName }).promise(req)
+      .catch((error) => {
+        if (error.code === 'ResourceAlreadyExistsException') return null;
+        thingTypePromises[thingTypeName] = null;
+        throw error;
+      });
+  }
+  return thingTypePromises[thingTypeName];
+}
+
+function isGeneratedGroup(group) {
+  //  Return true if the Thing Group name was generated from a template in SIGFOX_THING_GROUPS
+  //  containing a field, e.g. site-Jurong for site-{site}.  Only these groups are removed when the field changes.
+  return !!thingGroups.filter(template => template.indexOf('{') >= 0).find((template) => {
+    //  The fixed parts contain only letters, digits, ":", "_" and "-", which are not special in regular expressions.
+    const pattern = template.split(/{\w+}/).map(getThingName).join('.+');
+    return new RegExp(`^${pattern}$`).test(group);
+  });
+}
+
+function updateDeviceGroups(req, device, groups) {
+  //  Add the device to the Thing Groups, creating the groups if necessary.  Remove the device from
+  //  groups generated from SIGFOX_THING_GROUPS that no longer apply.  Returns a promise.
+  const key = groups.join(',');
+  if (groups.length === 0 || deviceGroups[device] === key) return Promise.resolve(null);
+  return Iot.listThingGroupsForThing({ thingName: device }).promise(req)
+    .then((res) => {
+      const oldGroups = (res.thingGroups || []).map(group => group.groupName);
+      const added = groups.filter(group => oldGroups.indexOf(group) < 0);
+      const removed = oldGroups.filter(group => groups.indexOf(group) < 0 && isGeneratedGroup(group));
+      return Promise.all(added.map(thingGroupName => Iot.createThingGroup({ thingGroupName }).promise(req)
+        .catch((error) => { if (error.code !== 'ResourceAlreadyExistsException') throw error; })
+        .then(() => Iot.addThingToThingGroup({ thingName: device, thingGroupName }).promise(req)))
+        .concat(removed.map(thingGroupName => Iot.removeThingFromThingGroup({ thingName: device, thingGroupName }).promise(req))))
+        .then(() => module.exports.log(req, 'awsUpdateDeviceGroups', { device, added, removed }));
+    })
+    .then((result) => { deviceGroups[device] = key; return result; })
+    .catch((error) => { module.exports.error(req, 'awsUpdateDeviceGroups', { error, device, groups }); throw error; });
+}
+
+function createDevice(req, device0, options) {
   //  Create the AWS Thing with the device name if it doesn't exist.  device is the
-  //  Sigfox device ID.
+  //  Sigfox device ID.  Assign the Thing Type, attributes and Thing Groups from getDeviceProfile().
+  //  If the Thing exists with a different Thing Type or attributes, update the Thing.
+  //  Attributes are merged, never removed.  Returns a promise.
   if (!device0) throw new Error('missing_deviceid');
   //  Capitalise device ID but not device names.
   const device = device0.length > 6 ? device0 : device0.toUpperCase();
+  const profile = getDeviceProfile(req, options);
   const params = { thingName: device };
+  if (profile.thingType) params.thingTypeName = profile.thingType;
+  if (Object.keys(profile.attributes).length > 0) params.attributePayload = { attributes: profile.attributes };
   console.log({ describeThing: params });
-  //  Lookup the device.
-  return Iot.describeThing(params).promise()
-  //  Device exists.
+  //  Create the Thing Type if necessary.
+  return (profile.thingType ? createThingType(req, profile.thingType) : Promise.resolve(null))
+    //  Lookup the device.
+    .then(() => Iot.describeThing({ thingName: device }).promise(req)
+      .catch(() => null))
+    .then((thing) => {
+      //  Device is missing. Create it.
+      if (!thing) {
+        console.log({ createThing: params });
+        return Iot.createThing(params).promise(req);
+      }
+      //  Device exists.  Update the Thing Type and attributes if they have changed.
+      const attributes = thing.attributes || {};
+      const isChanged = (profile.thingType && profile.thingType !== thing.thingTypeName)
+        || Object.keys(profile.attributes).find(key => profile.attributes[key] !== attributes[key]);
+      if (!isChanged) return thing;
+      const updateParams = Object.assign({}, params, { expectedVersion: thing.version });
+      if (updateParams.attributePayload) updateParams.attributePayload = Object.assign({ merge: true }, updateParams.attributePayload);
+      console.log({ updateThing: updateParams });
+      return Iot.updateThing(updateParams).promise(req);
+    })
     .then(result => module.exports.log(req, 'awsCreateDevice', { result, device, params }))
-    //  Device is missing. Create it.
-    .catch(() => console.log({ createThing: params }) || Promise.resolve(null)
-      .then(() => Iot.createThing(params).promise())
-      .then(result => module.exports.log(req, 'awsCreateDevice', { result, device, params }))
-      .catch((error) => { module.exports.error(req, 'awsCreateDevice', { error, device, params }); throw error; }));
+    .then(result => updateDeviceGroups(req, device, profile.groups).then(() => result))
+    .catch((error) => { module.exports.error(req, 'awsCreateDevice', { error, device, params }); throw error; });
 }
 
-function getDeviceState(req, device0) {
-  //  Fetch the AWS IoT Thing state for the device ID.  Returns a promise.
-  //  Result looks like {"reported":{"deviceLat":1.303224739957452,...
+function getThingShadow(req, device0, action) {
+  //  Fetch the AWS IoT Thing Shadow document for the device ID.  action is the name for logging.
+  //  Returns a promise for the document, which looks like {"state":{"reported":{...}},"version":12,...
   if (!device0) throw new Error('missing_deviceid');
   //  Capitalise device ID but not device names.
   const device = device0.length > 6 ? device0 : device0.toUpperCase();
@@ -667,29 +1560,51 @@ function getDeviceState(req, device0) {
   console.log({ getThingShadow: params });
   //  Get a connection for AWS IoT Data.
   return getIoTData(req)
-  //  Fetch the Thing state.
-    .then(IotData => IotData.getThingShadow(params).promise())
-    //  Return the payload.state.
+  //  Fetch the Thing Shadow.
+    .then(IotData => IotData.getThingShadow(params).promise(req))
+    //  Return the parsed payload.
     .then(res => (res && res.payload) ? JSON.parse(res.payload) : res)
+    .then(result => module.exports.log(req, action, { result, device, params }))
+    .catch((error) => {
+      //  New devices don't have Thing Shadows, so don't report them as errors.
+      if (isNotFound(error)) module.exports.log(req, action, { result: 'not_found', device, params });
+      else module.exports.error(req, action, { error, device, params });
+      throw error;
+    });
+}
+
+function getDeviceState(req, device0) {
+  //  Fetch the AWS IoT Thing state for the device ID.  Returns a promise.
+  //  Result looks like {"reported":{"deviceLat":1.303224739957452,...
+  return getThingShadow(req, device0, 'awsGetDeviceState')
+    //  Return the payload.state.
     .then(res => (res && res.state) ? res.state : res)
-    .then(result => module.exports.log(req, 'awsGetDeviceState', { result, device, params }))
-    .catch((error) => { module.exports.error(req, 'awsGetDeviceState', { error, device, params }); throw error; });
+    //  Load the attributes that were saved into S3.
+    .then(state => loadOverflow(req, state));
 }
 
-// eslint-disable-next-line no-unused-vars
-function updateDeviceState(req, device0, state0) {
-  //  Update the AWS IoT Thing state for the device ID.  Returns a promise.
-  //  Overwrites the existing Thing attributes with the same name.
+function listDevices(req, nextToken, devices0) {
+  //  Return a promise for the names of all AWS IoT Things e.g. ['1A2345', ...].
+  //  nextToken and devices0 are used internally to fetch the following pages.
+  const devices = devices0 || [];
+  const params = { maxResults: 250 };
+  if (nextToken) params.nextToken = nextToken;
+  return Iot.listThings(params).promise(req)
+    .then((res) => {
+      for (const thing of res.things || []) devices.push(thing.thingName);
+      if (res.nextToken) return listDevices(req, res.nextToken, devices);
+      return devices;
+    })
+    .catch((error) => { module.exports.error(req, 'awsListDevices', { error, params }); throw error; });
+}
+
+function updateThingShadow(req, device0, payload, action) {
+  //  Update the AWS IoT Thing Shadow for the device ID with the payload, which looks like
+  //  { state: { reported: {...}, desired: {...} } }.  Null values in the payload delete the attributes.
+  //  action is the name for logging.  Returns a promise.
   if (!device0) throw new Error('missing_deviceid');
   //  Capitalise device ID but not device names.
   const device = device0.length > 6 ? device0 : device0.toUpperCase();
-  //  AWS allows only max 6 levels for device state.  We truncate beyond 6 levels.
-  const state = module.exports.removeNulls(state0, -2);
-  const payload = {
-    state: {
-      reported: state,
-    },
-  };
   const params = {
     payload: JSON.stringify(payload),
     thingName: device,
@@ -698,9 +1613,727 @@ function updateDeviceState(req, device0, state0) {
   //  Get a connection for AWS IoT Data.
   return getIoTData(req)
   //  Update the Thing state.
-    .then(IotData => IotData.updateThingShadow(params).promise())
-    .then(result => module.exports.log(req, 'awsUpdateDeviceState', { result, device, state, payload, params }))
-    .catch((error) => { module.exports.error(req, 'awsUpdateDeviceState', { error, device, state, payload, params }); throw error; });
+    .then(IotData => IotData.updateThingShadow(params).promise(req))
+    .then(result => module.exports.log(req, action, { result, device, payload, params }))
+    .catch((error) => { module.exports.error(req, action, { error, device, payload, params }); throw error; });
+}
+
+// eslint-disable-next-line no-unused-vars
+function updateDeviceState(req, device0, state0, version, desired, shadow) {
+  //  Update the AWS IoT Thing state for the device ID.  Returns a promise.
+  //  Overwrites the existing Thing attributes with the same name.
+  //  If version is specified, the update is rejected with ConflictException
+  //  when the Thing Shadow has been updated since that version was read.
+  //  If desired is specified, the desired attributes are updated at the same time.
+  //  shadow is the Thing Shadow of that version if the caller has read it, so that it is not read again.
+  if (!device0) throw new Error('missing_deviceid');
+  //  Capitalise device ID but not device names.
+  const device = device0.length > 6 ? device0 : device0.toUpperCase();
+  let promise = null;
+  let overflow = null;  //  S3 objects written and replaced by this update.
+  if (getStateLocation(device, '')) {
+    //  Save the attributes that are too deep or too large into S3, so we don't truncate.
+    promise = saveOverflow(req, device, state0 || {}, shadow)
+      .then((res) => { overflow = res; return res.state; });
+  } else {
+    //  AWS allows only max 6 levels for device state.  We truncate beyond 6 levels.
+    const state = module.exports.removeNulls(state0, -2);
+    const json = JSON.stringify(state);
+    if (json.indexOf('(truncated)') >= 0 || json.length > maxStateSize) {
+      module.exports.log(req, 'awsUpdateDeviceState', { warning: 'State is too deep or too large, set SIGFOX_STATE_BUCKET to save it in S3', device, size: json.length });
+    }
+    promise = Promise.resolve(state);
+  }
+  return promise
+    .then((state) => {
+      const payload = {
+        state: {
+          reported: state,
+        },
+      };
+      if (desired) payload.state.desired = desired;
+      if (version !== undefined && version !== null) payload.version = version;
+      return updateThingShadow(req, device, payload, 'awsUpdateDeviceState');
+    })
+    //  If the update succeeded, the replaced S3 objects are no longer used.  If the update failed,
+    //  the Thing Shadow still refers to the replaced objects, so the new objects are not used.
+    .then(result => (overflow ? deleteLocations(req, overflow.replaced) : Promise.resolve())
+      .then(() => result),
+    error => (overflow ? deleteLocations(req, overflow.written) : Promise.resolve())
+      .then(() => { throw error; }));
+}
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Overflow State Functions: Save device state that's too deep or too large for the Thing Shadow into S3
+
+const maxStateDepth = 6;  //  AWS allows max 6 levels in the reported state.
+const maxStateSize = 6 * 1024;  //  AWS allows max 8 KB per Thing Shadow.  We leave some space for desired state.
+
+function getStateLocation(device, key) {
+  //  Return a new S3 location for saving the reported state attribute of the device, e.g.
+  //  my-bucket/state/1A2345/aggregate-0123456789abcdef.json for SIGFOX_STATE_BUCKET=my-bucket/state.
+  //  Each update is saved to a new location, so the S3 object referred by the Thing Shadow is never
+  //  overwritten by an update that is rejected.  Returns null if SIGFOX_STATE_BUCKET is not set.
+  const location = process.env.SIGFOX_STATE_BUCKET;
+  if (!location) return null;
+  return `${location.replace(/\/+$/, '')}/${device}/${key}-${crypto.randomBytes(8).toString('hex')}.json`;
+}
+
+function readLocation(req, location) {
+  //  Read the object from the S3 location e.g. my-bucket/state/1A2345/aggregate.json.  Returns a promise.
+  const bucket = location.split('/')[0];
+  return readFile(req, bucket, location.substr(bucket.length + 1));
+}
+
+function writeLocation(req, location, obj) {
+  //  Write the object to the S3 location e.g. my-bucket/state/1A2345/aggregate.json.  Returns a promise.
+  const bucket = location.split('/')[0];
+  return writeFile(req, bucket, location.substr(bucket.length + 1), obj);
+}
+
+function deleteLocations(req, locations) {
+  //  Delete the objects at the S3 locations.  Errors are logged by deleteFile() and ignored,
+  //  because the objects are no longer referred by the Thing Shadow.  Returns a promise.
+  return Promise.all(locations.map((location) => {
+    const bucket = location.split('/')[0];
+    return deleteFile(req, bucket, location.substr(bucket.length + 1))
+      .catch(() => null);
+  }));
+}
+
+function getStateDepth(value) {
+  //  Return the number of levels of objects and arrays in the value.  Scalar values have 0 levels.
+  if (!value || typeof value !== 'object') return 0;
+  const children = Array.isArray(value) ? value : Object.keys(value).map(key => value[key]);
+  return 1 + children.reduce((max, child) => Math.max(max, getStateDepth(child)), 0);
+}
+
+function mergeStateValue(oldValue, update) {
+  //  Merge the update into the old value like AWS IoT: nested objects are merged, null values delete
+  //  the nested attributes and other values are replaced.
+  if (!isStateObject(oldValue) || !isStateObject(update)) return update;
+  const result = Object.assign({}, oldValue);
+  for (const key of Object.keys(update)) {
+    if (update[key] === null) delete result[key];
+    else result[key] = mergeStateValue(oldValue[key], update[key]);
+  }
+  return result;
+}
+
+function loadOverflow(req, state) {
+  //  Replace the reported state attributes that were saved into S3 by their values.  The S3 locations
+  //  are in reported.overflow e.g. {"aggregate":"my-bucket/state/1A2345/aggregate.json"}.
+  //  Returns a promise for the state.
+  const overflow = state && state.reported && state.reported.overflow;
+  if (!isStateObject(overflow)) return Promise.resolve(state);
+  const reported = Object.assign({}, state.reported);
+  delete reported.overflow;
+  const keys = Object.keys(overflow);
+  return Promise.all(keys.map(key => readLocation(req, overflow[key])))
+    .then((values) => {
+      keys.forEach((key, i) => { if (values[i] !== null) reported[key] = values[i]; });
+      return Object.assign({}, state, { reported });
+    });
+}
+
+function saveOverflow(req, device, state, shadow0) {
+  //  Save the reported state attributes that are too deep or too large for the Thing Shadow into S3.
+  //  Attributes set to null in the state are deleted.  shadow0 is the current Thing Shadow, or null if it
+  //  doesn't exist.  If shadow0 is undefined, the Thing Shadow is read here.  Returns a promise for
+  //  { state, written, replaced }: state is the state to be updated into the Thing Shadow, with the
+  //  saved attributes deleted and their S3 locations set in reported.overflow.  written contains the
+  //  new S3 locations and replaced contains the S3 locations that will no longer be used.
+  return (shadow0 !== undefined ? Promise.resolve(shadow0) : getThingShadow(req, device, 'awsGetOverflow')
+    //  In case the Thing Shadow doesn't exist, there is no overflow.
+    .catch((error) => { if (!isNotFound(error)) throw error; return null; }))
+    .then((shadow) => {
+      const reported = (shadow && shadow.state && shadow.state.reported) || {};
+      const overflow0 = isStateObject(reported.overflow) ? reported.overflow : {};
+      const keys = Object.keys(state).filter(key => key !== 'overflow');
+      const deletions = keys.filter(key => state[key] === null || state[key] === undefined);
+      const updates = keys.filter(key => deletions.indexOf(key) < 0);
+      //  Merge the updates into the current values in S3 or in the Thing Shadow, like AWS IoT.  Nulls are
+      //  removed after merging, so that they delete the nested attributes.
+      return Promise.all(updates.map(key => (overflow0[key] ? readLocation(req, overflow0[key]) : Promise.resolve(reported[key]))
+        .then(value => module.exports.removeNulls(mergeStateValue(value, state[key]), -Infinity))))
+        .then((values) => {
+          const merged = {};
+          updates.forEach((key, i) => { merged[key] = values[i]; });
+          //  The attributes that are not updated remain in the Thing Shadow and count towards its size.
+          const whole = Object.assign({}, reported, merged);
+          for (const key of ['overflow'].concat(deletions)) delete whole[key];
+          //  Save the attributes that are too deep.  Then save the largest attributes until the rest fits.
+          const saved = updates.filter(key => getStateDepth(merged[key]) + 1 > maxStateDepth);
+          const sizeOf = key => JSON.stringify(merged[key]).length;
+          const unsaved = () => updates.filter(key => saved.indexOf(key) < 0);
+          let size = JSON.stringify(whole).length - saved.reduce((sum, key) => sum + sizeOf(key), 0);
+          while (size > maxStateSize && unsaved().length > 0) {
+            const largest = unsaved().sort((a, b) => sizeOf(b) - sizeOf(a))[0];
+            saved.push(largest);
+            size -= sizeOf(largest);
+          }
+          //  Attributes that stay in the Thing Shadow are updated as usual.  Attributes that were in S3
+          //  and now fit are moved into the Thing Shadow with their merged values.
+          const result = {};
+          for (const key of unsaved()) {
+            result[key] = overflow0[key] ? merged[key] : module.exports.removeNulls(state[key], -Infinity);
+          }
+          //  Set the new S3 locations, and remove the S3 locations of attributes that now fit.
+          const overflow = {};
+          for (const key of saved) overflow[key] = getStateLocation(device, key);
+          for (const key of unsaved()) if (overflow0[key]) overflow[key] = null;
+          //  Delete the attributes and their S3 locations.
+          for (const key of deletions) {
+            result[key] = null;
+            if (overflow0[key]) overflow[key] = null;
+          }
+          if (Object.keys(overflow).length > 0) result.overflow = overflow;
+          if (saved.length > 0) module.exports.log(req, 'awsSaveOverflow', { device, overflow });
+          const written = saved.map(key => overflow[key]);
+          const replaced = Object.keys(overflow).filter(key => overflow0[key]).map(key => overflow0[key]);
+          return Promise.all(saved.map(key => writeLocation(req, overflow[key], merged[key])
+            .then(() => { result[key] = null; })))
+            .then(() => ({ state: result, written, replaced }));
+        });
+    });
+}
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Atomic Device State Functions: Read-modify-write of the Thing Shadow without losing concurrent updates
+
+const maxConflictRetries = 5;  //  Number of times to retry an update after a version conflict.
+const conflictDelay = 100;  //  Wait up to 100 milliseconds, times the retry count, before retrying.
+
+function isNotFound(error) {
+  //  Return true if the Thing or Thing Shadow doesn't exist.
+  return !!error && (error.code === 'ResourceNotFoundException' || error.statusCode === 404);
+}
+
+function isVersionConflict(error) {
+  //  Return true if the Thing Shadow update was rejected because the version has changed.
+  return !!error && (error.code === 'ConflictException' || error.statusCode === 409);
+}
+
+function modifyDeviceState(req, device, modify, desired, retry) {
+  //  Read the reported state of the device ID, call modify(reported, state) to compute the attributes to be
+  //  updated, and update the Thing Shadow only if no other Lambda Function has updated it in between.
+  //  state contains the reported and desired states.  If desired is specified, the desired attributes
+  //  are updated together with the reported attributes.
+  //  If the Thing Shadow was updated, read the reported state again and retry.  modify() may be called
+  //  more than once and should not have side effects.  modify() may return a promise, or null to skip
+  //  the update.  Returns a promise for the updated attributes.
+  const retryCount = retry || 0;
+  return getThingShadow(req, device, 'awsModifyDeviceState')
+    //  In case the Thing Shadow doesn't exist, create an empty one, so that concurrent updates are checked
+    //  against its version too.  Creating it more than once is harmless.  Other errors are not retried.
+    .catch((error) => {
+      if (!isNotFound(error)) throw error;
+      return updateThingShadow(req, device, { state: { reported: {} } }, 'awsModifyDeviceState')
+        .then(() => getThingShadow(req, device, 'awsModifyDeviceState'));
+    })
+    .then(shadow => loadOverflow(req, shadow && shadow.state)
+      .then(state => ({ shadow, state })))
+    .then(({ shadow, state: state0 }) => {
+      const reported = (state0 && state0.reported) || {};
+      const version = shadow ? shadow.version : null;
+      return Promise.resolve(modify(reported, state0 || {}))
+        .then((state) => {
+          if (!state) return null;
+          //  Pass the Thing Shadow that was read, so that the attributes in S3 are updated without reading it again.
+          return updateDeviceState(req, device, state, version, desired, shadow)
+            .then(() => state);
+        });
+    })
+    .catch((error) => {
+      if (!isVersionConflict(error) || retryCount >= maxConflictRetries) throw error;
+      module.exports.log(req, 'awsModifyDeviceState', { device, retry: retryCount + 1 });
+      //  Wait a random interval so that the competing updates don't conflict again.
+      return module.exports.sleep(req, null, Math.floor(Math.random() * conflictDelay * (retryCount + 1)))
+        .then(() => modifyDeviceState(req, device, modify, desired, retryCount + 1));
+    });
+}
+
+function getPath(obj, path) {
+  //  Return the value at the path, e.g. "linkQuality.history", or undefined if not found.
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object') ? value[key] : undefined, obj);
+}
+
+function setPath(path, value) {
+  //  Return a partial state with the value at the path e.g. setPath("a.b", 1) returns {"a":{"b":1}}.
+  return path.split('.').reverse().reduce((result, key) => ({ [key]: result }), value);
+}
+
+function appendDeviceState(req, device, path, values, maxLength) {
+  //  Append the value or array of values to the list at the path e.g. "linkQuality.history" in the reported
+  //  state of the device ID.  If maxLength is specified, only the latest maxLength values are kept.
+  //  Returns a promise for the updated list.
+  const newValues = Array.isArray(values) ? values : [values];
+  return modifyDeviceState(req, device, (reported) => {
+    const list = getPath(reported, path);
+    const result = (Array.isArray(list) ? list : []).concat(newValues);
+    return setPath(path, maxLength ? result.slice(-maxLength) : result);
+  })
+    .then(state => getPath(state, path));
+}
+
+function incrementDeviceState(req, device, path, amount) {
+  //  Increment the counter at the path e.g. "linkQuality.stations.1D44" in the reported state of the
+  //  device ID by amount (default 1).  Returns a promise for the updated counter.
+  const increment = (amount === undefined || amount === null) ? 1 : amount;
+  return modifyDeviceState(req, device, (reported) => {
+    const counter = getPath(reported, path);
+    return setPath(path, (typeof counter === 'number' ? counter : 0) + increment);
+  })
+    .then(state => getPath(state, path));
+}
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Desired State Functions: Configure devices through the desired state of the Thing Shadow
+
+//  Desired attributes used internally by the framework, which the device never reports.
+const internalDesiredKeys = ['downlinkData'];
+const deltaHandlers = [];  //  Handlers registered by onDelta().
+
+function isStateObject(obj) {
+  //  Return true if obj is a nested state object, not a value or array.
+  return !!obj && typeof obj === 'object' && !Array.isArray(obj);
+}
+
+function computeDelta(desired, reported) {
+  //  Return the desired attributes that are different from the reported attributes, like the
+  //  delta of AWS IoT Thing Shadows.  Nested objects are compared attribute by attribute.
+  //  Returns null if there are no differences.
+  const delta = {};
+  for (const key of Object.keys(desired || {})) {
+    const value = desired[key];
+    const reportedValue = isStateObject(reported) ? reported[key] : undefined;
+    if (isStateObject(value) && isStateObject(reportedValue)) {
+      const nestedDelta = computeDelta(value, reportedValue);
+      if (nestedDelta) delta[key] = nestedDelta;
+    } else if (JSON.stringify(value) !== JSON.stringify(reportedValue)) {
+      delta[key] = value;
+    }
+  }
+  return Object.keys(delta).length > 0 ? delta : null;
+}
+
+function setDesiredState(req, device, desired) {
+  //  Set the desired state for the device ID e.g. { reportingInterval: '15m', led: { colour: 'red' } }
+  //  Existing desired attributes are overwritten, other attributes are kept.  Set an attribute to null
+  //  to remove it.  Returns a promise.
+  if (!isStateObject(desired)) return Promise.reject(new Error(`Desired state must be an object: ${desired}`));
+  const payload = {
+    state: { desired },
+  };
+  return createDevice(req, device)
+    .then(() => updateThingShadow(req, device, payload, 'awsSetDesiredState'));
+}
+
+function getDeviceDelta(req, device) {
+  //  Return a promise for the desired attributes of the device ID that are different from the
+  //  reported attributes, e.g. { reportingInterval: '15m' }, or null if none.
+  //  Desired attributes used internally by the framework, like downlinkData, are excluded.
+  return getDeviceState(req, device)
+    .then((state) => {
+      const desired = Object.assign({}, state && state.desired);
+      for (const key of internalDesiredKeys) delete desired[key];
+      return computeDelta(desired, state && state.reported);
+    });
+}
+
+function onDelta(handler) {
+  //  Register a handler that will be called before the task when a Sigfox message is received
+  //  from a device whose desired state is different from the reported state.  Usually called in wrap().
+  //  The handler is called as handler(req, device, delta, body) and should return a promise.
+  //  The handler will be called for every message until the device reports the desired state,
+  //  or the handler calls updateDeviceState() to report it.
+  if (typeof handler !== 'function') throw new Error(`Delta handler should be a function, not ${typeof handler}`);
+  if (deltaHandlers.indexOf(handler) < 0) deltaHandlers.push(handler);
+}
+
+function runDeltaHandlers(req, device, body) {
+  //  If the device has a delta, call the handlers registered by onDelta().  Errors in the handlers
+  //  are logged and don't stop the task.  Returns a promise.
+  if (deltaHandlers.length === 0 || !device) return Promise.resolve(null);
+  return getDeviceDelta(req, device)
+    //  Thing Shadow doesn't exist, so no delta.
+    .catch((error) => { if (!isNotFound(error)) throw error; return null; })
+    .then((delta) => {
+      if (!delta) return null;
+      module.exports.log(req, 'runDeltaHandlers', { device, delta });
+      return Promise.all(deltaHandlers.map(handler => Promise.resolve()
+        .then(() => handler(req, device, delta, body))
+        .catch(error => module.exports.error(req, 'runDeltaHandlers', { error, device, delta }))));
+    });
+}
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Routing Functions: Choose the route for each device by device ID, device ID pattern or Thing Type
+
+//  The routing table and Thing attributes are reloaded after 10 seconds, so that route changes
+//  take effect without redeploying the Lambda Functions.
+const routeExpiry = 10 * 1000;
+let routeTable = null;
+let routeTableExpiry = 0;
+const deviceRoutes = {};  //  Maps device ID to { thing, expiry } from AWS IoT describeThing.
+const maxDeviceRoutes = 1000;  //  Cache at most 1000 Things.
+
+function parseRoute(route) {
+  //  Convert the route 'decodeStructuredMessage, sendToUbidots' to ['decodeStructuredMessage', 'sendToUbidots'].
+  if (Array.isArray(route)) return route;
+  return (route || '').split(' ').join('').split(',').filter(step => step);
+}
+
+function getRouteTable(req) {
+  //  Return a promise for the routing table in the S3 file SIGFOX_ROUTE_TABLE e.g. my-bucket/routes.json
+  //  The table looks like:
+  //  { "rules": [ { "device": "1A2345", "route": "decodeStructuredMessage,sendToUbidots" },
+  //               { "pattern": "^2C", "route": "decodeStructuredMessage" },
+  //               { "thingType": "TemperatureSensor", "route": "decodeTemperature" } ],
+  //    "default": "decodeStructuredMessage" }
+  //  Returns {} if SIGFOX_ROUTE_TABLE is not set.
+  const location = process.env.SIGFOX_ROUTE_TABLE;
+  if (!location) return Promise.resolve({});
+  if (routeTable && routeTableExpiry >= Date.now()) return Promise.resolve(routeTable);
+  //  Extend the expiry temporarily so we don't have concurrent requests to fetch the table.
+  if (routeTable) routeTableExpiry = Date.now() + routeExpiry;
+  const bucket = location.split('/')[0];
+  const name = location.substr(bucket.length + 1);
+  return readFile(req, bucket, name)
+    .then((res) => {
+      //  In case of error, reuse the previous table if any.
+      if (!res) return routeTable || {};
+      routeTable = compileRouteTable(req, res);
+      routeTableExpiry = Date.now() + routeExpiry;
+      module.exports.log(req, 'getRouteTable', { result: res, location });
+      return routeTable;
+    });
+}
+
+function compileRouteTable(req, table) {
+  //  Return the routing table with the device ID patterns compiled into regular expressions,
+  //  so that they are compiled once per load.  Rules with invalid patterns are logged and skipped.
+  const rules = [];
+  for (const rule of table.rules || []) {
+    if (!rule.pattern) {
+      rules.push(rule);
+      continue;
+    }
+    try {
+      rules.push(Object.assign({}, rule, { regexp: new RegExp(rule.pattern, 'i') }));
+    } catch (error) {
+      module.exports.error(req, 'compileRouteTable', { error, rule });
+    }
+  }
+  return Object.assign({}, table, { rules });
+}
+
+function cacheDevice(device, thing) {
+  //  Cache the AWS IoT Thing for the device ID.  When the cache is full, remove the expired Things
+  //  and then the oldest Things.
+  const now = Date.now();
+  let devices = Object.keys(deviceRoutes);
+  if (devices.length >= maxDeviceRoutes) {
+    for (const key of devices) {
+      if (deviceRoutes[key].expiry < now) delete deviceRoutes[key];
+    }
+    devices = Object.keys(deviceRoutes).sort((a, b) => deviceRoutes[a].expiry - deviceRoutes[b].expiry);
+    for (const key of devices.slice(0, (devices.length - maxDeviceRoutes) + 1)) delete deviceRoutes[key];
+  }
+  deviceRoutes[device] = { thing, expiry: now + routeExpiry };
+}
+
+function describeDevice(req, device) {
+  //  Return a promise for the AWS IoT Thing for the device ID, which looks like
+  //  { thingName: '1A2345', thingTypeName: 'TemperatureSensor', attributes: { route: '...' } }
+  //  Returns null if the Thing doesn't exist.
+  const cached = deviceRoutes[device];
+  if (cached && cached.expiry >= Date.now()) return Promise.resolve(cached.thing);
+  return Iot.describeThing({ thingName: device }).promise(req)
+    .catch(() => null)
+    .then((thing) => {
+      cacheDevice(device, thing);
+      return thing;
+    });
+}
+
+function getDeviceRoute(req, device0) {
+  //  Return a promise for the route for the device ID e.g. ['decodeStructuredMessage', 'sendToUbidots'].
+  //  The route is chosen in this order:
+  //  (1) The "route" attribute of the AWS IoT Thing
+  //  (2) The first rule in the routing table SIGFOX_ROUTE_TABLE that matches the device ID,
+  //      device ID pattern (regular expression) or Thing Type
+  //  (3) The default route in the routing table
+  //  (4) The environment variable SIGFOX_ROUTE
+  if (!device0) throw new Error('missing_deviceid');
+  //  Capitalise device ID but not device names.
+  const device = device0.length > 6 ? device0 : device0.toUpperCase();
+  let thing = null;
+  return describeDevice(req, device)
+    .then((res) => { thing = res || {}; })
+    .then(() => getRouteTable(req))
+    .then((table) => {
+      const attributes = thing.attributes || {};
+      if (attributes.route) return parseRoute(attributes.route);
+      const rule = (table.rules || []).find(r => (
+        (r.device && r.device.toUpperCase() === device)
+        || (r.regexp && r.regexp.test(device))
+        || (r.thingType && r.thingType === thing.thingTypeName)
+      ));
+      if (rule) return parseRoute(rule.route);
+      return parseRoute(table.default || process.env.SIGFOX_ROUTE);
+    })
+    .then((result) => {
+      module.exports.log(req, 'getDeviceRoute', { result, device, thingTypeName: thing.thingTypeName });
+      return result;
+    });
+}
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Downlink Functions: Return downlink data to Sigfox in the HTTP response of sigfoxCallback
+
+function setDownlink(req, device, data) {
+  //  Queue the downlink data for the device ID.  The data will be returned to Sigfox when the device
+  //  next sends a message with ack=true.  data must be 8 bytes in hex e.g. '0123456789abcdef'.
+  //  The data is saved in the Thing Shadow as desired.downlinkData.  Returns a promise.
+  if (typeof data !== 'string' || !/^[0-9a-fA-F]{16}$/.test(data)) {
+    return Promise.reject(new Error(`Downlink data must be 8 bytes in hex: ${data}`));
+  }
+  const payload = {
+    state: {
+      desired: { downlinkData: data.toLowerCase() },
+    },
+  };
+  return createDevice(req, device)
+    .then(() => updateThingShadow(req, device, payload, 'setDownlink'));
+}
+
+function getDownlink(req, device) {
+  //  Return a promise for the downlink data queued by setDownlink() for the device ID, or null if none.
+  return getDeviceState(req, device)
+    .then(state => (state && state.desired && state.desired.downlinkData) || null)
+    //  Thing Shadow doesn't exist, so no downlink.
+    .catch((error) => { if (!isNotFound(error)) throw error; return null; });
+}
+
+function getCallbackResponse(req, json, statusCode) {
+  //  Return a promise for the HTTP response { json, statusCode } to sigfoxCallback.
+  //  If the Sigfox message has ack=true, return the downlink data queued by setDownlink() in the format
+  //  that Sigfox expects: { "1A2345": { "downlinkData": "0123456789abcdef" } }
+  //  If there is no downlink data, return HTTP status 204 without a body.
+  //  The downlink data is removed from the Thing Shadow after sending, unless it has been replaced.
+  const body = req.body || {};
+  if (!body.device || (body.ack !== true && body.ack !== 'true')) return Promise.resolve({ json, statusCode });
+  const device = body.device.toUpperCase();
+  let data = null;
+  return getDownlink(req, device)
+    //  Respond without the downlink data rather than fail the callback.
+    .catch((error) => { module.exports.error(req, 'getCallbackResponse', { error, device }); return null; })
+    .then((res) => { data = res; })
+    .then(() => {
+      if (!data) return null;
+      //  Remove the downlink data and record the sending.  If setDownlink() has queued new data
+      //  since we read it, keep the new data for the next message.
+      const seqNumber = (body.seqNumber !== undefined && body.seqNumber !== null) ? body.seqNumber : null;
+      return modifyDeviceState(req, device, (reported, state) => {
+        const desired = state.desired || {};
+        if (desired.downlinkData !== data) return null;
+        return { downlinkSent: { data, seqNumber, timestamp: Date.now() } };
+      }, { downlinkData: null })
+        //  Send the downlink data even if it can't be removed.
+        .catch((error) => { module.exports.error(req, 'getCallbackResponse', { error, device, data }); });
+    })
+    .then(() => {
+      if (!data) {
+        module.exports.log(req, 'getCallbackResponse', { result: 'no_data', device });
+        return { json: null, statusCode: 204 };
+      }
+      const result = {};
+      result[device] = { downlinkData: data };
+      module.exports.log(req, 'getCallbackResponse', { result, device });
+      //  Sigfox requires HTTP status 200 to send downlink data.
+      return { json: result, statusCode: 200 };
+    })
+    .catch((error) => {
+      module.exports.error(req, 'getCallbackResponse', { error, device });
+      return { json, statusCode };
+    });
+}
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Sequence Functions: Detect duplicate, lost and replayed Sigfox messages by sequence number
+
+//  Set SIGFOX_DEDUPLICATE=drop to drop duplicate messages, or SIGFOX_DEDUPLICATE=tag to send them
+//  with isDuplicate=true.  If not set, sequence numbers are not checked.
+const deduplicateMode = (process.env.SIGFOX_DEDUPLICATE || '').toLowerCase();
+const sequenceModulo = 4096;  //  Sigfox sequence numbers are 12 bits and wrap around to 0.
+const sequenceWindow = 32;  //  Remember the last 32 sequence numbers per device.
+
+function updateSequence(state0, seqNumber, isDuplicate0) {
+  //  Given the previous sequence state of the device and the received sequence number,
+  //  return { state, duplicate, lost, reset } where state is the updated sequence state,
+  //  duplicate is true if the sequence number was seen recently, lost is the number of
+  //  frames skipped and reset is true if the device restarted its sequence numbers.
+  //  state looks like { last: 1508, seen: [1507, 1508], lost: 3, resets: 0, duplicates: 2 }
+  const state = Object.assign({ last: null, seen: [], lost: 0, resets: 0, duplicates: 0 }, state0);
+  const result = { state, duplicate: false, lost: 0, reset: false };
+  //  Sigfox flags the copies received by other base stations as duplicate.
+  if (isDuplicate0 || state.seen.indexOf(seqNumber) >= 0) {
+    result.duplicate = true;
+    state.duplicates += 1;
+    return result;
+  }
+  if (state.last !== null) {
+    //  Distance from the last sequence number, allowing for wraparound.
+    const distance = (seqNumber - state.last + sequenceModulo) % sequenceModulo;
+    if (distance < sequenceModulo / 2) {
+      //  Moving forward.  Any skipped sequence numbers are lost frames.
+      result.lost = distance - 1;
+      state.lost += result.lost;
+      state.last = seqNumber;
+    } else if (sequenceModulo - distance > sequenceWindow) {
+      //  Jumped far backwards: the device has restarted its sequence numbers.
+      result.reset = true;
+      state.resets += 1;
+      state.last = seqNumber;
+      state.seen = [];
+    } else {
+      //  This is a late frame that arrived out of order, previously counted as lost.
+      state.lost = Math.max(0, state.lost - 1);
+    }
+  } else state.last = seqNumber;
+  state.seen = state.seen.concat([seqNumber]).slice(-sequenceWindow);
+  return result;
+}
+
+function checkSequence(req, body) {
+  //  Check the sequence number of the Sigfox message against the sequence state saved in the Thing Shadow
+  //  as reported.sequence, then save the updated state.  The state is updated only if no other Lambda
+  //  instance has updated the Thing Shadow in between, else we check again with the latest state.
+  //  Returns a promise for { duplicate, lost, reset } or null if the message has no sequence number.  Never rejects.
+  if (!body || !body.device || body.seqNumber === undefined || body.seqNumber === null) return Promise.resolve(null);
+  const device = body.device.toUpperCase();
+  const seqNumber = parseInt(body.seqNumber, 10);
+  const isDuplicate = (body.duplicate === true || body.duplicate === 'true');
+  let result = null;
+  const modify = (reported) => {
+    //  Called again if the Thing Shadow was updated in between, so we keep only the latest result.
+    result = updateSequence(reported.sequence, seqNumber, isDuplicate);
+    return { sequence: Object.assign({}, result.state, { updated: Date.now() }) };
+  };
+  return modifyDeviceState(req, device, modify)
+    .catch((error) => {
+      //  Create the Thing only for new devices, so that we don't slow down every callback.
+      if (!isNotFound(error)) throw error;
+      return createDevice(req, device)
+        .then(() => modifyDeviceState(req, device, modify));
+    })
+    .then(() => {
+      if (result.lost > 0 || result.reset) module.exports.log(req, 'checkSequence', { device, seqNumber, lost: result.lost, reset: result.reset, state: result.state });
+    })
+    .catch((error) => {
+      result = null;
+      module.exports.error(req, 'checkSequence', { error, device, seqNumber });
+    })
+    .then(() => (result ? { duplicate: result.duplicate, lost: result.lost, reset: result.reset } : null));
+}
+
+function filterDuplicate(req, topicName, payload) {
+  //  For messages sent to sigfox.received by sigfoxCallback: Wait for the sequence check started by init().
+  //  Return a promise for the payload to be sent, with isDuplicate, lostFrames and sequenceReset fields
+  //  added to the body.  Return null if the message is a duplicate that should be dropped.
+  if (!req.sequencePromise || (topicName || '').split('/').join('.') !== 'sigfox.received') return Promise.resolve(payload);
+  return req.sequencePromise
+    .then((res) => {
+      if (!res) return payload;
+      if (res.duplicate && deduplicateMode === 'drop') {
+        module.exports.log(req, 'filterDuplicate', { status: 'dropped', device: req.device, seqNumber: req.body.seqNumber });
+        return null;
+      }
+      const payloadObj = JSON.parse(payload);
+      if (!payloadObj.body) return payload;
+      if (res.duplicate) payloadObj.body.isDuplicate = true;
+      if (res.lost > 0) payloadObj.body.lostFrames = res.lost;
+      if (res.reset) payloadObj.body.sequenceReset = true;
+      return JSON.stringify(payloadObj);
+    });
+}
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Authentication Functions: Verify and validate the HTTP callbacks from Sigfox
+
+//  The callbacks from Sigfox are authenticated by any of these methods, configured in the environment.
+//  If none are configured, all callbacks are accepted.
+//  SIGFOX_AUTH_TOKEN: Header SIGFOX_AUTH_HEADER (default "Authorization") must contain this token.
+//  SIGFOX_AUTH_KEY: Query string parameter SIGFOX_AUTH_KEY_PARAM (default "key") must contain this key,
+//    e.g. https://.../prod/sigfoxCallback?key=...
+//  SIGFOX_AUTH_HMAC_SECRET: Header SIGFOX_AUTH_HMAC_HEADER (default "X-Sigfox-Signature") must contain
+//    the HMAC-SHA256 signature of the body in hex, signed with this secret.
+const authToken = process.env.SIGFOX_AUTH_TOKEN || null;
+const authHeader = (process.env.SIGFOX_AUTH_HEADER || 'Authorization').toLowerCase();
+const authKey = process.env.SIGFOX_AUTH_KEY || null;
+const authKeyParam = process.env.SIGFOX_AUTH_KEY_PARAM || 'key';
+const authHMACSecret = process.env.SIGFOX_AUTH_HMAC_SECRET || null;
+const authHMACHeader = (process.env.SIGFOX_AUTH_HMAC_HEADER || 'X-Sigfox-Signature').toLowerCase();
+
+function secureEquals(a, b) {
+  //  Compare the strings in constant time to prevent timing attacks.
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function authenticateRequest(req, event) {
+  //  Return true if the HTTP request is authenticated by any of the configured methods,
+  //  or if no methods are configured.
+  if (!authToken && !authKey && !authHMACSecret) return true;
+  //  Header names are case-insensitive.
+  const headers = {};
+  for (const key of Object.keys(event.headers || {})) headers[key.toLowerCase()] = event.headers[key];
+  const query = event.queryStringParameters || {};
+  if (authToken && secureEquals(headers[authHeader], authToken)) return true;
+  if (authKey && secureEquals(query[authKeyParam], authKey)) return true;
+  if (authHMACSecret && typeof event.body === 'string') {
+    const signature = crypto.createHmac('sha256', authHMACSecret).update(event.body).digest('hex');
+    if (secureEquals((headers[authHMACHeader] || '').toLowerCase(), signature)) return true;
+  }
+  return false;
+}
+
+function validateBody(req, body) {
+  //  Return the error message if the Sigfox message fields are invalid, else null.
+  //  device and data are mandatory.  seqNumber and time are validated if present.
+  const device = body.device;
+  const data = body.data;
+  if (typeof device !== 'string' || !/^[0-9a-fA-F]{1,8}$/.test(device)) return `Invalid device: ${device}`;
+  //  Sigfox uplink data is at most 12 bytes in hex.
+  if (typeof data !== 'string' || !/^([0-9a-fA-F]{2}){0,12}$/.test(data)) return `Invalid data: ${data}`;
+  //  Sequence numbers are 12 bits.
+  const seqNumber = body.seqNumber;
+  if (seqNumber !== undefined && (!/^[0-9]+$/.test(`${seqNumber}`) || parseInt(seqNumber, 10) > 4095)) {
+    return `Invalid seqNumber: ${seqNumber}`;
+  }
+  //  Time is the number of seconds since 1970 Jan 1 UTC.
+  const time = body.time;
+  if (time !== undefined && !/^[0-9]{1,10}$/.test(`${time}`)) return `Invalid time: ${time}`;
+  return null;
+}
+
+function validateRequest(req, event) {
+  //  For HTTP requests from Sigfox, return { statusCode, error } if the request should be rejected:
+  //  401 if not authenticated, 400 if the Sigfox message is invalid.  Return null if OK or not HTTP.
+  if (typeof event.body !== 'string') return null;
+  if (!authenticateRequest(req, event)) {
+    return { statusCode: 401, error: new Error('Unauthorized') };
+  }
+  if (!req.body || typeof req.body !== 'object') {
+    return { statusCode: 400, error: new Error('Invalid JSON body') };
+  }
+  const message = validateBody(req, req.body);
+  if (message) return { statusCode: 400, error: new Error(message) };
+  return null;
 }
 
 //  //////////////////////////////////////////////////////////////////////////////////// endregion
@@ -709,9 +2342,15 @@ function updateDeviceState(req, device0, state0) {
 function prepareRequest(event, context) {
   //  Prepare the request object and return it.
   const body = (typeof event.body === 'string')
-    ? JSON.parse(event.body)  //  For HTTP request.
+    ? parseJSON(event.body)  //  For HTTP request.  Null if invalid.
     : null;  //  For queue requests.
-  return { body, returnStatus: null, returnJSON: null, requestId: context ? context.awsRequestId : null };
+  //  Remove the authentication key from the query string so that it won't be logged or sent in messages.
+  const query = Object.assign({}, event.queryStringParameters);
+  if (query[authKeyParam]) delete query[authKeyParam];
+  const result = { body, query, returnStatus: null, returnJSON: null, requestId: context ? context.awsRequestId : null };
+  //  For batched events, remember the message in the batch, see main().
+  if (context && context.batchItemId) result.batchItemId = context.batchItemId;
+  return result;
 }
 
 /* body looks like {
@@ -734,25 +2373,51 @@ function done(req, error, result, statusCode0, callback) {
   //  Return a statusCode and JSON response to the HTTP request.  If error is set return the error
   //  else return the result.  If statusCode is null,
   //  return 200 or 500 depending on where the error
-  //  is absent or present.
+  //  is absent or present.  HTTP status 204 is returned without a body.
+  const statusCode = statusCode0 || (error ? 500 : 200);
   return callback(null, {
-    statusCode: statusCode0 || (error ? 500 : 200),
-    body: error ? error.message : JSON.stringify(result),
+    statusCode,
+    body: error ? error.message : (statusCode === 204 ? '' : JSON.stringify(result)),
     headers: {
       'Content-Type': 'application/json',
     },
   });
 }
 
-function init(event, context, callback, task) {
+function wrapTask(task) {
+  //  Return the task function, which will run the delta handlers before running the task.
+  //  If the task fails and SIGFOX_DEADLETTER_BUCKET is set, save the message as a dead letter and don't
+  //  pass the message to the next step, so that it's not processed twice after re-driving.  Then pass on the error.
+  //  Without SIGFOX_DEADLETTER_BUCKET, the message is passed to the next step as usual.
+  //  For batched events, the failed message is not passed to the next step because it will be retried
+  //  by SQS or Kinesis, see main().
+  return (req, device, body, msg) => runDeltaHandlers(req, device, body)
+    .then(() => task(req, device, body, msg))
+    .catch((error) => {
+      if (!req.batchItemId) {
+        if (!getDeadLetterLocation()) throw error;
+        return deadLetter(req, getMessageTopic(msg), msg, error, 'task')
+          .then((record) => {
+            //  runTask() in sigfox-iot-cloud doesn't dispatch messages that are already dispatched.
+            if (record) msg.isDispatched = true;  // eslint-disable-line no-param-reassign
+            throw error;
+          });
+      }
+      //  Fail the message before runTask() dispatches it.
+      req.taskError = error;  // eslint-disable-line no-param-reassign
+      msg.isDispatched = true;  // eslint-disable-line no-param-reassign
+      throw error;
+    });
+}
+
+function init(event0, context, callback, task) {
   //  Run the function in the wrapper, passed as "this".
   //  Call the callback upon success or failure.
   //  Returns a promise.
-  console.log('init', { event, context, callback, task, env: process.env });
-  //  Generate a random prefix for the AWS XRay segment ID.
-  segmentPrefix = Math.floor(Math.random() * 10000).toString(16);
-  //  Create the segments for AWS XRay tracing.
-  initTrace(event, context);
+  //  Unwrap the message if delivered through SNS.
+  const event = unwrapEvent(event0);
+  //  Create the segments for AWS XRay tracing.  The trace context is kept in the request.
+  const trace = initTrace(event, context);
 
   //  This tells AWS to quit as soon as we call callback.  Else AWS will wait
   //  for all functions to stop running.  This causes some background functions
@@ -762,6 +2427,11 @@ function init(event, context, callback, task) {
   context.callbackWaitsForEmptyEventLoop = false;
   //  Prepare the request and result objects.
   const req = prepareRequest(event, context);
+  req.traceContext = trace;
+  //  Add the request ID, device, sequence number and trace ID to the logs of this request.
+  addLogContext(req, event);
+  //  For HTTP requests, log the body and query without the authentication key.
+  loggingLog.debug(req, 'init', req.body ? { body: req.body, query: req.query } : { event });
   //  Result object that wii be passed to wrapper.
   const res = {   //  Simulates some functions of the ExpressJS Response object.
     status: (code) => {
@@ -775,13 +2445,33 @@ function init(event, context, callback, task) {
       return res;
     },
     end: () => {
-      //  End the request.  We return the response code and JSON.
+      //  End the request.  We return the response code and JSON, with the downlink data if requested.
+      //  If the request was rejected, we have already responded.
+      if (req.rejected) return res;
       const error = null;
-      done(req, error, req.returnJSON, req.returnStatus, callback);
+      getCallbackResponse(req, req.returnJSON, req.returnStatus)
+        .then(response => done(req, error, response.json, response.statusCode, callback));
       return res;
     },
   };
   req.res = res;  //  Save the response object in the request for easy reference.
+  //  For HTTP requests from Sigfox: Reject the request now if not authenticated or not valid.
+  //  No messages will be sent to the queues for this request.
+  //  Authenticate before calling any AWS APIs for the request.
+  const rejection = validateRequest(req, event);
+  if (rejection) {
+    //  Don't trace rejected requests.
+    if (trace.sampled === null) trace.sampled = false;
+    trace.pendingSegments.splice(0);
+    module.exports.error(req, 'validateRequest', { error: rejection.error, statusCode: rejection.statusCode, device: req.body ? req.body.device : null });
+    req.rejected = true;
+    done(req, rejection.error, null, rejection.statusCode, callback);
+  } else {
+    //  Start deciding whether to trace the message.  Messages will be sent after the decision.
+    if (trace.sampled === null) trace.samplingPromise = sampleTrace(req, trace);
+    //  Start checking the sequence number now.  sigfox.received will wait for the result.
+    if (deduplicateMode && req.body) req.sequencePromise = checkSequence(req, req.body);
+  }
   const result = { req, res };
   if (event) result.event = event;
   if (context) result.context = context;
@@ -790,31 +2480,51 @@ function init(event, context, callback, task) {
     req.callback = callback;
     result.callback = callback;
   }
-  if (task) result.task = task;
+  //  Run the delta handlers registered by onDelta() before the task, and keep failed messages.
+  if (task) result.task = wrapTask(task);
   return result;
 }
 
 function shutdown(req, useCallback, error, result) {
   //  Close all cloud connections.  If useCallback is true, return the error or result
   //  to AWS through the callback.
-  const promises = [];
-  if (childSegment) {
-    promises.push(closeTraceSegment(childSegment)
-      .then((res) => { console.log('Close childSegment', res, childSegment); childSegment = null; return res; })
-      .catch(err => console.error('shutdown child', err.message, err.stack)));
-  }
-  if (parentSegment) {
-    promises.push(closeTraceSegment(parentSegment)
-      .then((res) => { console.log('Close parentSegment', res, parentSegment); parentSegment = null; return res; })
-      .catch(err => console.error('shutdown parent', err.message, err.stack)));
-  }
-  return Promise.all(promises)
+  const trace = getTraceContext(req);
+  //  Wait for the error reports to be sent.  Close the segments only if the message is traced.
+  const reports = flushErrors(req);
+  return waitForSampling(req)
+    .then((sampled) => {
+      const promises = [];
+      const childSegment = trace.childSegment;
+      const parentSegment = trace.parentSegment;
+      trace.childSegment = null;
+      trace.parentSegment = null;
+      if (!sampled) {
+        trace.openSpans.splice(0);
+        trace.endedSpans.splice(0);
+        return promises;
+      }
+      //  Send the spans before closing the child segment.
+      promises.push(endSpans(trace));
+      if (childSegment) {
+        promises.push(closeTraceSegment(childSegment)
+          .then((res) => { console.log('Close childSegment', res, childSegment); return res; })
+          .catch(err => console.error('shutdown child', err.message, err.stack)));
+      }
+      if (parentSegment) {
+        promises.push(closeTraceSegment(parentSegment)
+          .then((res) => { console.log('Close parentSegment', res, parentSegment); return res; })
+          .catch(err => console.error('shutdown parent', err.message, err.stack)));
+      }
+      return Promise.all(promises);
+    })
+    .then(res => reports.then(() => res))
     .then((res) => {
       console.log('shutdown', res);
       if (useCallback) {  //  useCallback is normally true except for sigfoxCallback.
         const callback = req.callback;
         if (callback && typeof callback === 'function') {
-          return Promise.resolve(callback(error, result));
+          //  For batched events, report the failed task so that the message will be retried.
+          return Promise.resolve(callback(error || (req.batchItemId ? req.taskError : null), result));
         }
       }
       return Promise.resolve(error || result);
@@ -822,6 +2532,71 @@ function shutdown(req, useCallback, error, result) {
     .catch(err => console.error('shutdown', err.message, err.stack));
 }
 
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Batch Functions: Process batched events from SQS, Kinesis or an array of messages
+
+let iotCloudMain = null;  //  main() from sigfox-iot-cloud, which processes a single message.  Set below.
+
+function getBatchMessages(event) {
+  //  Return the messages in the batched event as [{ id, message }], or null if the event is not batched.
+  //  id identifies the failed messages to be retried: the message ID for SQS, the sequence number
+  //  for Kinesis and the index for an array of messages.  message is null if it can't be parsed.
+  if (Array.isArray(event)) return event.map((message, index) => ({ id: `${index}`, message }));
+  if (!event || !Array.isArray(event.Records) || event.Records.length === 0) return null;
+  const source = event.Records[0].eventSource;
+  if (source === 'aws:sqs') {
+    return event.Records.map(record => ({ id: record.messageId, message: parseJSON(record.body) }));
+  }
+  if (source === 'aws:kinesis') {
+    return event.Records.map(record => ({
+      id: record.kinesis.sequenceNumber,
+      message: parseJSON(Buffer.from(record.kinesis.data, 'base64').toString()),
+    }));
+  }
+  return null;
+}
+
+function runBatchMessage(item, context, task) {
+  //  Process the message in the batch like a single message, with its own request, trace context and history.
+  //  Returns a promise for the error, or null if the message was processed successfully.
+  if (!item.message) return Promise.resolve(new Error(`Invalid message ${item.id}`));
+  const itemContext = Object.assign(Object.create(context), { batchItemId: item.id });
+  return new Promise((resolve) => {
+    try {
+      iotCloudMain(item.message, itemContext, error => resolve(error || null), task);
+    } catch (error) {
+      resolve(error);
+    }
+  });
+}
+
+function main(event, context, callback, task) {
+  //  Start point for the Lambda Function.  For batched events from SQS, Kinesis or an array of messages,
+  //  run the task for each message in turn.  The failed messages are returned in the partial batch
+  //  failure format { batchItemFailures: [{ itemIdentifier }] }, so that only the failed messages are
+  //  retried.  For other events, process the single message through sigfox-iot-cloud.
+  const batch = getBatchMessages(event);
+  if (!batch) return iotCloudMain(event, context, callback, task);
+  //  eslint-disable-next-line no-param-reassign
+  context.callbackWaitsForEmptyEventLoop = false;
+  const req = { requestId: context ? context.awsRequestId : null };
+  const batchItemFailures = [];
+  //  Run the messages one after another, not concurrently.  The messages in a Kinesis shard or SQS FIFO
+  //  message group are in the order sent by the devices, and tasks that keep the latest device state depend
+  //  on that order.  Concurrent tasks for the same device would also conflict when updating the Thing Shadow.
+  return batch.reduce((promise, item) => promise
+    .then(() => runBatchMessage(item, context, task))
+    .then((error) => {
+      if (!error) return;
+      batchItemFailures.push({ itemIdentifier: item.id });
+      module.exports.error(req, 'main', { error, id: item.id });
+    }),
+  Promise.resolve())
+    .then(() => module.exports.log(req, 'main', { count: batch.length, batchItemFailures }))
+    .then(() => flushErrors(req))
+    .then(() => callback(null, { batchItemFailures }));
+}
+
 //  //////////////////////////////////////////////////////////////////////////////////// endregion
 //  region Module Exports
 
@@ -829,6 +2604,7 @@ function shutdown(req, useCallback, error, result) {
 const cloud = {
   isGoogleCloud,
   isAWS,
+  isLocal,
   projectId: null,
   functionName,
   logName,
@@ -868,9 +2644,91 @@ const cloud = {
 
 //  Functions common to Google Cloud and AWS are exposed here.  So clients of both clouds will see the same interface.
 module.exports = require('sigfox-iot-cloud')(cloud);
+//  Batched events are split by our main() before calling main() from sigfox-iot-cloud.
+iotCloudMain = module.exports.main;
 
 //  For Unit Test
 module.exports.getAWSXRay = () => AWSXRay;
 module.exports.getAWS = () => AWS;
+Object.assign(module.exports, {
+  updateSequence,
+  authenticateRequest,
+  validateBody,
+  validateRequest,
+  prepareRequest,
+  computeDelta,
+  runDeltaHandlers,
+  getCallbackResponse,
+  getTransport,
+  unwrapEvent,
+  compileRouteTable,
+  retryPublish,
+  deadLetter,
+  getDeviceProfile,
+  updateDeviceGroups,
+  createTraceContext,
+  getTraceContext,
+  startSpan,
+  endSpans,
+  traceAWSClient,
+  initTrace,
+  createRootTrace,
+  getSamplingRules,
+  applySamplingRules,
+  isDeviceSampled,
+  getBatchMessages,
+  runBatchMessage,
+  getLogContext,
+  addLogContext,
+  writeLogRecord,
+  stringifyCircular,
+  getErrorFingerprint,
+});
+
+//  Functions specific to sigfox-aws, not in sigfox-iot-cloud.
+Object.assign(module.exports, {
+  isLocal,
+  main,
+
+  //  Logging
+  getLogger,
+  reportError,
+  flushErrors,
+
+  //  Instrumentation
+  newTraceSegmentId,
+
+  //  Messaging
+  getQueue,
+  sendNotification,
+
+  //  File
+  listFiles,
+
+  //  Dead Letters
+  redriveMessage,
+  redriveDeadLetters,
+
+  //  Device State
+  listDevices,
+  isNotFound,
+
+  //  Atomic Device State
+  modifyDeviceState,
+  appendDeviceState,
+  incrementDeviceState,
+
+  //  Desired State
+  setDesiredState,
+  getDeviceDelta,
+  onDelta,
+
+  //  Routing
+  getDeviceRoute,
+
+  //  Downlink
+  setDownlink,
+  getDownlink,
+});
 
 //  //////////////////////////////////////////////////////////////////////////////////// endregion
@@ -0,0 +1,466 @@
+//  region Introduction
+//  Local emulator for running the sigfox-aws Lambda Functions on a laptop without AWS.
+//  When environment variable SIGFOX_LOCAL is set, the sigfox-aws framework creates its AWS clients
+//  through createClient() below instead of the AWS SDK:
+//    S3            Files are stored in the local filesystem under SIGFOX_LOCAL_DIR (default ./local-data)
+//    Iot, IotData  Things, Thing Types, Thing Groups and Thing Shadows are kept in memory
+//    IotData       publish() dispatches the message to the Lambda Functions subscribed to the MQTT topic
+//    SQS, SNS      Messages are dispatched to the Lambda Functions subscribed to the queue or topic name
+//    XRay          Trace segments are kept in memory, see getSegments()
+//  Lambda Functions are loaded from this repository (e.g. ./aggregateSensorData) or from sigfox-iot-cloud
+//  (e.g. sigfox-iot-cloud/routeMessage) and run in this process, one invocation at a time.
+//  All Lambda Functions share the function name in AWS_LAMBDA_FUNCTION_NAME (default "local").
+//
+//  To send the test message from sigfoxCallback through routeMessage and decodeStructuredMessage:
+//    node local sigfoxCallback/test/testevent.json
+/* eslint-disable max-len,camelcase,no-console,no-underscore-dangle,global-require,import/no-dynamic-require,no-use-before-define */
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Declarations
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Module = require('module');
+
+const localDir = process.env.SIGFOX_LOCAL_DIR || path.join(process.cwd(), 'local-data');
+
+//  Default subscriptions, like the AWS IoT Rules in the installation instructions.
+//  "+" matches one topic level, "#" matches all remaining levels.  If the Lambda name is null,
+//  the Lambda name is the last level of the topic e.g. sigfox/types/decodeStructuredMessage
+const defaultSubscriptions = [
+  { topicFilter: 'sigfox/received', lambdaName: 'routeMessage' },
+  { topicFilter: 'sigfox/types/+', lambdaName: null },
+];
+
+const things = {};  //  Maps thing name to AWS IoT Thing.
+const thingTypes = {};  //  Maps Thing Type name to AWS IoT Thing Type.
+const thingGroups = {};  //  Maps Thing Group name to AWS IoT Thing Group.
+const shadows = {};  //  Maps thing name to Thing Shadow document { state, version, timestamp }.
+const segments = {};  //  Maps segment ID to the latest AWS X-Ray segment sent.
+const published = [];  //  All messages published, in order: { transport, topic, event }.
+let subscriptions = defaultSubscriptions.slice();
+const lambdas = {};  //  Maps Lambda name to the loaded handler.
+const invocations = [];  //  Queue of pending Lambda invocations.
+let running = null;  //  Promise for the Lambda invocation that is running.
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Utility Functions
+
+function request(func) {
+  //  Return an object that behaves like an AWS SDK request: calling promise() will call func
+  //  and return a promise for the result.
+  return { promise: () => Promise.resolve().then(func) };
+}
+
+function notFound(message) {
+  //  Return an error that looks like the AWS SDK error for missing resources.
+  const error = new Error(message);
+  error.code = 'ResourceNotFoundException';
+  error.statusCode = 404;
+  return error;
+}
+
+function randomHex(length) {
+  //  Return a random hex string with the number of digits.
+  return crypto.randomBytes(Math.ceil(length / 2)).toString('hex').substr(0, length);
+}
+
+function mergeState(oldState, update) {
+  //  Merge the update into the shadow state like AWS IoT: nested objects are merged
+  //  and null values delete the key.  Returns the merged state.
+  const result = Object.assign({}, oldState);
+  for (const key of Object.keys(update || {})) {
+    const val = update[key];
+    if (val === null) delete result[key];
+    else if (typeof val === 'object' && !Array.isArray(val) && typeof result[key] === 'object' && !Array.isArray(result[key])) {
+      result[key] = mergeState(result[key], val);
+    } else result[key] = val;
+  }
+  return result;
+}
+
+function makeDirectory(dir) {
+  //  Create the directory and its parents if they don't exist.  mkdirSync() has no recursive option before Node 10.12.
+  if (fs.existsSync(dir)) return;
+  makeDirectory(path.dirname(dir));
+  fs.mkdirSync(dir);
+}
+
+function matchTopic(topicFilter, topic) {
+  //  Return true if the MQTT topic matches the topic filter, which may contain "+" and "#" wildcards.
+  const filterSplit = topicFilter.split('/');
+  const topicSplit = topic.split('/');
+  for (let i = 0; i < filterSplit.length; i += 1) {
+    if (filterSplit[i] === '#') return true;
+    if (i >= topicSplit.length) return false;
+    if (filterSplit[i] !== '+' && filterSplit[i] !== topicSplit[i]) return false;
+  }
+  return filterSplit.length === topicSplit.length;
+}
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region AWS Stand-ins: Same functions as the AWS SDK clients used by sigfox-aws
+
+function createS3() {
+  //  Return the S3 stand-in.  Files are stored in localDir/s3/<bucket>/<key>
+  const getPath = params => path.join(localDir, 's3', params.Bucket, params.Key);
+  return {
+    putObject: params => request(() => {
+      const filename = getPath(params);
+      makeDirectory(path.dirname(filename));
+      fs.writeFileSync(filename, params.Body);
+      return { ETag: randomHex(32) };
+    }),
+    getObject: params => request(() => {
+      const filename = getPath(params);
+      if (!fs.existsSync(filename)) {
+        const error = notFound(`The specified key does not exist: ${params.Key}`);
+        error.code = 'NoSuchKey';
+        throw error;
+      }
+      return { Body: fs.readFileSync(filename) };
+    }),
+    deleteObject: params => request(() => {
+      const filename = getPath(params);
+      if (fs.existsSync(filename)) fs.unlinkSync(filename);
+      return {};
+    }),
+    listObjectsV2: params => request(() => {
+      const dir = path.join(localDir, 's3', params.Bucket);
+      const list = (subdir) => {
+        const dirPath = path.join(dir, subdir);
+        if (!fs.existsSync(dirPath)) return [];
+        return fs.readdirSync(dirPath).reduce((result, name) => {
+          const key = subdir ? `${subdir}/${name}` : name;
+          if (fs.statSync(path.join(dir, key)).isDirectory()) return result.concat(list(key));
+          return result.concat([{ Key: key }]);
+        }, []);
+      };
+      const prefix = params.Prefix || '';
+      const Contents = list('').filter(obj => obj.Key.indexOf(prefix) === 0).sort((a, b) => (a.Key < b.Key ? -1 : 1));
+      return { Contents, IsTruncated: false };
+    }),
+  };
+}
+
+function createIot() {
+  //  Return the AWS IoT stand-in.  Things, Thing Types and Thing Groups are kept in memory.
+  const getThing = (thingName) => {
+    const thing = things[thingName];
+    if (!thing) throw notFound(`Thing ${thingName} cannot be found.`);
+    return thing;
+  };
+  const createResource = (map, name, kind) => {
+    if (map[name]) {
+      const error = new Error(`${kind} ${name} already exists.`);
+      error.code = 'ResourceAlreadyExistsException';
+      throw error;
+    }
+    map[name] = { name };
+    return map[name];
+  };
+  return {
+    describeEndpoint: () => request(() => ({ endpointAddress: 'local' })),
+    describeThing: params => request(() => getThing(params.thingName)),
+    createThing: params => request(() => {
+      if (params.thingTypeName && !thingTypes[params.thingTypeName]) throw notFound(`Thing Type ${params.thingTypeName} cannot be found.`);
+      const thing = { thingName: params.thingName, version: 1, attributes: {}, groups: [] };
+      if (params.thingTypeName) thing.thingTypeName = params.thingTypeName;
+      if (params.attributePayload) Object.assign(thing.attributes, params.attributePayload.attributes);
+      things[params.thingName] = thing;
+      return { thingName: params.thingName, thingArn: `arn:aws:iot:local:000000000000:thing/${params.thingName}` };
+    }),
+    updateThing: params => request(() => {
+      const thing = getThing(params.thingName);
+      if (params.expectedVersion !== undefined && params.expectedVersion !== thing.version) {
+        const error = new Error(`Version conflict for Thing ${params.thingName}`);
+        error.code = 'VersionConflictException';
+        throw error;
+      }
+      if (params.thingTypeName) thing.thingTypeName = params.thingTypeName;
+      if (params.attributePayload) {
+        //  Like AWS, merge the attributes if merge=true, else replace them.  Empty values remove the attribute.
+        if (!params.attributePayload.merge) thing.attributes = {};
+        Object.assign(thing.attributes, params.attributePayload.attributes);
+        for (const key of Object.keys(thing.attributes)) {
+          if (thing.attributes[key] === '') delete thing.attributes[key];
+        }
+      }
+      thing.version += 1;
+      return {};
+    }),
+    listThings: () => request(() => ({
+      things: Object.keys(things).map(name => things[name]),
+    })),
+    createThingType: params => request(() => createResource(thingTypes, params.thingTypeName, 'Thing Type')),
+    createThingGroup: params => request(() => createResource(thingGroups, params.thingGroupName, 'Thing Group')),
+    addThingToThingGroup: params => request(() => {
+      const thing = getThing(params.thingName);
+      if (!thingGroups[params.thingGroupName]) throw notFound(`Thing Group ${params.thingGroupName} cannot be found.`);
+      if (thing.groups.indexOf(params.thingGroupName) < 0) thing.groups.push(params.thingGroupName);
+      return {};
+    }),
+    removeThingFromThingGroup: params => request(() => {
+      const thing = getThing(params.thingName);
+      thing.groups = thing.groups.filter(group => group !== params.thingGroupName);
+      return {};
+    }),
+    listThingGroupsForThing: params => request(() => ({
+      thingGroups: getThing(params.thingName).groups.map(groupName => ({ groupName })),
+    })),
+  };
+}
+
+function createIotData() {
+  //  Return the AWS IoT Data stand-in.  Thing Shadows are kept in memory.
+  //  Messages published are dispatched to the subscribed Lambda Functions.
+  return {
+    getThingShadow: params => request(() => {
+      const shadow = shadows[params.thingName];
+      if (!shadow) throw notFound(`No shadow exists with name: '${params.thingName}'`);
+      return { payload: JSON.stringify(shadow) };
+    }),
+    updateThingShadow: params => request(() => {
+      const update = JSON.parse(params.payload);
+      const shadow = shadows[params.thingName] || { state: {}, version: 0 };
+      if (update.version !== undefined && update.version !== shadow.version) {
+        const error = new Error('Version conflict');
+        error.code = 'ConflictException';
+        error.statusCode = 409;
+        throw error;
+      }
+      const state = Object.assign({}, shadow.state);
+      for (const section of Object.keys(update.state || {})) {
+        state[section] = mergeState(state[section], update.state[section]);
+      }
+      shadows[params.thingName] = { state, version: shadow.version + 1, timestamp: Math.floor(Date.now() / 1000) };
+      return { payload: JSON.stringify(shadows[params.thingName]) };
+    }),
+    publish: params => request(() => {
+      const event = JSON.parse(params.payload);
+      dispatch('iot', params.topic, event);
+      return {};
+    }),
+  };
+}
+
+function createSQS() {
+  //  Return the SQS stand-in.  Messages are dispatched to the Lambda Functions subscribed to the queue name.
+  return {
+    getQueueUrl: params => request(() => ({ QueueUrl: `local://sqs/${params.QueueName}` })),
+    sendMessage: params => request(() => {
+      const queueName = params.QueueUrl.split('/').pop();
+      const event = { Records: [{ eventSource: 'aws:sqs', messageId: randomHex(32), body: params.MessageBody }] };
+      dispatch('sqs', queueName, event);
+      return { MessageId: event.Records[0].messageId };
+    }),
+  };
+}
+
+function createSNS() {
+  //  Return the SNS stand-in.  Messages are dispatched to the Lambda Functions subscribed to the topic name.
+  return {
+    createTopic: params => request(() => ({ TopicArn: `arn:aws:sns:local:000000000000:${params.Name}` })),
+    publish: params => request(() => {
+      const topicName = params.TopicArn.split(':').pop();
+      const event = { Records: [{ EventSource: 'aws:sns', Sns: { MessageId: randomHex(32), Message: params.Message } }] };
+      dispatch('sns', topicName, event);
+      return { MessageId: event.Records[0].Sns.MessageId };
+    }),
+  };
+}
+
+function createXRay() {
+  //  Return the AWS X-Ray stand-in.  The latest copy of each segment is kept in memory.
+  return {
+    putTraceSegments: params => request(() => {
+      for (const doc of params.TraceSegmentDocuments) {
+        const segment = JSON.parse(doc);
+        segments[segment.id] = segment;
+      }
+      return { UnprocessedTraceSegments: [] };
+    }),
+  };
+}
+
+const clientFactories = {
+  S3: createS3,
+  Iot: createIot,
+  IotData: createIotData,
+  SQS: createSQS,
+  SNS: createSNS,
+  XRay: createXRay,
+};
+
+function createClient(service, options) {
+  //  Return the local stand-in for the AWS SDK client e.g. createClient('S3') instead of new AWS.S3()
+  const factory = clientFactories[service];
+  if (!factory) throw new Error(`AWS service ${service} is not supported by the local emulator`);
+  return factory(options);
+}
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Lambda Functions: Load the Lambda Functions and run them when messages are published
+
+function loadWrap(filename, scloud) {
+  //  Load the Lambda Function source file and return its wrap() function, or null if wrap is not defined.
+  //  require('sigfox-aws') inside the Lambda Function will return this framework.
+  const source = fs.readFileSync(filename, 'utf8');
+  const mod = new Module(filename, module);
+  mod.filename = filename;
+  mod.paths = Module._nodeModulePaths(path.dirname(filename));
+  mod.require = id => (id === 'sigfox-aws' ? scloud : Module.prototype.require.call(mod, id));
+  mod._compile(`${source}\nmodule.exports.wrap = (typeof wrap === 'function') ? wrap : null;\n`, filename);
+  return mod.exports.wrap;
+}
+
+function loadLambda(name) {
+  //  Return the handler(event, context, callback) for the Lambda Function name e.g. routeMessage.
+  //  Look in this repository first, then in sigfox-iot-cloud.  Returns null if not found.
+  if (lambdas[name] !== undefined) return lambdas[name];
+  const scloud = require('../index');
+  const candidates = [path.join(__dirname, '..', name, 'index.js')];
+  try {
+    candidates.push(require.resolve(`sigfox-iot-cloud/${name}/index.js`));
+  } catch (error) { /* Not in sigfox-iot-cloud. */ }
+  let wrap = null;
+  for (const filename of candidates) {
+    if (!fs.existsSync(filename)) continue;
+    //  Lambda Functions installed through AUTOINSTALL_DEPENDENCY have a null wrap.  Try the next one.
+    wrap = loadWrap(filename, scloud);
+    if (wrap) break;
+  }
+  if (!wrap) {
+    console.error('loadLambda', `Lambda Function ${name} not found`);
+    lambdas[name] = null;
+    return null;
+  }
+  //  Same as main/index.js: Call main() if defined by wrap(), else call the framework main() with task().
+  const wrapper = Object.assign({}, wrap(scloud, null));
+  const mainFunc = wrapper.main ? wrapper.main.bind(wrapper) : scloud.main.bind(wrapper);
+  const taskFunc = wrapper.task ? wrapper.task.bind(wrapper) : null;
+  lambdas[name] = (event, context, callback) => mainFunc(event, context, callback, taskFunc);
+  return lambdas[name];
+}
+
+function invoke(name, event) {
+  //  Run the Lambda Function with the event.  Returns a promise for the result passed to the callback.
+  const handler = loadLambda(name);
+  if (!handler) return Promise.resolve(null);
+  //  Set the AWS X-Ray trace ID like AWS Lambda with active tracing.
+  process.env._X_AMZN_TRACE_ID = `Root=1-${Math.floor(Date.now() / 1000).toString(16)}-${randomHex(24)};Parent=${randomHex(16)};Sampled=1`;
+  const context = {
+    awsRequestId: `${randomHex(8)}-${randomHex(4)}-${randomHex(4)}-${randomHex(4)}-${randomHex(12)}`,
+    functionName: name,
+    autoinstallStart: Date.now(),
+  };
+  console.log('invoke', name);
+  return new Promise((resolve, reject) => {
+    const callback = (error, result) => (error ? reject(error) : resolve(result));
+    Promise.resolve(handler(event, context, callback)).catch(reject);
+  });
+}
+
+function runNext() {
+  //  Run the next pending invocation, one at a time, because the framework keeps the trace of the
+  //  running invocation in module variables.
+  if (running || invocations.length === 0) return;
+  const next = invocations.shift();
+  running = invoke(next.name, next.event)
+    .then(next.resolve, next.reject)
+    .then(() => { running = null; runNext(); });
+}
+
+function enqueue(name, event) {
+  //  Queue the Lambda Function to be run with the event.  Returns a promise for the result.
+  return new Promise((resolve, reject) => {
+    invocations.push({ name, event, resolve, reject });
+    setImmediate(runNext);
+  });
+}
+
+function dispatch(transport, topic, event) {
+  //  Run the Lambda Functions subscribed to the topic, like AWS IoT Rules and SQS/SNS triggers.
+  published.push({ transport, topic, event });
+  for (const sub of subscriptions) {
+    if (!matchTopic(sub.topicFilter, topic)) continue;
+    const name = sub.lambdaName || topic.split('/').pop();
+    enqueue(name, event)
+      .catch(error => console.error('dispatch', name, error.message, error.stack));
+  }
+}
+
+function subscribe(topicFilter, lambdaName) {
+  //  Run the Lambda Function when a message is published to a topic matching the topic filter.
+  //  For SQS and SNS, the topic filter is the queue or topic name e.g. sigfox-devices-all
+  subscriptions.push({ topicFilter, lambdaName });
+}
+
+function drain() {
+  //  Returns a promise that resolves when all Lambda invocations have completed.
+  return new Promise(resolve => setImmediate(resolve))
+    .then(() => {
+      if (!running && invocations.length === 0) return 'OK';
+      return Promise.resolve(running).then(drain);
+    });
+}
+
+function reset() {
+  //  Clear the Things, Thing Types, Thing Groups, Shadows, segments, published messages and subscriptions kept in memory.
+  for (const obj of [things, thingTypes, thingGroups, shadows, segments, lambdas]) {
+    for (const key of Object.keys(obj)) delete obj[key];
+  }
+  published.length = 0;
+  subscriptions = defaultSubscriptions.slice();
+}
+
+function runCallback(event0) {
+  //  Send the API Gateway event to sigfoxCallback, then wait for all the Lambda Functions triggered.
+  //  Returns a promise for the sigfoxCallback HTTP response.  The Sigfox "time" is updated to now, else
+  //  sigfoxCallback will reject the message as too old.
+  const event = Object.assign({}, event0);
+  const body = (typeof event.body === 'string') ? JSON.parse(event.body) : Object.assign({}, event.body);
+  body.time = `${Math.floor(Date.now() / 1000)}`;
+  event.body = JSON.stringify(body);
+  let response = null;
+  return enqueue('sigfoxCallback', event)
+    .then((res) => { response = res; })
+    .then(() => drain())
+    .then(() => response);
+}
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Module Exports
+
+module.exports = {
+  createClient,
+  subscribe,
+  invoke: enqueue,
+  runCallback,
+  drain,
+  reset,
+  getThings: () => things,
+  getShadows: () => shadows,
+  getSegments: () => Object.keys(segments).map(id => segments[id]),
+  getPublished: () => published,
+};
+
+//  Command line: node local <sigfoxCallback event file>
+if (require.main === module) {
+  //  Set the environment before loading the framework.
+  process.env.SIGFOX_LOCAL = process.env.SIGFOX_LOCAL || 'true';
+  process.env.AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'local';
+  process.env.SIGFOX_ROUTE = process.env.SIGFOX_ROUTE || 'decodeStructuredMessage';
+  const eventFile = process.argv[2] || path.join(__dirname, '..', 'sigfoxCallback', 'test', 'testevent.json');
+  const event = JSON.parse(fs.readFileSync(eventFile, 'utf8'));
+  module.exports.runCallback(event)
+    .then((response) => {
+      console.log('sigfoxCallback response:', JSON.stringify(response, null, 2));
+      console.log('Shadows:', JSON.stringify(shadows, null, 2));
+      console.log('Published:', published.map(msg => `${msg.transport} ${msg.topic}`));
+    })
+    .catch(error => console.error(error.message, error.stack));
+}
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
@@ -0,0 +1,201 @@
+//  mergeReceptions Installation Instructions:
+//  Copy and paste the entire contents of this file into a Lambda Function
+//  Name: mergeReceptions
+//  Runtime: Node.js 6.10
+//  Handler: index.main
+//  Memory: 512 MB
+//  Timeout: 1 min
+//  Existing Role: lambda_iot Role, which has the LambdaExecuteIoTUpdate Policy
+//    (defined in ../policy/LambdaExecuteIoTUpdate.json)
+//  Debugging: Enable active tracing
+//  Environment Variables:
+//    NODE_ENV=production
+//    MERGE_WINDOW=3  (Number of seconds to wait for the same message from other base stations)
+
+//  Go to AWS IoT, create a Rule:
+//  Name: sigfoxMergeReceptions
+//  SQL Version: Beta
+//  Attribute: *
+//  Topic filter: sigfox/received
+//  Condition: (Blank)
+//  Action: Invoke Lambda Function mergeReceptions
+
+//  In the Sigfox backend, enable "Send duplicate" for the callback so that every base station reception is delivered.
+//  In sigfoxCallback, SIGFOX_DEDUPLICATE must not be set to "drop".
+
+//  This sigfox-aws module merges the receptions of the same Sigfox message by multiple base stations.
+//  The first reception saved into the Thing Shadow waits MERGE_WINDOW seconds for the other receptions, then sends
+//  a single merged message to sigfox/merged with the "stations" array and the best and average signal values.
+//  Sigfox doesn't deliver the receptions in any order, so the first reception may be flagged as duplicate.
+//  The link quality history of each device is kept in the Thing Shadow as reported.linkQuality.
+/* eslint-disable max-len, camelcase, no-console, no-nested-ternary, import/no-dynamic-require, import/newline-after-import, import/no-unresolved, global-require */
+
+//  We use AutoInstall to install any Node.js libraries automatically, without manually packaging them.
+//  See https://github.com/UnaBiz/sigfox-iot-cloud/blob/master/autoinstall.js
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region AutoInstall: List all dependencies here, or just paste the contents of package.json. Autoinstall will install these dependencies.
+//  Don't include sigfox-aws, it will be automatically added as dependencies.
+
+const package_json = /* eslint-disable quote-props,quotes,comma-dangle,indent */
+//  PASTE PACKAGE.JSON BELOW  //////////////////////////////////////////////////////////
+{
+}
+//  PASTE PACKAGE.JSON ABOVE  //////////////////////////////////////////////////////////
+; /* eslint-enable quote-props,quotes,comma-dangle,indent */
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Message Processing Code
+
+function wrap(scloud) {
+  //  Wrap the module into a function so that all we defer loading of dependencies,
+  //  and ensure that cloud resources are properly disposed.
+  let wrapCount = 0;  //  Count how many times the wrapper has been reused.
+  const mergeWindow = parseFloat(process.env.MERGE_WINDOW || '3') * 1000;  //  Milliseconds to wait.
+  const mergedTopic = 'sigfox.merged';  //  Send merged messages to sigfox/merged.
+  //  Receptions are saved in the Thing Shadow under slots numbered by seqNumber modulo receptionSlots,
+  //  so that old receptions are overwritten without deleting them.
+  const receptionSlots = 4;
+  const historySize = 20;  //  Keep the link quality of the last 20 messages.
+
+  function saveReception(req, device, body) {
+    //  Save the reception by this base station into the Thing Shadow.  Each base station is saved under its own key.
+    //  reported.receptions looks like {"0":{"1D44":{"seqNumber":1508,"rssi":-123,"snr":18.86,"avgSnr":15.54}}}
+    //  The Thing Shadow is updated only if no other reception has updated it in between, so exactly one
+    //  reception finds no other receptions of the message.  Returns a promise for true if this is the first reception.
+    const slot = `${body.seqNumber % receptionSlots}`;
+    const reception = {
+      seqNumber: body.seqNumber,
+      rssi: body.rssi,
+      snr: body.snr,
+      avgSnr: body.avgSnr,
+      baseStationTime: body.baseStationTime,
+    };
+    let first = false;
+    const modify = (reported) => {
+      //  Called again with the latest state if another reception has updated the Thing Shadow.
+      const current = (reported.receptions || {})[slot] || {};
+      first = !Object.keys(current).find(station => current[station] && current[station].seqNumber === body.seqNumber);
+      const state = { receptions: {} };
+      state.receptions[slot] = {};
+      state.receptions[slot][body.station] = reception;
+      return state;
+    };
+    return scloud.modifyDeviceState(req, device, modify)
+      .catch((error) => {
+        //  Create the Thing only for new devices.
+        if (!scloud.isNotFound(error)) throw error;
+        return scloud.createDevice(req, device)
+          .then(() => scloud.modifyDeviceState(req, device, modify));
+      })
+      .then(() => first);
+  }
+
+  function mergeStations(req, body, receptions) {
+    //  Return the merged values of all base stations that received the same message.
+    const slot = receptions ? receptions[`${body.seqNumber % receptionSlots}`] : null;
+    const stations = Object.keys(slot || {})
+      //  Skip older receptions with the same slot.
+      .filter(station => slot[station].seqNumber === body.seqNumber)
+      .map(station => Object.assign({ station }, slot[station]))
+      //  Strongest signal first.
+      .sort((a, b) => b.rssi - a.rssi);
+    //  In case the Thing Shadow was not updated, include this reception.
+    if (!stations.find(s => s.station === body.station)) {
+      stations.push({ station: body.station, seqNumber: body.seqNumber, rssi: body.rssi, snr: body.snr, avgSnr: body.avgSnr });
+    }
+    const average = key => parseFloat((stations.reduce((sum, s) => sum + s[key], 0) / stations.length).toFixed(2));
+    return {
+      stations,
+      stationCount: stations.length,
+      bestStation: stations[0].station,
+      bestRssi: Math.max(...stations.map(s => s.rssi)),
+      bestSnr: Math.max(...stations.map(s => s.snr)),
+      averageRssi: average('rssi'),
+      averageSnr: average('snr'),
+    };
+  }
+
+  function updateLinkQuality(req, device, body, merged) {
+    //  Append the link quality of this message to the history in the Thing Shadow.
+    //  The history is updated conditionally so that concurrent messages are not lost.
+    return scloud.modifyDeviceState(req, device, (reported) => {
+      const linkQuality = reported.linkQuality || {};
+      const history = (linkQuality.history || []).concat([{
+        seqNumber: body.seqNumber,
+        baseStationTime: body.baseStationTime,
+        stationCount: merged.stationCount,
+        bestStation: merged.bestStation,
+        bestRssi: merged.bestRssi,
+        bestSnr: merged.bestSnr,
+      }]).slice(-historySize);
+      const state = {
+        linkQuality: {
+          history,
+          //  Number of base stations that received each message, by base station.
+          stations: Object.assign({}, linkQuality.stations),
+        },
+      };
+      for (const s of merged.stations) {
+        state.linkQuality.stations[s.station] = (state.linkQuality.stations[s.station] || 0) + 1;
+      }
+      return state;
+    });
+  }
+
+  function task(req, device, body0, msg) {
+    //  The task for this Cloud Function:
+    //  Save the reception of this message by this base station into the Thing Shadow.
+    //  If this is the first reception saved, wait for the other receptions, then send the merged message
+    //  to sigfox/merged and update the link quality history.  Only the first reception waits.
+    wrapCount += 1; console.log({ wrapCount });  //  Count how many times the wrapper has been reused.
+    const body = Object.assign({}, body0);  //  Clone the message body before update.
+    //  If this Sigfox message has no base station info, quit.
+    if (!body.station || body.seqNumber === undefined || body.seqNumber === null) return Promise.resolve(msg);
+    return saveReception(req, device, body)
+      .then((first) => {
+        //  Other receptions will be merged by the first reception.
+        if (!first) return msg;
+        return scloud.sleep(req, null, mergeWindow)
+          .then(() => scloud.getDeviceState(req, device))
+          .then((state) => {
+            const reported = (state && state.reported) || {};
+            const merged = mergeStations(req, body, reported.receptions);
+            const message = Object.assign({}, msg, { body: Object.assign({}, body, merged) });
+            //  Don't pass the route to sigfox/merged.
+            if (message.route) delete message.route;
+            scloud.log(req, 'mergeReceptions', { device, merged });
+            return scloud.publishJSON(req, scloud.getQueue(req, null, mergedTopic), message)
+              .then(() => updateLinkQuality(req, device, body, merged));
+          })
+          .then(() => msg);
+      });
+  }
+
+  //  Unit Test
+  if (process.env.NODE_ENV !== 'production') return { task, mergeStations };
+
+  //  Expose these functions outside of the wrapper.
+  //  When this Cloud Function is triggered, we call main() which calls task().
+  return { task };
+}
+
+//  Unit Test
+if (process.env.NODE_ENV !== 'production') module.exports = wrap(require('../index'));
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Standard Code for AutoInstall Startup Function 1.0.  Do not modify.  https://github.com/UnaBiz/sigfox-iot-cloud/blob/master/autoinstall.js
+/*  eslint-disable camelcase,no-unused-vars,import/no-absolute-path,import/no-unresolved,no-use-before-define,global-require,max-len,no-tabs,brace-style,import/no-extraneous-dependencies */
+const wrapper = {};  //  The single reused wrapper instance (initially empty) for invoking the module functions.
+exports.main = process.env.FUNCTION_NAME ? require('sigfox-gcloud/main').getMainFunction(wrapper, wrap, package_json)  //  Google Cloud.
+  : (event, context, callback) => {
+    const afterExec = error => error ? callback(error, 'AutoInstall Failed')
+      : require('/tmp/autoinstall').installAndRunWrapper(event, context, callback, package_json, __filename, wrapper, wrap);
+    if (require('fs').existsSync('/tmp/autoinstall.js')) return afterExec(null);  //  Already downloaded.
+    const cmd = 'curl -s -S -o /tmp/autoinstall.js https://raw.githubusercontent.com/UnaBiz/sigfox-iot-cloud/master/autoinstall.js';
+    const child = require('child_process').exec(cmd, { maxBuffer: 1024 * 500 }, afterExec);
+    child.stdout.on('data', console.log); child.stderr.on('data', console.error); return null; };
+//  exports.main is the startup function for AWS Lambda and Google Cloud Function.
+//  When AWS starts our Lambda function, we load the autoinstall script from GitHub to install any NPM dependencies.
+//  For first run, install the dependencies specified in package_json and proceed to next step.
+//  For future runs, just execute the wrapper function with the event, context, callback parameters.
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
@@ -0,0 +1,119 @@
+//  Unit Test for merging the receptions of the same Sigfox message by multiple base stations
+/* global describe:true, it:true, beforeEach:true, afterEach:true */
+/* eslint-disable max-len */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Keep the Thing Shadows and the merged messages in memory with the local emulator.
+process.env.SIGFOX_LOCAL = 'true';
+const chai = require('chai');
+
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+const scloud = require('../../index');
+const local = require('../../local');
+
+const moduleName = 'mergeReceptions'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+const req = { unittest: true };
+const { sleep } = scloud;  //  Restored after the tests that wait for the other receptions.
+
+/* eslint-disable quotes */
+const testBody = { device: "1A2345", seqNumber: 1508, station: "1D44", rssi: -123, snr: 18.86, avgSnr: 15.54 };
+/* eslint-enable quotes */
+
+function newMessage(body) {
+  //  Return the message passed to the task for the body.
+  return { device: body.device, type: 'unittest', body, route: ['sigfox.merged'] };
+}
+
+function getMerged() {
+  //  Return the merged messages sent to sigfox/merged.
+  return local.getPublished().filter(msg => msg.topic === 'sigfox/merged').map(msg => msg.event);
+}
+
+describe(moduleName, () => {
+  beforeEach(() => {
+    //  Start every test with no Things and nothing published.
+    local.reset();
+  });
+
+  afterEach(() => {
+    scloud.sleep = sleep;
+  });
+
+  it('should merge the receptions with the strongest signal first', () => {
+    const receptions = { 0: {
+      '1D44': { seqNumber: 1508, rssi: -123, snr: 18.86, avgSnr: 15.54 },
+      '2A11': { seqNumber: 1508, rssi: -110, snr: 22.5, avgSnr: 20.1 },
+      '3B22': { seqNumber: 1508, rssi: -130, snr: 8.2, avgSnr: 9.5 },
+    } };
+    const merged = moduleTested.mergeStations(req, testBody, receptions);
+    merged.stations.map(s => s.station).should.deep.equal(['2A11', '1D44', '3B22']);
+    merged.stationCount.should.equal(3);
+    merged.bestStation.should.equal('2A11');
+    merged.bestRssi.should.equal(-110);
+    merged.bestSnr.should.equal(22.5);
+    merged.averageRssi.should.equal(-121);
+    merged.averageSnr.should.equal(16.52);
+  });
+
+  it('should skip older receptions in the same slot', () => {
+    //  Sequence number 1504 uses the same slot as 1508.
+    const receptions = { 0: {
+      '1D44': { seqNumber: 1508, rssi: -123, snr: 18.86, avgSnr: 15.54 },
+      '2A11': { seqNumber: 1504, rssi: -110, snr: 22.5, avgSnr: 20.1 },
+    } };
+    const merged = moduleTested.mergeStations(req, testBody, receptions);
+    merged.stations.map(s => s.station).should.deep.equal(['1D44']);
+    merged.bestRssi.should.equal(-123);
+  });
+
+  it('should include this reception if the Thing Shadow was not updated', () => {
+    const receptions = { 0: {
+      '2A11': { seqNumber: 1508, rssi: -110, snr: 22.5, avgSnr: 20.1 },
+    } };
+    const merged = moduleTested.mergeStations(req, testBody, receptions);
+    merged.stations.map(s => s.station).should.deep.equal(['2A11', '1D44']);
+    merged.averageRssi.should.equal(-116.5);
+    const single = moduleTested.mergeStations(req, testBody, null);
+    single.stationCount.should.equal(1);
+    single.bestStation.should.equal('1D44');
+    single.averageSnr.should.equal(18.86);
+  });
+
+  it('should send one merged message after waiting for the other receptions', () => {
+    const first = testBody;
+    const second = Object.assign({}, testBody, { station: '2A11', rssi: -110, snr: 22.5, avgSnr: 20.1 });
+    const waits = [];
+    //  While the first reception waits, the other base station delivers its reception.
+    scloud.sleep = (req0, para, msec) => {
+      waits.push(msec);
+      return moduleTested.task(req, second.device, second, newMessage(second))
+        .then(result => result.should.deep.equal(newMessage(second)));
+    };
+    return moduleTested.task(req, first.device, first, newMessage(first))
+      .then((result) => {
+        result.should.deep.equal(newMessage(first));
+        waits.should.deep.equal([3000]);
+        const merged = getMerged();
+        merged.length.should.equal(1);
+        should.not.exist(merged[0].route);
+        merged[0].body.stations.map(s => s.station).should.deep.equal(['2A11', '1D44']);
+        merged[0].body.bestStation.should.equal('2A11');
+        return scloud.getDeviceState(req, first.device);
+      })
+      .then((state) => {
+        const { linkQuality } = state.reported;
+        linkQuality.stations.should.deep.equal({ '1D44': 1, '2A11': 1 });
+        linkQuality.history.map(h => [h.seqNumber, h.stationCount]).should.deep.equal([[1508, 2]]);
+      });
+  });
+
+  it('should skip messages without base station info', () => {
+    const body = { device: testBody.device, seqNumber: 1508 };
+    return moduleTested.task(req, body.device, body, newMessage(body))
+      .then((result) => {
+        result.should.deep.equal(newMessage(body));
+        getMerged().length.should.equal(0);
+        local.getShadows().should.deep.equal({});
+      });
+  });
+});
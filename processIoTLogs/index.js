@@ -15,7 +15,7 @@
 
 //  Add Trigger:
 //  CloudWatch Logs
-//  Log Group: AWSIotLogs
+//  Log Group: AWSIotLogs (or AWSIotLogsV2 if AWS IoT logs in JSON format.  Both formats are supported.)
 //  Filter Name: processIoTLogs
 //  Filter Pattern: (Blank)
 //  Enable Trigger: Yes
@@ -23,7 +23,7 @@
 /* eslint-disable max-len, camelcase, no-console, no-nested-ternary, import/no-dynamic-require, import/newline-after-import, import/no-unresolved, global-require */
 //  Parse the AWS IoT Log in CloudWatch format that is passed in as the
 //  parameter. Watch for any IoT Rules and Lambda Functions executed.  If detected, fetch the AWS XRay
-//  segment from AWS S3 storage and open/close the segments.
+//  segment from AWS S3 storage and open/close the segments.  Failed rule actions are reported as errors.
 //  We use AutoInstall to install any Node.js libraries automatically, without manually packaging them.
 //  See https://github.com/UnaBiz/sigfox-iot-cloud/blob/master/autoinstall.js
 //  //////////////////////////////////////////////////////////////////////////////////// endregion
@@ -43,32 +43,15 @@ const package_json = /* eslint-disable quote-props,quotes,comma-dangle,indent */
 /* AWS IoT Log will look like:
 2017-12-06 14:13:58.484 TRACEID:15ef61e1-693b-9011-14f7-f64f9bd47c4b PRINCIPALID:AROAJF6KEGSLSKFIDBJH4:sigfoxCallback [INFO] EVENT:PublishEvent TOPICNAME:sigfox/trace/1A2345-098901602c2d0d08/begin MESSAGE:PublishIn Status: SUCCESS
 2017-12-06 14:13:58.484 TRACEID:15ef61e1-693b-9011-14f7-f64f9bd47c4b PRINCIPALID:AROAJF6KEGSLSKFIDBJH4:sigfoxCallback [INFO] EVENT:PublishEvent MESSAGE: IpAddress: 13.229.60.16 SourcePort: 60272
->>>
-[7] segment-1A2345-098901602c2d0d08.json = (segment)
-[3] segment-1A2345-098901602c2d0d08-trace.json = { trace: 15ef61e1-693b-9011-14f7-f64f9bd47c4b }
-    trace-15ef61e1-693b-9011-14f7-f64f9bd47c4b-begin.json = { segment: 1A2345-098901602c2d0d08 }
-[4] trace-15ef61e1-693b-9011-14f7-f64f9bd47c4b-address.json = { address: 13.229.60.16, port: 60272 }
-    address-13.229.60.16-60272.json = { trace: 15ef61e1-693b-9011-14f7-f64f9bd47c4b }
 
 2017-12-06 14:13:58.547 TRACEID:0be5ef8f-0de3-a345-ff4d-79967f07b24e PRINCIPALID:AROAJF6KEGSLSKFIDBJH4:sigfoxCallback [INFO] EVENT:PublishEvent TOPICNAME:sigfox/received MESSAGE:PublishIn Status: SUCCESS
 2017-12-06 14:13:58.547 TRACEID:0be5ef8f-0de3-a345-ff4d-79967f07b24e PRINCIPALID:AROAJF6KEGSLSKFIDBJH4:sigfoxCallback [INFO] EVENT:PublishEvent MESSAGE: IpAddress: 13.229.60.16 SourcePort: 60274
 2017-12-06 14:13:58.606 TRACEID:0be5ef8f-0de3-a345-ff4d-79967f07b24e PRINCIPALID:AROAJF6KEGSLSKFIDBJH4:sigfoxCallback [INFO] EVENT:MatchingRuleFound TOPICNAME:sigfox/received CLIENTID:N/A MESSAGE:Matching rule found: sigfoxRouteMessage
 2017-12-06 14:13:58.606 TRACEID:0be5ef8f-0de3-a345-ff4d-79967f07b24e PRINCIPALID:AROAJF6KEGSLSKFIDBJH4:sigfoxCallback [DEBUG] EVENT:LambdaActionStart TOPICNAME:sigfox/received CLIENTID:N/A MESSAGE:Starting execution of LambdaAction on topic sigfox/received
 2017-12-06 14:13:58.645 TRACEID:0be5ef8f-0de3-a345-ff4d-79967f07b24e PRINCIPALID:AROAJF6KEGSLSKFIDBJH4:sigfoxCallback [INFO] EVENT:LambdaActionSuccess TOPICNAME:sigfox/received CLIENTID:N/A MESSAGE:Successfully invoked lambda function. Message arrived on: sigfox/received, Action: lambda, Function: arn:aws:lambda:ap-southeast-1:112039193356:function:routeMessage StatusCode: 202, Function error: null
->>>
-    trace-0be5ef8f-0de3-a345-ff4d-79967f07b24e-address.json = { address: 13.229.60.16, port: 60274 }
-[5] address-13.229.60.16-60274.json = { trace: 0be5ef8f-0de3-a345-ff4d-79967f07b24e }
-[6] trace-0be5ef8f-0de3-a345-ff4d-79967f07b24e-rule.json = { rule: sigfoxRouteMessage }
-
-?? Starting execution of LambdaAction on topic sigfox/received
-?? Successfully invoked lambda function. Message arrived on: sigfox/received, Action: lambda, Function: arn:aws:lambda:ap-southeast-1:112039193356:function:routeMessage StatusCode: 202, Function error: null
 
 2017-12-06 14:13:58.670 TRACEID:55c11976-fbec-df43-86a3-3295ba6f1b89 PRINCIPALID:AROAJF6KEGSLSKFIDBJH4:sigfoxCallback [INFO] EVENT:PublishEvent TOPICNAME:sigfox/trace/1A2345-098901602c2d0d08/end MESSAGE:PublishIn Status: SUCCESS
 2017-12-06 14:13:58.670 TRACEID:55c11976-fbec-df43-86a3-3295ba6f1b89 PRINCIPALID:AROAJF6KEGSLSKFIDBJH4:sigfoxCallback [INFO] EVENT:PublishEvent MESSAGE: IpAddress: 13.229.60.16 SourcePort: 60276
->>>
-[2] trace-55c11976-fbec-df43-86a3-3295ba6f1b89-end.json = { segment: 1A2345-098901602c2d0d08 }
-[1] trace-55c11976-fbec-df43-86a3-3295ba6f1b89-address.json = { address: 13.229.60.16, port: 60276 }
-    address-13.229.60.16-60276.json = { trace: 55c11976-fbec-df43-86a3-3295ba6f1b89 }
 
 -----
 2017-12-06 14:14:14.188 TRACEID:190cf061-c801-0527-e3f7-59f0ba46a8e2 PRINCIPALID:AROAJF6KEGSLSKFIDBJH4:routeMessage [INFO] EVENT:PublishEvent TOPICNAME:sigfox/trace/1A2345-0c4501602c2d4a99/begin MESSAGE:PublishIn Status: SUCCESS
@@ -95,6 +78,23 @@ const package_json = /* eslint-disable quote-props,quotes,comma-dangle,indent */
 2017-12-06 14:14:29.948 TRACEID:fc66921e-3f4d-7f22-ede1-30e9a4f76b05 PRINCIPALID:AROAJF6KEGSLSKFIDBJH4:decodeStructuredMessage [INFO] EVENT:PublishEvent MESSAGE: IpAddress: 13.229.60.16 SourcePort: 54550
  */
 
+/* Matching the AWS IoT Log:
+Each TRACEID above is a message published to AWS IoT.  For every message sent by sigfox-aws, the sender
+publishes 3 messages from the same IP address with increasing source ports:
+  sigfox/trace/1A2345-098901602c2d0d08/begin (port 60272), the message e.g. sigfox/received (port 60274),
+  and sigfox/trace/1A2345-098901602c2d0d08/end (port 60276).
+The message between the begin and end markers matched the rule sigfoxRouteMessage.  So we open the rule segment
+and close the sender segment saved in segment-1A2345-098901602c2d0d08.json by the sender.
+The log lines of each CloudWatch batch are matched in memory.  If the begin marker, end marker or rule falls into
+another batch, the unmatched lines are saved into TRACE_BUCKET and matched by the next batch:
+  pending-segment-1A2345-098901602c2d0d08.json = { begin: { address, port }, messages: [ { trace, port, rule } ] }
+  pending-trace-0be5ef8f-0de3-a345-ff4d-79967f07b24e.json = { segment: 1A2345-098901602c2d0d08 }
+Pending files that are never matched may be removed by an S3 lifecycle rule on TRACE_BUCKET.
+Rule actions that fail are logged with the same TRACEID as the matching rule, e.g.
+  EVENT:LambdaActionFailure TOPICNAME:sigfox/received MESSAGE:Failed to invoke lambda function. ... The error code is 403
+The failures are reported as errors (sent to sigfox/errors by default) and attached to the rule segment as child segments flagged fault or error.
+ */
+
 function wrap(scloud) {
   //  Wrap the module into a function so that all we defer loading of dependencies,
   //  and ensure that cloud resources are properly disposed.
@@ -102,11 +102,49 @@ function wrap(scloud) {
   //  const scloud = require('sigfox-aws'); //  sigfox-aws Framework
   const zlib = require('zlib');  //  Provided by AWS Lambda.
   let wrapCount = 0;  //  Count how many times the wrapper has been reused.
+  const errorTopic = 'sigfox/errors';  //  Error reports, including failed rule actions, are sent here by default.
+
+  //  Event types in the JSON log format and the equivalent events in the text log format.
+  const jsonEvents = {
+    'Publish-In': 'PublishEvent',
+    RuleMatch: 'MatchingRuleFound',
+  };
+
+  function parseJSONLine(req, line) {
+    //  Parse the JSON log format into the same fields as the text log format.  line contains
+    //  {"timestamp":"2017-12-06 16:05:20.742","logLevel":"INFO","traceId":"b7e75c76-4c27-b1b8-9d08-44ebeeb6a991","eventType":"Publish-In",
+    //   "topicName":"sigfox/trace/1A2345-09a101602c9303d7/begin","principalId":"AROAJF6KEGSLSKFIDBJH4:decodeStructuredMessage","sourceIp":"13.229.60.16","sourcePort":60272}
+    //  {"timestamp":"2017-12-06 16:05:20.801","logLevel":"INFO","traceId":"...","eventType":"RuleMatch","topicName":"sigfox/received","ruleName":"sigfoxRouteMessage"}
+    //  {"timestamp":"2017-12-06 16:05:20.845","logLevel":"ERROR","traceId":"...","eventType":"RuleExecution","topicName":"sigfox/received","ruleName":"sigfoxRouteMessage",
+    //   "ruleAction":"LambdaAction","status":"Failure","details":"Failed to invoke lambda function. ..."}
+    let entry = null;
+    try { entry = JSON.parse(line); } catch (error) { return {}; }
+    const result = {};
+    if (entry.timestamp) {
+      const timestamp = (typeof entry.timestamp === 'number') ? entry.timestamp
+        : new Date(`${entry.timestamp.substr(0, 23).replace(' ', 'T')}Z`).valueOf();
+      if (!isNaN(timestamp)) result.timestamp = timestamp;
+    }
+    if (entry.traceId) result.TRACEID = entry.traceId;
+    if (entry.principalId) result.PRINCIPALID = entry.principalId;
+    if (entry.eventType) result.EVENT = jsonEvents[entry.eventType] || entry.eventType;
+    if (entry.topicName) result.TOPICNAME = entry.topicName;
+    if (entry.sourceIp) result.IpAddress = entry.sourceIp;
+    if (entry.sourcePort) result.SourcePort = `${entry.sourcePort}`;
+    if (entry.ruleName) result.found = entry.ruleName;
+    if (entry.status) result.Status = entry.status;
+    if (entry.details) result.message = entry.details;
+    //  Failed rule actions are logged as events like LambdaActionFailure in the text log format.
+    if (entry.status === 'Failure' && entry.ruleAction) result.EVENT = `${entry.ruleAction}Failure`;
+    return result;
+  }
 
   function parseLine(req, line) {
     // line contains
     // 2017-12-06 16:05:20.742 TRACEID:b7e75c76-4c27-b1b8-9d08-44ebeeb6a991 PRINCIPALID:AROAJF6KEGSLSKFIDBJH4:decodeStructuredMessage [INFO]  EVENT:PublishEvent TOPICNAME:sigfox/trace/1A2345-09a101602c9303d7/begin MESSAGE:PublishIn Status: SUCCESS
+    //  or the JSON log format, see parseJSONLine().
     if (!line || line.trim() === '') return {};
+    if (line.trim()[0] === '{') return parseJSONLine(req, line.trim());
     const timestamp = (line[0] >= '0' && line[0] <= '9')
       ? new Date(`${line.substr(0, 23).replace(' ', 'T')}Z`).valueOf()
       : null;
@@ -151,9 +189,25 @@ function wrap(scloud) {
       .catch((error) => { console.error('readLine', filename, error.message, error.stack); throw error; });
   }
 
+  function deleteLine(req, prefix, name) {
+    const filename = `${prefix}-${name}.json`;
+    return scloud.deleteFile(req, process.env.TRACE_BUCKET, filename)
+      .catch((error) => { console.error('deleteLine', filename, error.message, error.stack); });
+  }
+
+  function parseFailure(fields) {
+    //  Return the failure details of a rule action failure like LambdaActionFailure or RepublishActionFailure:
+    //  { event, topic, message, status, timestamp }.  status is the error code in the message, if any.
+    const message = (fields.message || '').trim();
+    const match = /error code is (\d+)/i.exec(message);
+    const failure = { event: fields.EVENT, topic: fields.TOPICNAME, message, timestamp: fields.timestamp };
+    if (match) failure.status = parseInt(match[1], 10);
+    return failure;
+  }
+
   function processLine(req, line) {
-    //  Returns a promise.
-    const promises = [];
+    //  Parse the log line and return the fields used for matching: segment and marker for trace markers,
+    //  address and port for publish events, rule for matching rules, failure for failed rule actions.
     const fields = parseLine(req, line);
     if (fields.TRACEID) fields.trace = fields.TRACEID;
     switch (fields.EVENT) {
@@ -165,88 +219,182 @@ function wrap(scloud) {
           const topicSplit = fields.TOPICNAME.split('/');
           fields.segment = topicSplit[2];  //  1A2345-098901602c2d0d08.
           fields.marker = topicSplit[3];  //  begin or end.
-          //  segment-1A2345-098901602c2d0d08-begin.json = { trace: 15ef61e1-693b-9011-14f7-f64f9bd47c4b }
-          promises.push(writeLine(req, 'segment', fields.segment, fields.marker, fields));
-          //  trace-15ef61e1-693b-9011-14f7-f64f9bd47c4b-begin.json = { segment: 1A2345-098901602c2d0d08 }
-          promises.push(writeLine(req, 'trace', fields.trace, fields.marker, fields));
-        } else if (fields.IpAddress && fields.SourcePort) {
+        }
+        //  In the JSON log format, the topic and address are in the same log entry.
+        if (fields.IpAddress && fields.SourcePort) {
           fields.address = fields.IpAddress;  //  13.229.60.16
           fields.port = parseInt(fields.SourcePort, 10);  //  60272
-          //  trace-15ef61e1-693b-9011-14f7-f64f9bd47c4b-address.json = { address: 13.229.60.16, port: 60272 }
-          promises.push(writeLine(req, 'trace', fields.trace, 'address', fields));
-          //  address-13.229.60.16-60272.json = { trace: 15ef61e1-693b-9011-14f7-f64f9bd47c4b }
-          promises.push(writeLine(req, 'address', fields.address, fields.port, fields));
         }
         break;
       }
       case 'MatchingRuleFound': {
         //  EVENT:MatchingRuleFound TOPICNAME:sigfox/received CLIENTID:N/A MESSAGE:Matching rule found: sigfoxRouteMessage
         fields.rule = fields.found;
-        //  trace-0be5ef8f-0de3-a345-ff4d-79967f07b24e-rule.json = { rule: sigfoxRouteMessage }
-        promises.push(writeLine(req, 'trace', fields.trace, 'rule', fields));
         break;
       }
-      default: break;
+      default: {
+        //  EVENT:LambdaActionFailure TOPICNAME:sigfox/received CLIENTID:N/A MESSAGE:Failed to invoke lambda function. Received Server error from Lambda. The error code is 403
+        if (fields.EVENT && /Failure$/.test(fields.EVENT)) fields.failure = parseFailure(fields);
+        break;
+      }
     }
-    return Promise.all(promises)
-      .then(() => fields);
+    return fields;
   }
 
-  function matchTrace(req, endTrace) {
-    //  Match the historical AWS IoT logs.  Look for begin trace and end trace messages, match them
-    //  and return the segment and rule.
-    const fields = { endTrace };
-    //  Given trace 55c11976-fbec-df43-86a3-3295ba6f1b89, find:
-    //  [1] trace-55c11976-fbec-df43-86a3-3295ba6f1b89-address.json = { address: 13.229.60.16, port: 60276 }
-    return readLine(req, 'trace', fields.endTrace, 'address')
-      .then((res) => { fields.endAddress = res.address; fields.endPort = res.port; })
-    //  [2] trace-55c11976-fbec-df43-86a3-3295ba6f1b89-end.json = { segment: 1A2345-098901602c2d0d08 }
-      .then(() => readLine(req, 'trace', fields.endTrace, 'end'))
-      .then((res) => { fields.segment = res.segment; })
-    //  [3] segment-1A2345-098901602c2d0d08-begin.json = { trace: 15ef61e1-693b-9011-14f7-f64f9bd47c4b }
-      .then(() => readLine(req, 'segment', fields.segment, 'begin'))
-      .then((res) => { fields.beginTrace = res.trace; })
-    //  [4] trace-15ef61e1-693b-9011-14f7-f64f9bd47c4b-address.json = { address: 13.229.60.16, port: 60272 }
-      .then(() => readLine(req, 'trace', fields.beginTrace, 'address'))
-      .then((res) => { fields.beginAddress = res.address; fields.beginPort = res.port; })
-    //  [5] address-13.229.60.16-60274.json = { trace: 0be5ef8f-0de3-a345-ff4d-79967f07b24e }
-      .then(() => {
-        //  Confirm that beginAddress = endAddress.
-        if (fields.beginAddress !== fields.endAddress) throw new Error('mismatched_address');
-        //  Loop from beginPort + 1 to endPort - 1.
-        const promises = [];
-        for (let port = fields.beginPort + 1; port <= fields.endPort - 1; port += 1) {
-          //  Check whether the port exists.
-          promises.push(readLine(req, 'address', fields.beginAddress, port)
-            .then((res) => {
-              //  Found the port.  Save the trace.
-              fields.resultAddress = fields.beginAddress;
-              fields.resultPort = port;
-              fields.resultTrace = res.trace;
-            })
-            .catch(() => null));  //  Suppress any not-found errors.
-        }
-        return Promise.all(promises);
-      })
-      .then(() => { if (!fields.resultTrace) throw new Error('port_not_found'); })
-    //  [6] trace-0be5ef8f-0de3-a345-ff4d-79967f07b24e-rule.json = { rule: sigfoxRouteMessage }
-      .then(() => readLine(req, 'trace', fields.resultTrace, 'rule'))
-      .then((res) => { fields.rule = res.rule; fields.timestamp = res.timestamp; })
-      //  [7] segment-1A2345-098901602c2d0d08.json = (segment)
-      //  Return the fields for the caller to close fields.segment=segment-1A2345-098901602c2d0d08
-      .then(() => scloud.log(req, 'matchTrace', { result: fields }))
-      .then(() => fields)
-      .catch(() => { // eslint-disable-next-line no-param-reassign
-        scloud.error(req, 'matchTrace', { result: `[${Object.keys(fields).length}] ${endTrace}` });
-        return null;
-      });
+  function collectTraces(req, lines) {
+    //  Combine the log lines by AWS IoT trace ID.  Each trace is a message published to AWS IoT, e.g.
+    //  { trace, segment, marker, address, port, rule, timestamp, failures }.  Returns the traces in log order.
+    const traces = {};
+    const result = [];
+    for (const line of lines) {
+      const fields = processLine(req, line);
+      if (!fields.trace) continue;
+      if (!traces[fields.trace]) {
+        traces[fields.trace] = { trace: fields.trace };
+        result.push(traces[fields.trace]);
+      }
+      const trace = traces[fields.trace];
+      for (const key of ['segment', 'marker', 'address', 'port', 'rule']) {
+        if (fields[key] !== undefined) trace[key] = fields[key];
+      }
+      //  The rule segment starts when the rule is matched.
+      if (fields.rule) trace.timestamp = fields.timestamp;
+      //  The rule actions that failed for the message.
+      if (fields.failure) trace.failures = (trace.failures || []).concat([fields.failure]);
+    }
+    return result;
+  }
+
+  function compactTrace(trace) {
+    //  Return the trace fields to be saved for matching later.
+    const result = { trace: trace.trace, address: trace.address, port: trace.port };
+    if (trace.rule) Object.assign(result, { rule: trace.rule, timestamp: trace.timestamp });
+    if (trace.failures) result.failures = trace.failures;
+    return result;
+  }
+
+  function correlateTraces(req, traces, pending) {
+    //  Match the begin and end markers of each segment with the message published between them.
+    //  The message is the one published from the same address as the markers, with the source port
+    //  between the ports of the begin and end markers.  The rule is the AWS IoT Rule matched by the message.
+    //  pending contains the begin markers and messages from earlier batches, by segment, and the segments
+    //  of messages whose rules were not logged yet, by trace: { segments: {...}, traces: {...} }
+    //  Returns { matches, segments, traces } where matches contains { segment, rule, timestamp, trace, failures }.
+    //  segments and traces contain the begin markers and messages to be matched in later batches.
+    const result = { matches: [], segments: {}, traces: {} };
+    const byTrace = {};
+    const begins = {};
+    for (const trace of traces) {
+      byTrace[trace.trace] = trace;
+      if (trace.marker === 'begin' && trace.address) begins[trace.segment] = trace;
+    }
+    const messages = traces.filter(trace => trace.address && !trace.marker);
+    //  Match the rules logged in this batch for messages published in earlier batches.
+    for (const trace of traces) {
+      const saved = pending.traces[trace.trace];
+      if (!trace.rule || trace.address || !saved) continue;
+      result.matches.push({ segment: saved.segment, rule: trace.rule, timestamp: trace.timestamp, trace: trace.trace, failures: trace.failures });
+    }
+    for (const end of traces.filter(trace => trace.marker === 'end' && trace.address)) {
+      const saved = pending.segments[end.segment] || {};
+      const begin = begins[end.segment] || saved.begin;
+      delete begins[end.segment];
+      if (!begin || begin.address !== end.address) {
+        scloud.error(req, 'correlateTraces', { result: begin ? 'mismatched_address' : 'begin_not_found', segment: end.segment });
+        continue;
+      }
+      const message = (saved.messages || []).concat(messages)
+        .filter(msg => msg.address === begin.address && msg.port > begin.port && msg.port < end.port)
+        .sort((a, b) => a.port - b.port)[0];
+      if (!message) {
+        scloud.error(req, 'correlateTraces', { result: 'port_not_found', segment: end.segment });
+        continue;
+      }
+      //  The rule of a message from an earlier batch may be logged in this batch.
+      const rule = message.rule ? message : (byTrace[message.trace] || {});
+      if (rule.rule) result.matches.push({ segment: end.segment, rule: rule.rule, timestamp: rule.timestamp, trace: message.trace, failures: rule.failures });
+      //  Else the rule will be logged in a later batch.
+      else result.traces[message.trace] = { segment: end.segment };
+    }
+    //  Begin markers without end markers will be matched in a later batch, together with the messages after them.
+    for (const segment of Object.keys(begins)) {
+      const begin = begins[segment];
+      result.segments[segment] = {
+        begin: compactTrace(begin),
+        messages: messages.filter(msg => msg.address === begin.address && msg.port > begin.port).map(compactTrace),
+      };
+    }
+    return result;
+  }
+
+  function loadPending(req, traces) {
+    //  Read the begin markers and messages saved by earlier batches, only for the end markers and rules
+    //  in this batch that can't be matched within the batch.  Returns a promise for { segments, traces }.
+    const pending = { segments: {}, traces: {} };
+    const begins = traces.filter(trace => trace.marker === 'begin').map(trace => trace.segment);
+    const published = traces.filter(trace => trace.address).map(trace => trace.trace);
+    const segments = traces.filter(trace => trace.marker === 'end' && begins.indexOf(trace.segment) < 0)
+      .map(trace => trace.segment);
+    const rules = traces.filter(trace => trace.rule && published.indexOf(trace.trace) < 0)
+      .map(trace => trace.trace);
+    //  Entries that are missing or incomplete are logged and skipped.
+    return Promise.all(
+      segments.map(segment => readLine(req, 'pending-segment', segment, null)
+        .then((res) => {
+          if (res && res.begin) pending.segments[segment] = res;
+          else scloud.log(req, 'loadPending', { result: 'pending_segment_not_found', segment });
+        })
+        .catch(() => null))
+        .concat(rules.map(trace => readLine(req, 'pending-trace', trace, null)
+          .then((res) => {
+            if (res && res.segment) pending.traces[trace] = res;
+            else scloud.log(req, 'loadPending', { result: 'pending_trace_not_found', trace });
+          })
+          .catch(() => null))))
+      .then(() => pending);
+  }
+
+  function savePending(req, pending, result) {
+    //  Save the begin markers and messages to be matched in later batches.  Delete the ones that were matched.
+    //  Returns a promise.
+    return Promise.all(
+      Object.keys(result.segments).map(segment => writeLine(req, 'pending-segment', segment, null, result.segments[segment]))
+        .concat(Object.keys(result.traces).map(trace => writeLine(req, 'pending-trace', trace, null, result.traces[trace])))
+        .concat(Object.keys(pending.segments).map(segment => deleteLine(req, 'pending-segment', segment)))
+        .concat(Object.keys(pending.traces).map(trace => deleteLine(req, 'pending-trace', trace))))
+      .catch((error) => { console.error('savePending', error.message, error.stack); });
+  }
+
+  function createFailureSegment(req, ruleSegment, failure) {
+    //  Return the AWS XRay segment for the failed rule action, as a child of the rule segment.
+    //  Client errors (4xx) are flagged as error, the rest as fault.
+    const segment = {
+      name: `${ruleSegment.user}_@_${failure.event}`,
+      id: scloud.newTraceSegmentId(),
+      trace_id: ruleSegment.trace_id,
+      parent_id: ruleSegment.id,
+      start_time: (failure.timestamp || Date.now()) / 1000.0,
+      user: ruleSegment.user,
+      cause: { exceptions: [{ type: failure.event, message: failure.message }] },
+    };
+    segment.end_time = segment.start_time;
+    if (failure.status) segment.http = { response: { status: failure.status } };
+    if (failure.status >= 400 && failure.status < 500) segment.error = true;
+    else segment.fault = true;
+    return segment;
   }
 
   function updateTraceSegments(req, fields) {
     //  Read the sender, rule, receiver segments from S3 and open/close them.
+    //  Returns a promise for the updated segments, or null if the segments were not found.
     const segment = fields.segment;
     return readLine(req, 'segment', segment, null)
       .then((res) => {
+        //  Skip the segment if it was not saved or has expired.
+        if (!res || !res.senderSegment || !res.ruleSegment) {
+          scloud.log(req, 'updateTraceSegments', { result: 'segment_not_found', segment, fields });
+          return null;
+        }
         const senderSegment = res.senderSegment;
         const ruleSegment = res.ruleSegment;
         // const receiverSegment = res.receiverSegment;
@@ -259,30 +407,68 @@ function wrap(scloud) {
         ruleSegment.start_time = fields.timestamp / 1000.0; // eslint-disable-next-line no-param-reassign
         ruleSegment.end_time = ruleSegment.start_time + 0.2;  //  Assume 0.2 second.
         if (ruleSegment.in_progress) delete ruleSegment.in_progress;
+        //  Attach the failed rule actions to the rule segment and flag the rule segment too.
+        const failureSegments = (fields.failures || []).map(failure => createFailureSegment(req, ruleSegment, failure));
+        for (const failureSegment of failureSegments) {
+          if (failureSegment.fault) ruleSegment.fault = true;
+          else ruleSegment.error = true;
+          scloud.sendTrace(req, failureSegment);
+        }
         scloud.sendTrace(req, ruleSegment);
 
         senderSegment.end_time = fields.timestamp / 1000.0; // eslint-disable-next-line no-param-reassign
         if (senderSegment.in_progress) delete senderSegment.in_progress;
         scloud.sendTrace(req, senderSegment);
-        const result = { ruleSegment, senderSegment };
+        const result = { ruleSegment, senderSegment, failureSegments };
         scloud.log(req, 'updateTraceSegments', { result, fields });
         return result;
       })
       .catch((error) => { console.error('updateTraceSegments', segment, fields, error); throw error; });
   }
 
+  function publishFailures(req, traces, matches) {
+    //  Report each failed rule action in the log as an error, so that broken AWS IoT Rules are visible
+    //  immediately, even if the segment can't be matched yet.  The errors are grouped and sent to
+    //  sigfox/errors (or SIGFOX_ERROR_TOPIC) like all other errors.  Returns a promise.
+    const segments = {};
+    for (const match of matches) segments[match.trace] = match.segment;
+    const promises = [];
+    for (const trace of traces) {
+      for (const failure of trace.failures || []) {
+        //  Don't alert on failures of the alerts, which would loop forever.
+        if (failure.topic === errorTopic) continue;
+        const segment = segments[trace.trace] || null;
+        //  Segment is <device>-<id> e.g. 1A2345-098901602c2d0d08
+        const device = segment ? segment.split('-')[0] : null;
+        const rule = trace.rule || null;
+        const error = new Error(`Rule ${rule} failed for ${failure.topic}: ${failure.message}`);
+        error.name = failure.event;
+        if (failure.status) error.code = failure.status;
+        const details = Object.assign({ rule, trace: trace.trace, segment }, failure);
+        promises.push(scloud.reportError(req, error, 'publishFailures', { device, details }));
+        scloud.error(req, 'publishFailures', { error, device, details });
+      }
+    }
+    return Promise.all(promises);
+  }
+
   function task(req, lines) {
     //  The task for this Cloud Function: Parse the AWS IoT Log in CloudWatch format that is passed in as the
     //  parameter. Watch for any IoT Rules and Lambda Functions executed.  If detected, fetch the AWS XRay
     //  segment from AWS S3 storage and open/close the segments.
+    //  The log lines are matched in memory.  Only the lines that can't be matched within this batch
+    //  are saved to AWS S3 storage for matching with the next batch.  Failed rule actions are sent to sigfox/errors
+    //  and attached to the rule segments.
     wrapCount += 1; console.log({ wrapCount });  //  Count how many times the wrapper has been reused.
-    const matches = [];
-    const promises = lines.map(line => processLine(req, line)
-      .then(res => matchTrace(req, res.trace))
-      .then((res) => { if (res) matches.push(res); })
-      .catch((error) => { console.error('task', error.message, error.stack); }));
-    return Promise.all(promises)
-      .then(() => Promise.all(matches.map(match =>
+    const traces = collectTraces(req, lines);
+    let pending = null;
+    return loadPending(req, traces)
+      .then((res) => { pending = res; return correlateTraces(req, traces, pending); })
+      .then(result => savePending(req, pending, result)
+        .then(() => publishFailures(req, traces, result.matches))
+        .then(() => scloud.log(req, 'task', { matches: result.matches.length, pendingSegments: Object.keys(result.segments).length, pendingTraces: Object.keys(result.traces).length }))
+        .then(() => result.matches))
+      .then(matches => Promise.all(matches.map(match =>
         updateTraceSegments(req, match)
           .catch((error) => { console.error('task2', error.message, error.stack); return error; }))))
       .then(result => result)
@@ -297,14 +483,16 @@ function wrap(scloud) {
       const parsed = JSON.parse(res.toString('utf8'));
       console.log('Decoded payload:', JSON.stringify(parsed));
       const lines = parsed.logEvents.map(ev => ev.message);
+      //  Wait for the error reports of this invocation to be sent before returning.
       return task(req, lines)
+        .then(() => scloud.flushErrors(req))
         .then(() => callback(null, `Successfully processed ${parsed.logEvents.length} log events.`))
-        .catch(error => callback(error));
+        .catch(error => scloud.flushErrors(req).then(() => callback(error)));
     });
   }
 
   //  Unit Test
-  if (process.env.NODE_ENV !== 'production') return { task, parseLine, processLine, matchTrace, updateTraceSegments };
+  if (process.env.NODE_ENV !== 'production') return { task, parseLine, parseJSONLine, processLine, collectTraces, correlateTraces, updateTraceSegments };
 
   //  Expose these functions outside of the wrapper.
   //  When this Cloud Function is triggered, we call main() which calls task().
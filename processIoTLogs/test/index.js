@@ -2,6 +2,9 @@
 /* global describe:true, it:true, beforeEach:true, afterEach:true */
 /* eslint-disable max-len, camelcase,import/no-extraneous-dependencies,import/newline-after-import, no-debugger */
 process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Save the pending trace lines into TRACE_BUCKET in SIGFOX_LOCAL_DIR with the local emulator.
+process.env.SIGFOX_LOCAL = 'true';
+process.env.TRACE_BUCKET = 'unittest-trace';
 const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
 
@@ -55,17 +58,79 @@ describe(moduleName, () => {
     return Promise.all(result);
   });
 
-  it.skip('should match trace', () => {
-    const matches = []; // eslint-disable-next-line no-use-before-define
-    const result = testLog2.split('\n').map(line =>
-      moduleTested.processLine(req, line)
-        .then(res => moduleTested.matchTrace(req, res.trace))
-        .then((res) => { matches.push(res); console.log({ result: res }); })
-        .catch((error) => { console.error(error.message, error.stack); }));
-    return Promise.all(result)
-      .then(() => { console.log(matches); debugger; });
+  it('should match traces in memory', () => {
+    // eslint-disable-next-line no-use-before-define
+    const traces = moduleTested.collectTraces(req, testLog2.split('\n'));
+    const result = moduleTested.correlateTraces(req, traces, { segments: {}, traces: {} });
+    const match = result.matches.find(m => m.segment === '2C30EB-024a01602f396c63');
+    match.rule.should.equal('sigfoxRouteMessage');
+    match.trace.should.equal('aed20327-a6d8-8b48-d101-dd0437f96cd7');
+    result.matches.find(m => m.segment === '2C30EB-20c001602f397834').rule.should.equal('sigfoxDecodeStructuredMessage');
+    result.matches.find(m => m.segment === '2C30EB-03b901602f397b39').rule.should.equal('sigfoxSendToUbidots');
   });
 
+  it('should match traces across batches', () => {
+    // eslint-disable-next-line no-use-before-define
+    const lines = testLog2.split('\n');
+    const segment = '2C30EB-024a01602f396c63';
+    //  Split after the begin marker: the begin marker is matched in the next batch.
+    const batch1 = moduleTested.correlateTraces(req, moduleTested.collectTraces(req, lines.slice(0, 3)), { segments: {}, traces: {} });
+    batch1.matches.length.should.equal(0);
+    batch1.segments.should.have.property(segment);
+    //  Split before the rule: the rule is matched in the next batch.
+    const split = lines.findIndex(line => line.indexOf('EVENT:MatchingRuleFound') >= 0);
+    const batch2 = moduleTested.correlateTraces(req, moduleTested.collectTraces(req, lines.slice(3, split)), batch1);
+    batch2.matches.length.should.equal(0);
+    batch2.traces.should.have.property('aed20327-a6d8-8b48-d101-dd0437f96cd7');
+    const batch3 = moduleTested.correlateTraces(req, moduleTested.collectTraces(req, lines.slice(split)), batch2);
+    const match = batch3.matches.find(m => m.segment === segment);
+    match.rule.should.equal('sigfoxRouteMessage');
+  });
+
+  it('should parse JSON log format', () => {
+    const fields = moduleTested.processLine(req, JSON.stringify({
+      timestamp: '2017-12-07 04:26:20.694', logLevel: 'INFO', traceId: 'f7314224-cc36-b950-955b-4759e5e1ea64', eventType: 'Publish-In',
+      topicName: 'sigfox/trace/2C30EB-024a01602f396c63/begin', sourceIp: '52.221.228.71', sourcePort: 35036 }));
+    fields.trace.should.equal('f7314224-cc36-b950-955b-4759e5e1ea64');
+    fields.segment.should.equal('2C30EB-024a01602f396c63');
+    fields.marker.should.equal('begin');
+    fields.address.should.equal('52.221.228.71');
+    fields.port.should.equal(35036);
+    fields.timestamp.should.equal(Date.UTC(2017, 11, 7, 4, 26, 20, 694));
+  });
+
+  it('should match traces in JSON log format', () => {
+    // eslint-disable-next-line no-use-before-define
+    const traces = moduleTested.collectTraces(req, testLog3.split('\n'));
+    const result = moduleTested.correlateTraces(req, traces, { segments: {}, traces: {} });
+    result.matches.length.should.equal(1);
+    result.matches[0].segment.should.equal('2C30EB-024a01602f396c63');
+    result.matches[0].rule.should.equal('sigfoxRouteMessage');
+  });
+
+  it('should attach rule action failures', () => {
+    //  Replace the successful Lambda invocation of sigfoxRouteMessage by a failure.
+    const failure = '2017-12-07 04:26:20.825 TRACEID:aed20327-a6d8-8b48-d101-dd0437f96cd7 PRINCIPALID:AROAJU2EQQYDUODTL62CQ:sigfoxCallback [ERROR] EVENT:LambdaActionFailure TOPICNAME:sigfox/received CLIENTID:N/A MESSAGE:Failed to invoke lambda function. Received Server error from Lambda. The error code is 403';
+    // eslint-disable-next-line no-use-before-define
+    const lines = testLog2.split('\n').map(line => ((line.indexOf('aed20327') >= 0 && line.indexOf('LambdaActionSuccess') >= 0) ? failure : line));
+    const result = moduleTested.correlateTraces(req, moduleTested.collectTraces(req, lines), { segments: {}, traces: {} });
+    const match = result.matches.find(m => m.segment === '2C30EB-024a01602f396c63');
+    match.failures.length.should.equal(1);
+    match.failures[0].event.should.equal('LambdaActionFailure');
+    match.failures[0].status.should.equal(403);
+    should.not.exist(result.matches.find(m => m.segment === '2C30EB-20c001602f397834').failures);
+    //  Same failure in the JSON log format.
+    const fields = moduleTested.processLine(req, JSON.stringify({
+      timestamp: '2017-12-07 04:26:20.825', logLevel: 'ERROR', traceId: 'aed20327-a6d8-8b48-d101-dd0437f96cd7', eventType: 'RuleExecution',
+      topicName: 'sigfox/received', ruleName: 'sigfoxRouteMessage', ruleAction: 'LambdaAction', status: 'Failure', details: 'The error code is 403' }));
+    fields.failure.event.should.equal('LambdaActionFailure');
+    fields.failure.status.should.equal(403);
+  });
+
+  it('should skip segments that were not saved', () =>
+    moduleTested.updateTraceSegments(req, { segment: '2C30EB-ffff01602f396c63', rule: 'sigfoxRouteMessage', timestamp: Date.now() })
+      .then(result => should.not.exist(result)));
+
   it('should run task', () => // eslint-disable-next-line no-use-before-define
     moduleTested.task(req, testLog2.split('\n')));
 });
@@ -352,3 +417,11 @@ const testLog2 = `
 2017-12-07 04:26:53.025 TRACEID:553fc737-87f9-bdee-08e7-cb302835c482 PRINCIPALID:AROAJU2EQQYDUODTL62CQ:decodeStructuredMessage2 [INFO] EVENT:PublishEvent TOPICNAME:sigfox/trace/2C30EB-1fca01602f39ea71/begin MESSAGE:PublishIn Status: SUCCESS
 2017-12-07 04:26:53.025 TRACEID:553fc737-87f9-bdee-08e7-cb302835c482 PRINCIPALID:AROAJU2EQQYDUODTL62CQ:decodeStructuredMessage2 [INFO] EVENT:PublishEvent MESSAGE: IpAddress: 54.255.181.98 SourcePort: 40528
 `;
+
+const testLog3 = `
+{"timestamp":"2017-12-07 04:26:20.694","logLevel":"INFO","traceId":"f7314224-cc36-b950-955b-4759e5e1ea64","accountId":"595779189490","status":"Success","eventType":"Publish-In","protocol":"MQTT","topicName":"sigfox/trace/2C30EB-024a01602f396c63/begin","principalId":"AROAJU2EQQYDUODTL62CQ:sigfoxCallback","sourceIp":"52.221.228.71","sourcePort":35036}
+{"timestamp":"2017-12-07 04:26:20.754","logLevel":"INFO","traceId":"aed20327-a6d8-8b48-d101-dd0437f96cd7","accountId":"595779189490","status":"Success","eventType":"Publish-In","protocol":"MQTT","topicName":"sigfox/received","principalId":"AROAJU2EQQYDUODTL62CQ:sigfoxCallback","sourceIp":"52.221.228.71","sourcePort":35038}
+{"timestamp":"2017-12-07 04:26:20.773","logLevel":"INFO","traceId":"647106fc-a633-c53c-ec05-a63eb017fd75","accountId":"595779189490","status":"Success","eventType":"Publish-In","protocol":"MQTT","topicName":"sigfox/trace/2C30EB-024a01602f396c63/end","principalId":"AROAJU2EQQYDUODTL62CQ:sigfoxCallback","sourceIp":"52.221.228.71","sourcePort":35040}
+{"timestamp":"2017-12-07 04:26:20.791","logLevel":"INFO","traceId":"aed20327-a6d8-8b48-d101-dd0437f96cd7","accountId":"595779189490","status":"Success","eventType":"RuleMatch","clientId":"N/A","topicName":"sigfox/received","ruleName":"sigfoxRouteMessage","principalId":"AROAJU2EQQYDUODTL62CQ:sigfoxCallback"}
+{"timestamp":"2017-12-07 04:26:20.825","logLevel":"INFO","traceId":"aed20327-a6d8-8b48-d101-dd0437f96cd7","accountId":"595779189490","status":"Success","eventType":"RuleExecution","clientId":"N/A","topicName":"sigfox/received","ruleName":"sigfoxRouteMessage","resources":{"FunctionArn":"arn:aws:lambda:ap-southeast-1:595779189490:function:routeMessage"},"principalId":"AROAJU2EQQYDUODTL62CQ:sigfoxCallback"}
+`;
@@ -10,8 +10,12 @@
 //  Debugging: Enable active tracing
 //  Environment Variables:
 //    NODE_ENV=production
-//    AUTOINSTALL_DEPENDENCY=sigfox-iot-cloud/routeMessage
-//    SIGFOX_ROUTE=decodeStructuredMessage,sendToUbidots,sendToDatabase
+//    SIGFOX_ROUTE=decodeStructuredMessage,sendToUbidots,sendToDatabase  (Default route for all devices)
+//    SIGFOX_ROUTE_TABLE=my-bucket/routes.json  (Optional S3 file with routes by device ID, pattern or Thing Type)
+//  Don't set AUTOINSTALL_DEPENDENCY: the routing code is in this file, not in sigfox-iot-cloud/routeMessage.
+//  If you are upgrading a routeMessage Lambda Function that was installed with
+//  AUTOINSTALL_DEPENDENCY=sigfox-iot-cloud/routeMessage, delete that environment variable.
+//  AutoInstall will install sigfox-aws and the dependencies in package_json below.
 
 //  Go to AWS IoT, create a Rule:
 //  Name: sigfoxRouteMessage
@@ -21,13 +25,75 @@
 //  Condition: (Blank)
 //  Action: Invoke Lambda Function routeMessage
 
-//  Refer to this URL for source code and comments:
-//  https://github.com/UnaBiz/sigfox-iot-cloud/blob/master/routeMessage/index.js
+//  This sigfox-aws module sets the route for each Sigfox message, i.e. the Lambda Functions that
+//  will process the message in sequence.  The route for each device is chosen in this order:
+//  (1) The "route" attribute of the AWS IoT Thing e.g. decodeStructuredMessage,sendToUbidots
+//  (2) The first matching rule in the routing table SIGFOX_ROUTE_TABLE, which looks like:
+//      { "rules": [ { "device": "1A2345", "route": "decodeStructuredMessage,sendToUbidots" },
+//                   { "pattern": "^2C", "route": "decodeStructuredMessage" },
+//                   { "thingType": "TemperatureSensor", "route": "decodeTemperature" } ],
+//        "default": "decodeStructuredMessage" }
+//  (3) The default route in the routing table
+//  (4) SIGFOX_ROUTE
+//  The routing table and Thing attributes are reloaded every 10 seconds, so routes may be changed
+//  without redeploying.  See getDeviceRoute() in sigfox-aws.
+/* eslint-disable max-len, camelcase, no-console, no-nested-ternary, import/no-dynamic-require, import/newline-after-import, import/no-unresolved, global-require */
 
-//  We set the wrap function and package_json to null indicate that AutoInstall
-//  should install the dependency from environment variable AUTOINSTALL_DEPENDENCY (see above).
-const wrap = null; // eslint-disable-next-line camelcase
-const package_json = null;
+//  We use AutoInstall to install any Node.js libraries automatically, without manually packaging them.
+//  See https://github.com/UnaBiz/sigfox-iot-cloud/blob/master/autoinstall.js
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region AutoInstall: List all dependencies here, or just paste the contents of package.json. Autoinstall will install these dependencies.
+//  Don't include sigfox-aws, it will be automatically added as dependencies.
+
+const package_json = /* eslint-disable quote-props,quotes,comma-dangle,indent */
+//  PASTE PACKAGE.JSON BELOW  //////////////////////////////////////////////////////////
+{
+}
+//  PASTE PACKAGE.JSON ABOVE  //////////////////////////////////////////////////////////
+; /* eslint-enable quote-props,quotes,comma-dangle,indent */
+
+//  //////////////////////////////////////////////////////////////////////////////////// endregion
+//  region Message Processing Code
+
+
+function wrap(scloud) {
+  //  Wrap the module into a function so that all we defer loading of dependencies,
+  //  and ensure that cloud resources are properly disposed.
+  let wrapCount = 0;  //  Count how many times the wrapper has been reused.
+
+  function routeMessage(req, device, body, msg0) {
+    //  Set the message route according to the device ID.
+    //  message = { device, type, body, query }
+    //  Returns a promise.
+    const msg = Object.assign({}, msg0);
+    return scloud.getDeviceRoute(req, device)
+      .then((route) => {
+        //  Must clone the route because it might be mutated accidentally.
+        msg.route = route.slice();
+        //  For AWS we start with sigfox.received and end with sigfox.devices.all.
+        //  Last route for AWS is always "all".
+        if (msg.route.indexOf('all') < 0) msg.route.push('all');
+        const result = msg;
+        scloud.log(req, 'routeMessage', { result, route, device, body, msg });
+        return result;
+      })
+      .catch((error) => {
+        scloud.error(req, 'routeMessage', { error, device, body, msg });
+        throw error;
+      });
+  }
+
+  function task(req, device, body, msg) {
+    //  The task for this Cloud Function: Set the route for the Sigfox message.
+    //  The route is saved into the "route" field of the Sigfox message.
+    wrapCount += 1; console.log({ wrapCount });  //  Count how many times the wrapper has been reused.
+    return routeMessage(req, device, body, msg);
+  }
+
+  //  Expose these functions outside of the wrapper.
+  //  When this Cloud Function is triggered, we call main() which calls task().
+  return { task };
+}
 
 //  //////////////////////////////////////////////////////////////////////////////////// endregion
 //  region Standard Code for AutoInstall Startup Function 1.0.  Do not modify.  https://github.com/UnaBiz/sigfox-iot-cloud/blob/master/autoinstall.js
@@ -12,6 +12,9 @@
 //  Environment Variables:
 //    NODE_ENV=production
 //    AUTOINSTALL_DEPENDENCY=sigfox-iot-cloud/sigfoxCallback
+//    SIGFOX_AUTH_KEY=(random secret), or SIGFOX_AUTH_TOKEN / SIGFOX_AUTH_HMAC_SECRET (see below)
+//    SIGFOX_TRACE_SAMPLING (optional) is the X-Ray sampling rules in JSON or the S3 file containing the rules,
+//      e.g. {"fixed_target":1,"rate":0.05,"devices":{"2C30EB":true}}.  See the README.
 
 //  Create an API Gateway named sigfoxGateway (New API, Edge optimised)
 //  In the sigfoxCallback configuration, add a trigger from sigfoxGateway
@@ -24,10 +27,23 @@
 
 //  Invoke URL should look like:
 //  https://8xcb9t7mpj.execute-api.ap-southeast-1.amazonaws.com/prod/sigfoxCallback
+
+//  Authentication: Since the API Gateway is open, configure one of these environment variables
+//  so that only Sigfox may call sigfoxCallback.  Other requests are rejected with HTTP status 401.
+//    SIGFOX_AUTH_KEY: Add the key to the Sigfox callback URL: .../prod/sigfoxCallback?key=(SIGFOX_AUTH_KEY)
+//    SIGFOX_AUTH_TOKEN: Add a header to the Sigfox callback: Authorization: (SIGFOX_AUTH_TOKEN)
+//      The header name may be changed with SIGFOX_AUTH_HEADER.
+//    SIGFOX_AUTH_HMAC_SECRET: For callbacks relayed by a proxy, the header X-Sigfox-Signature must contain
+//      the HMAC-SHA256 of the body in hex.  The header name may be changed with SIGFOX_AUTH_HMAC_HEADER.
+//  Messages with invalid device, data, seqNumber or time fields are rejected with HTTP status 400.
 //  For testing: See ./test/testEvent.json for test event.
 //  The "time" field should be set to number of seconds
 //  since 1970 Jan 1 UTC (e.g. 1511614827).  Use Chrome console to compute: Date.now() / 1000
 
+//  For downlink: In the Sigfox backend, set the callback type to DATA BIDIR and enable downlink for the device type.
+//  When a device sends a message with ack=true, the downlink data queued by scloud.setDownlink(req, device, data)
+//  will be returned to Sigfox in the HTTP response.
+
 //  Refer to this URL for source code and comments:
 //  https://github.com/UnaBiz/sigfox-iot-cloud/blob/master/sigfoxCallback/index.js
 
@@ -0,0 +1,91 @@
+//  Unit Test for authenticating and validating the HTTP callbacks from Sigfox
+/* global describe:true, it:true, beforeEach:true */
+/* eslint-disable max-len, camelcase */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Run with the local emulator, so that no AWS credentials are needed.
+process.env.SIGFOX_LOCAL = 'true';
+//  Authentication is configured when the module is loaded.
+process.env.SIGFOX_AUTH_KEY = 'testkey';
+process.env.SIGFOX_AUTH_TOKEN = 'testtoken';
+process.env.SIGFOX_AUTH_HMAC_SECRET = 'testsecret';
+const crypto = require('crypto');
+const chai = require('chai');
+
+//  Other tests may have loaded the module without authentication, so load it again.
+delete require.cache[require.resolve('../index')];
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+
+const moduleName = 'sigfox-aws authentication'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+let req = {};
+
+/* eslint-disable quotes */
+const testBody = { device: "1A2345", data: "b0513801a421f0019405a500", seqNumber: "1508", time: "1507112763" };
+/* eslint-enable quotes */
+
+function testEvent(body, headers, query) {
+  //  Return the API Gateway event for the HTTP callback from Sigfox.
+  return {
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+    headers: headers || {},
+    queryStringParameters: query || {},
+  };
+}
+
+function sign(text) {
+  //  Return the HMAC-SHA256 signature of the text in hex.
+  return crypto.createHmac('sha256', 'testsecret').update(text).digest('hex');
+}
+
+describe(moduleName, () => {
+  beforeEach(() => {
+    //  Erase the request object before every test.
+    req = { unittest: true };
+  });
+
+  it('should accept the key, token or HMAC signature', () => {
+    const text = JSON.stringify(testBody);
+    moduleTested.authenticateRequest(req, testEvent(testBody, null, { key: 'testkey' })).should.equal(true);
+    moduleTested.authenticateRequest(req, testEvent(testBody, { authorization: 'testtoken' })).should.equal(true);
+    //  Header names are case-insensitive.
+    moduleTested.authenticateRequest(req, testEvent(testBody, { Authorization: 'testtoken' })).should.equal(true);
+    moduleTested.authenticateRequest(req, testEvent(text, { 'X-Sigfox-Signature': sign(text).toUpperCase() })).should.equal(true);
+  });
+
+  it('should reject wrong or missing credentials', () => {
+    const text = JSON.stringify(testBody);
+    moduleTested.authenticateRequest(req, testEvent(testBody)).should.equal(false);
+    moduleTested.authenticateRequest(req, testEvent(testBody, null, { key: 'wrongkey' })).should.equal(false);
+    moduleTested.authenticateRequest(req, testEvent(testBody, { authorization: 'testtoken2' })).should.equal(false);
+    //  The signature must match the body that was received.
+    moduleTested.authenticateRequest(req, testEvent(`${text} `, { 'x-sigfox-signature': sign(text) })).should.equal(false);
+  });
+
+  it('should validate the Sigfox message fields', () => {
+    should.not.exist(moduleTested.validateBody(req, testBody));
+    should.not.exist(moduleTested.validateBody(req, { device: '1A2345', data: '' }));
+    moduleTested.validateBody(req, Object.assign({}, testBody, { device: '1A2345G' })).should.match(/^Invalid device/);
+    moduleTested.validateBody(req, Object.assign({}, testBody, { device: undefined })).should.match(/^Invalid device/);
+    //  Uplink data is at most 12 bytes in hex.
+    moduleTested.validateBody(req, Object.assign({}, testBody, { data: 'b0513801a421f0019405a50' })).should.match(/^Invalid data/);
+    moduleTested.validateBody(req, Object.assign({}, testBody, { data: `${testBody.data}00` })).should.match(/^Invalid data/);
+    //  Sequence numbers are 12 bits.
+    should.not.exist(moduleTested.validateBody(req, Object.assign({}, testBody, { seqNumber: 4095 })));
+    moduleTested.validateBody(req, Object.assign({}, testBody, { seqNumber: 4096 })).should.match(/^Invalid seqNumber/);
+    moduleTested.validateBody(req, Object.assign({}, testBody, { seqNumber: '-1' })).should.match(/^Invalid seqNumber/);
+    moduleTested.validateBody(req, Object.assign({}, testBody, { time: '2017-10-04' })).should.match(/^Invalid time/);
+  });
+
+  it('should reject unauthenticated and invalid requests', () => {
+    const unauthorized = testEvent(testBody);
+    moduleTested.validateRequest(moduleTested.prepareRequest(unauthorized, {}), unauthorized).statusCode.should.equal(401);
+    const invalidJSON = testEvent('{"device":', null, { key: 'testkey' });
+    moduleTested.validateRequest(moduleTested.prepareRequest(invalidJSON, {}), invalidJSON).statusCode.should.equal(400);
+    const invalidBody = testEvent(Object.assign({}, testBody, { data: 'xyz' }), null, { key: 'testkey' });
+    moduleTested.validateRequest(moduleTested.prepareRequest(invalidBody, {}), invalidBody).statusCode.should.equal(400);
+    const valid = testEvent(testBody, null, { key: 'testkey' });
+    should.not.exist(moduleTested.validateRequest(moduleTested.prepareRequest(valid, {}), valid));
+    //  Messages from the queues are not HTTP requests.
+    should.not.exist(moduleTested.validateRequest(req, { device: '1A2345', body: testBody }));
+  });
+});
@@ -0,0 +1,112 @@
+//  Unit Test for processing batches of messages from SQS, Kinesis and arrays, with partial batch failures
+/* global describe:true, it:true, beforeEach:true */
+/* eslint-disable max-len, camelcase */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Run with the local emulator, so that no AWS credentials are needed.
+process.env.SIGFOX_LOCAL = 'true';
+const chai = require('chai');
+
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+const local = require('../local');
+
+const moduleName = 'sigfox-aws batch'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+
+function newMessage(device, fail) {
+  //  Return a Sigfox message with no further route, so that it's not dispatched.
+  const body = { device, data: 'b0513801a421f0019405a500' };
+  if (fail) body.fail = true;
+  return { device, type: 'unittest', body, route: [] };
+}
+
+function sqsEvent(messages) {
+  //  Return the SQS event for the messages.  Text messages are sent as is.
+  return {
+    Records: messages.map((message, i) => ({
+      eventSource: 'aws:sqs',
+      messageId: `msg-${i}`,
+      body: typeof message === 'string' ? message : JSON.stringify(message),
+    })),
+  };
+}
+
+function kinesisEvent(messages) {
+  //  Return the Kinesis event for the messages.
+  return {
+    Records: messages.map((message, i) => ({
+      eventSource: 'aws:kinesis',
+      kinesis: {
+        sequenceNumber: `4959${i}`,
+        data: Buffer.from(typeof message === 'string' ? message : JSON.stringify(message)).toString('base64'),
+      },
+    })),
+  };
+}
+
+function runMain(event, tasks) {
+  //  Run main() with a task that fails for messages with body.fail.  Returns a promise for the result.
+  //  The devices of the tasks run are pushed into tasks.
+  const task = (req, device, body, msg) => {
+    tasks.push(device);
+    if (body.fail) return Promise.reject(new Error(`Task failed for ${device}`));
+    return Promise.resolve(msg);
+  };
+  return new Promise((resolve, reject) => {
+    moduleTested.main(event, { awsRequestId: 'unittest' }, (error, result) => (error ? reject(error) : resolve(result)), task);
+  });
+}
+
+describe(moduleName, () => {
+  beforeEach(() => {
+    //  Start every test with nothing published.
+    local.reset();
+  });
+
+  it('should split SQS, Kinesis and array events into messages', () => {
+    const messages = [newMessage('1A2345'), newMessage('2C30EB')];
+    moduleTested.getBatchMessages(sqsEvent(messages.concat(['not json'])))
+      .should.deep.equal([{ id: 'msg-0', message: messages[0] }, { id: 'msg-1', message: messages[1] }, { id: 'msg-2', message: null }]);
+    moduleTested.getBatchMessages(kinesisEvent(messages))
+      .should.deep.equal([{ id: '49590', message: messages[0] }, { id: '49591', message: messages[1] }]);
+    moduleTested.getBatchMessages(messages)
+      .should.deep.equal([{ id: '0', message: messages[0] }, { id: '1', message: messages[1] }]);
+  });
+
+  it('should not split single messages', () => {
+    should.not.exist(moduleTested.getBatchMessages(newMessage('1A2345')));
+    should.not.exist(moduleTested.getBatchMessages({ Records: [] }));
+    should.not.exist(moduleTested.getBatchMessages({ Records: [{ EventSource: 'aws:sns', Sns: { Message: '{}' } }] }));
+    should.not.exist(moduleTested.getBatchMessages(null));
+  });
+
+  it('should fail batch messages that could not be parsed', () => moduleTested.runBatchMessage({ id: 'msg-2', message: null }, {}, () => Promise.resolve())
+    .then(error => error.message.should.equal('Invalid message msg-2')));
+
+  it('should run the task for a batch message with its own context', () => {
+    const context = { awsRequestId: 'unittest' };
+    let batchItemId = null;
+    return moduleTested.runBatchMessage({ id: 'msg-0', message: newMessage('1A2345') }, context, (req, device, body, msg) => {
+      ({ batchItemId } = req);
+      return Promise.resolve(msg);
+    })
+      .then((error) => {
+        should.not.exist(error);
+        batchItemId.should.equal('msg-0');
+        should.not.exist(context.batchItemId);
+      });
+  });
+
+  it('should return the failed SQS messages in order', () => {
+    const tasks = [];
+    return runMain(sqsEvent([newMessage('1A2345'), newMessage('2C30EB', true), 'not json', newMessage('3B4C5D')]), tasks)
+      .then((result) => {
+        result.should.deep.equal({ batchItemFailures: [{ itemIdentifier: 'msg-1' }, { itemIdentifier: 'msg-2' }] });
+        tasks.should.deep.equal(['1A2345', '2C30EB', '3B4C5D']);
+      });
+  });
+
+  it('should return the failed Kinesis and array messages', () => runMain(kinesisEvent([newMessage('1A2345', true), newMessage('2C30EB')]), [])
+    .then(result => result.should.deep.equal({ batchItemFailures: [{ itemIdentifier: '49590' }] }))
+    .then(() => runMain([newMessage('1A2345'), newMessage('2C30EB')], []))
+    .then(result => result.should.deep.equal({ batchItemFailures: [] })));
+});
@@ -0,0 +1,127 @@
+//  Unit Test for retrying failed publishes, saving dead letters and re-driving them
+/* global describe:true, it:true, before:true, after:true, beforeEach:true, afterEach:true */
+/* eslint-disable max-len, camelcase */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Keep the published messages in memory and the S3 files in SIGFOX_LOCAL_DIR with the local emulator.
+process.env.SIGFOX_LOCAL = 'true';
+const chai = require('chai');
+
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+const local = require('../local');
+
+const moduleName = 'sigfox-aws dead letters'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+const bucket = 'unittest-bucket';
+const prefix = 'deadletter/unittest/';
+const message = { device: '1A2345', type: 'all', body: { data: 'b0513801a421f0019405a500' }, history: [{ function: 'routeMessage' }] };
+let req = {};
+
+function listDeadLetters() {
+  //  Return a promise for the dead letters saved for this function.
+  return moduleTested.listFiles(req, bucket, prefix);
+}
+
+describe(moduleName, () => {
+  let previousBucket = null;
+  let previousSleep = null;
+  before(() => {
+    previousBucket = process.env.SIGFOX_DEADLETTER_BUCKET;
+  });
+
+  after(() => {
+    if (previousBucket === undefined) delete process.env.SIGFOX_DEADLETTER_BUCKET;
+    else process.env.SIGFOX_DEADLETTER_BUCKET = previousBucket;
+  });
+
+  beforeEach(() => {
+    //  Start every test with no published messages and no dead letters, and retry without waiting.
+    local.reset();
+    req = { unittest: true };
+    previousSleep = moduleTested.sleep;
+    moduleTested.sleep = () => Promise.resolve(null);
+    process.env.SIGFOX_DEADLETTER_BUCKET = `${bucket}/deadletter`;
+    return listDeadLetters()
+      .then(names => Promise.all(names.map(name => moduleTested.deleteFile(req, bucket, name))));
+  });
+
+  afterEach(() => {
+    moduleTested.sleep = previousSleep;
+  });
+
+  it('should retry publishing until it succeeds', () => {
+    let calls = 0;
+    return moduleTested.retryPublish(req, 'unittest', () => {
+      calls += 1;
+      return calls < 3 ? Promise.reject(new Error('throttled')) : Promise.resolve('sent');
+    })
+      .then((result) => {
+        result.should.equal('sent');
+        calls.should.equal(3);
+      });
+  });
+
+  it('should fail after SIGFOX_PUBLISH_RETRIES retries', () => {
+    let calls = 0;
+    return moduleTested.retryPublish(req, 'unittest', () => {
+      calls += 1;
+      return Promise.reject(new Error(`failed ${calls}`));
+    })
+      .then(() => { throw new Error('should be rejected'); }, (error) => {
+        //  The first attempt and 3 retries.
+        error.message.should.equal('failed 4');
+        calls.should.equal(4);
+      });
+  });
+
+  it('should save the dead letter to S3', () => moduleTested.deadLetter(req, 'sigfox/devices/all', message, new Error('timeout'), 'publish')
+    .then((record) => {
+      record.function.should.equal('unittest');
+      record.reason.should.equal('publish');
+      record.topic.should.equal('sigfox.devices.all');
+      record.error.message.should.equal('timeout');
+      record.history.should.deep.equal(message.history);
+      return listDeadLetters()
+        .then(names => names.should.deep.equal([`${prefix}${record.id}.json`]))
+        .then(() => moduleTested.readFile(req, bucket, `${prefix}${record.id}.json`))
+        //  The error code is undefined, so it's not saved.
+        .then(saved => saved.should.deep.equal(JSON.parse(JSON.stringify(record))));
+    }));
+
+  it('should send the dead letter to sigfox/deadletter without SIGFOX_DEADLETTER_BUCKET', () => {
+    delete process.env.SIGFOX_DEADLETTER_BUCKET;
+    return moduleTested.deadLetter(req, 'sigfox.devices.all', message, new Error('timeout'), 'task')
+      .then((record) => {
+        const published = local.getPublished();
+        published.length.should.equal(1);
+        published[0].topic.should.equal('sigfox/deadletter/unittest');
+        published[0].event.should.deep.equal(JSON.parse(JSON.stringify(record)));
+      });
+  });
+
+  it('should keep messages that are not valid JSON when publishing fails', () => moduleTested.getQueue(req, null, 'sigfox.devices.1A2345')
+    .publisher().publish(Buffer.from('not json'))
+    .then((record) => {
+      record.reason.should.equal('publish');
+      record.message.should.equal('not json');
+    }));
+
+  //  The topics have no subscribers, so that no Lambda Functions are run.
+  it('should re-drive the dead letters and keep those that fail', () => Promise.all([
+    moduleTested.deadLetter(req, 'sigfox.devices.1A2345', message, new Error('timeout'), 'publish'),
+    moduleTested.deadLetter(req, 'sigfox.devices.2C30EB', Object.assign({}, message, { device: '2C30EB' }), new Error('timeout'), 'task'),
+    moduleTested.deadLetter(req, 'sigfox.devices.1A2345', 'not json', new Error('timeout'), 'publish'),
+  ])
+    .then(records => moduleTested.redriveDeadLetters(req)
+      .then((result) => {
+        result.should.deep.equal({ redriven: 2, failed: 1 });
+        local.getPublished().map(msg => msg.topic).sort().should.deep.equal(['sigfox/devices/1A2345', 'sigfox/devices/2C30EB']);
+        return listDeadLetters();
+      })
+      .then(names => names.should.deep.equal([`${prefix}${records[2].id}.json`]))));
+
+  it('should not re-drive without SIGFOX_DEADLETTER_BUCKET', () => {
+    delete process.env.SIGFOX_DEADLETTER_BUCKET;
+    return moduleTested.redriveDeadLetters(req)
+      .then(() => { throw new Error('should be rejected'); }, error => error.message.should.equal('SIGFOX_DEADLETTER_BUCKET is not set'));
+  });
+});
@@ -0,0 +1,85 @@
+//  Unit Test for the desired state, delta and delta handlers
+/* global describe:true, it:true, beforeEach:true */
+/* eslint-disable max-len, camelcase */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Keep the Thing Shadows in memory with the local emulator.
+process.env.SIGFOX_LOCAL = 'true';
+const chai = require('chai');
+
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+
+const moduleName = 'sigfox-aws delta'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+let req = {};
+let calls = [];
+
+//  Delta handlers can't be removed, so register one handler that records the calls.
+let handle = null;
+moduleTested.onDelta((req0, device, delta, body) => {
+  calls.push({ device, delta, body });
+  return handle ? handle(req0, device, delta, body) : null;
+});
+
+describe(moduleName, () => {
+  beforeEach(() => {
+    //  Erase the request object and the handler calls before every test.
+    req = { unittest: true };
+    calls = [];
+    handle = null;
+  });
+
+  it('should compute the delta like AWS IoT', () => {
+    moduleTested.computeDelta({ interval: '15m', led: 'red' }, { interval: '1h', led: 'red' }).should.deep.equal({ interval: '15m' });
+    moduleTested.computeDelta({ led: { colour: 'red', blink: true } }, { led: { colour: 'red', blink: false } }).should.deep.equal({ led: { blink: true } });
+    //  Arrays are compared as values.
+    should.not.exist(moduleTested.computeDelta({ list: [1, 2] }, { list: [1, 2] }));
+    moduleTested.computeDelta({ list: [1, 2] }, { list: [1] }).should.deep.equal({ list: [1, 2] });
+    //  Attributes not reported yet are in the delta.
+    moduleTested.computeDelta({ led: { colour: 'red' } }, null).should.deep.equal({ led: { colour: 'red' } });
+    moduleTested.computeDelta({ led: { colour: 'red' } }, { led: 'off' }).should.deep.equal({ led: { colour: 'red' } });
+    should.not.exist(moduleTested.computeDelta({}, { led: 'red' }));
+    should.not.exist(moduleTested.computeDelta(null, null));
+  });
+
+  it('should return the delta of the device without internal attributes', () => {
+    const device = '2B3456';
+    return moduleTested.setDesiredState(req, device, { reportingInterval: '15m', led: 'red' })
+      .then(() => moduleTested.setDownlink(req, device, '0123456789abcdef'))
+      .then(() => moduleTested.updateDeviceState(req, device, { led: 'red' }))
+      .then(() => moduleTested.getDeviceDelta(req, device))
+      .then(delta => delta.should.deep.equal({ reportingInterval: '15m' }));
+  });
+
+  it('should reject a desired state that is not an object', () => moduleTested.setDesiredState(req, '2B3456', 'red')
+    .then(() => { throw new Error('should be rejected'); }, error => error.message.should.match(/^Desired state must be an object/)));
+
+  it('should call the delta handlers until the device reports the desired state', () => {
+    const device = '3C4567';
+    const body = { device, seqNumber: 1 };
+    return moduleTested.setDesiredState(req, device, { reportingInterval: '15m' })
+      .then(() => moduleTested.runDeltaHandlers(req, device, body))
+      .then(() => {
+        calls.should.deep.equal([{ device, delta: { reportingInterval: '15m' }, body }]);
+        //  The handler reports the desired state.
+        handle = (req0, device0, delta) => moduleTested.updateDeviceState(req0, device0, delta);
+        return moduleTested.runDeltaHandlers(req, device, body);
+      })
+      .then(() => moduleTested.runDeltaHandlers(req, device, body))
+      .then(() => calls.length.should.equal(2));
+  });
+
+  it('should not stop the task if a delta handler fails', () => {
+    const device = '4D5678';
+    handle = () => { throw new Error('handler failed'); };
+    return moduleTested.setDesiredState(req, device, { led: 'red' })
+      .then(() => moduleTested.runDeltaHandlers(req, device, {}))
+      .then(() => calls.length.should.equal(1));
+  });
+
+  it('should skip devices without Thing Shadow', () => moduleTested.runDeltaHandlers(req, '5E6789', {})
+    .then(() => calls.length.should.equal(0)));
+
+  it('should reject delta handlers that are not functions', () => {
+    (() => moduleTested.onDelta('handler')).should.throw(/^Delta handler should be a function/);
+  });
+});
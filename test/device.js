@@ -0,0 +1,97 @@
+//  Unit Test for creating the AWS IoT Things with the Thing Type, attributes and Thing Groups of each device
+/* global describe:true, it:true, before:true */
+/* eslint-disable max-len, camelcase */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Run with the local emulator, so that no AWS credentials are needed.
+process.env.SIGFOX_LOCAL = 'true';
+const chai = require('chai');
+
+//  The device profile is configured when the module is loaded, so load a copy of the module for this test only.
+const config = {
+  SIGFOX_THING_TYPES: '5a1b2c3d4e5f6a7b8c9d0e1f:TemperatureSensor',
+  SIGFOX_THING_ATTRIBUTES: 'firmware, site',
+  SIGFOX_THING_GROUPS: 'sigfox-devices, site-{site}',
+};
+const previousConfig = {};
+for (const key of Object.keys(config)) {
+  previousConfig[key] = process.env[key];
+  process.env[key] = config[key];
+}
+const modulePath = require.resolve('../index');
+const previousModule = require.cache[modulePath];
+delete require.cache[modulePath];
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+const local = require('../local');
+
+if (previousModule) require.cache[modulePath] = previousModule;
+for (const key of Object.keys(config)) {
+  if (previousConfig[key] === undefined) delete process.env[key];
+  else process.env[key] = previousConfig[key];
+}
+
+const moduleName = 'sigfox-aws device'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+
+function message(body) {
+  //  Return the request for the Sigfox message.
+  return { unittest: true, body: Object.assign({ device: '1A2345', data: 'b0513801a421f0019405a500' }, body) };
+}
+
+describe(moduleName, () => {
+  before(() => {
+    //  Thing Types are created once per module, so clear the Things only before all tests.
+    local.reset();
+  });
+
+  it('should get the Thing Type, attributes and Thing Groups from the message', () => {
+    moduleTested.getDeviceProfile(message({ deviceTypeId: '5A1B2C3D4E5F6A7B8C9D0E1F', firmware: '1.2 beta', site: 'Jurong' }))
+      .should.deep.equal({
+        thingType: 'TemperatureSensor',
+        attributes: { firmware: '1.2_beta', site: 'Jurong' },
+        groups: ['sigfox-devices', 'site-Jurong'],
+      });
+  });
+
+  it('should skip the Thing Groups for missing fields and name other device types', () => {
+    moduleTested.getDeviceProfile(message({ deviceTypeId: 'abc123' }))
+      .should.deep.equal({ thingType: 'sigfox-abc123', attributes: {}, groups: ['sigfox-devices'] });
+  });
+
+  it('should let the options override the profile', () => {
+    moduleTested.getDeviceProfile(message({ site: 'Jurong' }), { thingType: 'Tracker/V2', attributes: { site: 'Changi' }, groups: ['sigfox-devices', 'trackers'] })
+      .should.deep.equal({
+        thingType: 'Tracker_V2',
+        attributes: { site: 'Changi' },
+        groups: ['sigfox-devices', 'site-Jurong', 'trackers'],
+      });
+  });
+
+  it('should create the Thing once and update it only when the profile changes', () => {
+    const req = message({ deviceTypeId: '5a1b2c3d4e5f6a7b8c9d0e1f', firmware: '1.2', site: 'Jurong' });
+    return moduleTested.createDevice(req, '1a2345')
+      .then(() => moduleTested.createDevice(req, '1A2345'))
+      .then(() => {
+        const thing = local.getThings()['1A2345'];
+        thing.version.should.equal(1);
+        thing.thingTypeName.should.equal('TemperatureSensor');
+        thing.attributes.should.deep.equal({ firmware: '1.2', site: 'Jurong' });
+        thing.groups.should.deep.equal(['sigfox-devices', 'site-Jurong']);
+      })
+      .then(() => moduleTested.createDevice(message({ firmware: '1.3' }), '1A2345'))
+      .then(() => {
+        const thing = local.getThings()['1A2345'];
+        thing.version.should.equal(2);
+        //  Attributes are merged, not removed.
+        thing.attributes.should.deep.equal({ firmware: '1.3', site: 'Jurong' });
+      });
+  });
+
+  it('should remove the device only from generated Thing Groups that no longer apply', () => {
+    const req = message({});
+    return moduleTested.createDevice(req, '2C30EB')
+      .then(() => moduleTested.updateDeviceGroups(req, '2C30EB', ['sigfox-devices', 'site-Jurong', 'trackers']))
+      .then(() => local.getThings()['2C30EB'].groups.should.deep.equal(['sigfox-devices', 'site-Jurong', 'trackers']))
+      .then(() => moduleTested.updateDeviceGroups(req, '2C30EB', ['sigfox-devices', 'site-Changi']))
+      .then(() => local.getThings()['2C30EB'].groups.should.deep.equal(['sigfox-devices', 'trackers', 'site-Changi']));
+  });
+});
@@ -0,0 +1,95 @@
+//  Unit Test for queueing downlink data and returning it to Sigfox in the callback response
+/* global describe:true, it:true, beforeEach:true */
+/* eslint-disable max-len, camelcase */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Keep the Thing Shadows in memory with the local emulator.
+process.env.SIGFOX_LOCAL = 'true';
+const chai = require('chai');
+
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+const local = require('../local');
+
+const moduleName = 'sigfox-aws downlink';
+const should = chai.should();
+let req = {};
+
+function callback(device, ack, seqNumber) {
+  //  Return the request for the Sigfox callback from the device.
+  return { unittest: true, body: { device, ack, seqNumber, data: 'b0513801a421f0019405a500' } };
+}
+
+describe(moduleName, () => {
+  beforeEach(() => {
+    //  Start every test with no Things.
+    local.reset();
+    req = { unittest: true };
+  });
+
+  it('should reject downlink data that is not 8 bytes in hex', () => moduleTested.setDownlink(req, '1A2345', '0123')
+    .then(() => { throw new Error('should be rejected'); }, error => error.message.should.match(/^Downlink data must be 8 bytes/)));
+
+  it('should return the downlink data for ack=true and remove it', () => {
+    const device = '1A2345';
+    return moduleTested.setDownlink(req, device, '0123456789ABCDEF')
+      .then(() => moduleTested.getDownlink(req, device))
+      .then(data => data.should.equal('0123456789abcdef'))
+      .then(() => moduleTested.getCallbackResponse(callback('1a2345', 'true', 0), { ok: true }, 200))
+      .then((response) => {
+        response.statusCode.should.equal(200);
+        response.json.should.deep.equal({ '1A2345': { downlinkData: '0123456789abcdef' } });
+        return moduleTested.getDeviceState(req, device);
+      })
+      .then((state) => {
+        should.not.exist(state.desired && state.desired.downlinkData);
+        state.reported.downlinkSent.data.should.equal('0123456789abcdef');
+        //  Sequence number 0 is recorded, not dropped.
+        state.reported.downlinkSent.seqNumber.should.equal(0);
+        return moduleTested.getDownlink(req, device);
+      })
+      .then(data => should.not.exist(data));
+  });
+
+  it('should return status 204 without a body for ack=true without downlink data', () => {
+    const device = '2B3456';
+    return moduleTested.updateDeviceState(req, device, { tmp: 30 })
+      .then(() => moduleTested.getCallbackResponse(callback(device, true, 1), { ok: true }, 200))
+      .then((response) => {
+        response.statusCode.should.equal(204);
+        should.not.exist(response.json);
+      });
+  });
+
+  it('should return status 204 for a device without a Thing Shadow', () => moduleTested.getCallbackResponse(callback('3C4567', true, 1), { ok: true }, 200)
+    .then((response) => {
+      response.statusCode.should.equal(204);
+      should.not.exist(response.json);
+    }));
+
+  it('should keep the downlink data for ack=false', () => {
+    const device = '4D5678';
+    return moduleTested.setDownlink(req, device, '0123456789abcdef')
+      .then(() => moduleTested.getCallbackResponse(callback(device, false, 1), { ok: true }, 200))
+      .then((response) => {
+        response.should.deep.equal({ json: { ok: true }, statusCode: 200 });
+        return moduleTested.getDownlink(req, device);
+      })
+      .then(data => data.should.equal('0123456789abcdef'));
+  });
+
+  it('should not remove new downlink data queued while sending', () => {
+    //  Queue new data while the callback response is sending and removing the old data.
+    const device = '5E6789';
+    return moduleTested.setDownlink(req, device, '0123456789abcdef')
+      .then(() => Promise.all([
+        moduleTested.getCallbackResponse(callback(device, true, 2), null, 200),
+        moduleTested.setDownlink(req, device, 'fedcba9876543210'),
+      ]))
+      .then(([response]) => moduleTested.getDownlink(req, device)
+        .then((data) => {
+          //  Either the new data was sent, or it's still queued.
+          const sent = response.json[device].downlinkData;
+          if (sent === 'fedcba9876543210') should.not.exist(data);
+          else data.should.equal('fedcba9876543210');
+        }));
+  });
+});
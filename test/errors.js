@@ -0,0 +1,109 @@
+//  Unit Test for grouping the errors and limiting the error notifications
+/* global describe:true, it:true, before:true, after:true, beforeEach:true */
+/* eslint-disable max-len, camelcase */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Keep the notifications in memory and the S3 files in SIGFOX_LOCAL_DIR with the local emulator.
+process.env.SIGFOX_LOCAL = 'true';
+const chai = require('chai');
+
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+const local = require('../local');
+
+const moduleName = 'sigfox-aws errors'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+const bucket = 'unittest-bucket';
+const req = { unittest: true };
+
+function newError(message) {
+  //  Return a new error created at the same location, so that the errors differ only by message.
+  return new Error(message);
+}
+
+function getNotifications() {
+  //  Return the error reports sent to sigfox/errors.
+  return local.getPublished().filter(msg => msg.topic === 'sigfox/errors').map(msg => msg.event);
+}
+
+function advanceClock(msec, func) {
+  //  Run func() with the clock moved forward by msec milliseconds.  Returns a promise.
+  const now = Date.now;
+  Date.now = () => now() + msec;
+  return Promise.resolve().then(func)
+    .then((result) => { Date.now = now; return result; },
+      (error) => { Date.now = now; throw error; });
+}
+
+describe(moduleName, () => {
+  let previousBucket = null;
+  before(() => {
+    previousBucket = process.env.SIGFOX_ERROR_BUCKET;
+    delete process.env.SIGFOX_ERROR_BUCKET;
+  });
+
+  after(() => {
+    if (previousBucket === undefined) delete process.env.SIGFOX_ERROR_BUCKET;
+    else process.env.SIGFOX_ERROR_BUCKET = previousBucket;
+  });
+
+  beforeEach(() => {
+    //  Start every test with no notifications.
+    local.reset();
+  });
+
+  it('should group errors that differ only by numbers and IDs', () => {
+    const fingerprint = moduleTested.getErrorFingerprint(newError('Device 1A2345 failed at 1508'), 'decodeMessage');
+    fingerprint.should.match(/^[0-9a-f]{12}$/);
+    moduleTested.getErrorFingerprint(newError('Device 2C30EB failed at 23'), 'decodeMessage').should.equal(fingerprint);
+    moduleTested.getErrorFingerprint(newError('Device 2C30EB timed out'), 'decodeMessage').should.not.equal(fingerprint);
+    moduleTested.getErrorFingerprint(newError('Device 1A2345 failed at 1508'), 'routeMessage').should.not.equal(fingerprint);
+    moduleTested.getErrorFingerprint(new Error('Device 1A2345 failed at 1508'), 'decodeMessage').should.not.equal(fingerprint);
+  });
+
+  it('should notify each error group at most once every SIGFOX_ERROR_INTERVAL', () => {
+    const error = newError('Group 1A2345 notified at 1508');
+    return moduleTested.reportError(req, error, 'unittest', { device: '1A2345', body: { seqNumber: 1508, data: 'b0513801a421f0019405a500' } })
+      .then((report) => {
+        report.count.should.equal(1);
+        report.device.should.equal('1A2345');
+        report.seqNumber.should.equal(1508);
+        getNotifications().should.deep.equal([report]);
+      })
+      //  The same error is reported once.
+      .then(() => moduleTested.reportError(req, error, 'unittest'))
+      .then(report => should.not.exist(report))
+      .then(() => moduleTested.reportError(req, newError('Group 2C30EB notified at 1509'), 'unittest'))
+      .then((report) => {
+        should.not.exist(report.count);
+        getNotifications().length.should.equal(1);
+      })
+      //  After 5 minutes, the next error is notified with the number of errors since the last notification.
+      .then(() => advanceClock(301 * 1000, () => moduleTested.reportError(req, newError('Group 3B4C5D notified at 1510'), 'unittest')))
+      .then((report) => {
+        report.count.should.equal(2);
+        getNotifications().length.should.equal(2);
+      });
+  });
+
+  it('should not report errors in reportError', () => moduleTested.reportError(req, newError('Not reported'), 'reportError')
+    .then(report => should.not.exist(report)));
+
+  it('should save every error to SIGFOX_ERROR_BUCKET before returning', () => {
+    process.env.SIGFOX_ERROR_BUCKET = `${bucket}/errors/`;
+    const errors = [newError('Saved 1A2345'), newError('Saved 2C30EB')];
+    //  Delete the S3 files saved by previous runs.
+    return moduleTested.listFiles(req, bucket, 'errors/')
+      .then(names => Promise.all(names.map(name => moduleTested.deleteFile(req, bucket, name))))
+      .then(() => {
+        errors.forEach(error => moduleTested.reportError(req, error, 'unittest'));
+        return moduleTested.flushErrors(req);
+      })
+      .then((reports) => {
+        delete process.env.SIGFOX_ERROR_BUCKET;
+        reports.length.should.equal(2);
+        reports[0].fingerprint.should.equal(reports[1].fingerprint);
+        return moduleTested.listFiles(req, bucket, `errors/${reports[0].fingerprint}/`)
+          .then(names => Promise.all(names.map(name => moduleTested.readFile(req, bucket, name))));
+      }, (error) => { delete process.env.SIGFOX_ERROR_BUCKET; throw error; })
+      .then(records => records.map(record => record.error).sort().should.deep.equal(['Saved 1A2345', 'Saved 2C30EB']));
+  });
+});
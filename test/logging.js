@@ -0,0 +1,108 @@
+//  Unit Test for writing the structured logs at each level
+/* global describe:true, it:true */
+/* eslint-disable max-len, camelcase, no-console */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Run with the local emulator, so that no AWS credentials are needed.
+process.env.SIGFOX_LOCAL = 'true';
+const chai = require('chai');
+
+function loadModule(config) {
+  //  The log level and debug sampling are configured when the module is loaded, so load a copy of the module.
+  const previousConfig = {};
+  for (const key of Object.keys(config)) {
+    previousConfig[key] = process.env[key];
+    process.env[key] = config[key];
+  }
+  const modulePath = require.resolve('../index');
+  const previousModule = require.cache[modulePath];
+  delete require.cache[modulePath];
+  const result = require('../index');  //  eslint-disable-line global-require
+  if (previousModule) require.cache[modulePath] = previousModule;
+  for (const key of Object.keys(config)) {
+    if (previousConfig[key] === undefined) delete process.env[key];
+    else process.env[key] = previousConfig[key];
+  }
+  return result;
+}
+
+const moduleTested = loadModule({ SIGFOX_LOG_LEVEL: 'debug', SIGFOX_LOG_DEBUG_SAMPLING: '1' });  //  Module to be tested, i.e. the parent module.
+const moduleWarn = loadModule({ SIGFOX_LOG_LEVEL: 'warn', SIGFOX_LOG_DEBUG_SAMPLING: '0' });
+
+const moduleName = 'sigfox-aws logging'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+
+function captureLogs(func) {
+  //  Call func() and return the lines written to console.log, parsed from JSON.
+  const lines = [];
+  const previousLog = console.log;
+  console.log = (line) => { lines.push(line); };
+  try {
+    func();
+  } finally {
+    console.log = previousLog;
+  }
+  return lines.map(line => JSON.parse(line));
+}
+
+describe(moduleName, () => {
+  it('should write the log record with the fields of the request', () => {
+    const req = { requestId: 'req-1', body: { device: '1a2345', seqNumber: 1508 }, traceContext: { traceId: '1-5a1b2c3d-0123456789abcdef01234567' } };
+    const logs = captureLogs(() => moduleTested.getLogger().info(req, 'decodeMessage', { data: 'b0513801a421f0019405a500' }));
+    logs.length.should.equal(1);
+    const record = logs[0];
+    record.timestamp.should.match(/^\d{4}-\d\d-\d\dT/);
+    delete record.timestamp;
+    record.should.deep.equal({
+      level: 'info',
+      function: 'unittest',
+      requestId: 'req-1',
+      traceId: '1-5a1b2c3d-0123456789abcdef01234567',
+      device: '1A2345',
+      seqNumber: 1508,
+      action: 'decodeMessage',
+      data: { data: 'b0513801a421f0019405a500' },
+    });
+  });
+
+  it('should skip the logs below SIGFOX_LOG_LEVEL', () => {
+    const logs = captureLogs(() => {
+      ['debug', 'info', 'warn', 'error'].forEach(level => moduleWarn.getLogger()[level]({}, level, {}));
+    });
+    logs.map(record => record.level).should.deep.equal(['warn', 'error']);
+  });
+
+  it('should write the debug logs only for the sampled requests', () => {
+    moduleTested.getLogContext({}).debug.should.equal(true);
+    moduleWarn.getLogContext({}).debug.should.equal(false);
+    const logs = captureLogs(() => {
+      moduleTested.writeLogRecord({ debug: false }, 'debug', 'skipped', {}).should.equal(false);
+      moduleTested.writeLogRecord({ debug: false }, 'info', 'written', {}).should.equal(true);
+      moduleTested.writeLogRecord({ debug: true }, 'debug', 'written', {}).should.equal(true);
+    });
+    logs.map(record => record.action).should.deep.equal(['written', 'written']);
+  });
+
+  it('should find the request of the log entries written by sigfox-iot-cloud', () => {
+    const req = { requestId: 'req-2', device: '2C30EB' };
+    const context = moduleTested.addLogContext(req, {});
+    const entry = moduleTested.getLogger().entry({ severity: 'DEBUG', operation: { id: `saveMessage_${req.traceid[0]}` } },
+      { '_>>_[ 2C30EB ]____saveMessage___________': { device: '2C30EB' } });
+    entry.context.should.equal(context);
+    entry.level.should.equal('info');
+    entry.action.should.equal('saveMessage');
+    should.not.exist(moduleTested.getLogger().entry({ severity: 'ERROR', operation: { id: 'saveMessage_unknown' } }, { error: {} }).context);
+  });
+
+  it('should replace circular references and keep repeated objects', () => {
+    const shared = { station: '1D44' };
+    const data = { first: shared, second: shared, error: new Error('failed') };
+    data.self = data;
+    const record = JSON.parse(moduleTested.stringifyCircular(data));
+    record.self.should.equal('[Circular]');
+    record.first.should.deep.equal(shared);
+    record.second.should.deep.equal(shared);
+    record.error.message.should.equal('failed');
+    const logs = captureLogs(() => moduleTested.writeLogRecord({}, 'error', 'circular', data));
+    logs[0].data.self.should.equal('[Circular]');
+  });
+});
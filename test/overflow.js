@@ -0,0 +1,156 @@
+//  Unit Test for saving the device state that is too deep or too large for the Thing Shadow into S3
+/* global describe:true, it:true, before:true, after:true, beforeEach:true */
+/* eslint-disable max-len, camelcase */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Keep the Thing Shadows in memory and the S3 files in SIGFOX_LOCAL_DIR with the local emulator.
+process.env.SIGFOX_LOCAL = 'true';
+const chai = require('chai');
+
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+const local = require('../local');
+
+const moduleName = 'sigfox-aws overflow'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+const bucket = 'unittest-bucket';
+let req = {};
+
+//  7 levels including "reported", which is too deep for the Thing Shadow.
+const deepValue = { l1: { l2: { l3: { l4: { l5: { l6: 1 } } } } } };
+
+function largeValue(kb) {
+  //  Return a string of the size in KB.
+  return 'x'.repeat(kb * 1024);
+}
+
+function listStateFiles(device) {
+  //  Return a promise for the S3 files saved for the device.
+  return moduleTested.listFiles(req, bucket, `state/${device}/`);
+}
+
+function getReported(device) {
+  //  Return the reported state in the Thing Shadow, without loading the attributes from S3.
+  return local.getShadows()[device].state.reported;
+}
+
+describe(moduleName, () => {
+  let previousBucket = null;
+  before(() => {
+    previousBucket = process.env.SIGFOX_STATE_BUCKET;
+    process.env.SIGFOX_STATE_BUCKET = `${bucket}/state/`;
+    //  Delete the S3 files saved by previous runs.
+    return moduleTested.listFiles(req, bucket, 'state/')
+      .then(files => Promise.all(files.map(name => moduleTested.deleteFile(req, bucket, name))));
+  });
+
+  after(() => {
+    if (previousBucket === undefined) delete process.env.SIGFOX_STATE_BUCKET;
+    else process.env.SIGFOX_STATE_BUCKET = previousBucket;
+  });
+
+  beforeEach(() => {
+    //  Start every test with no Thing Shadows.  The S3 files are not cleared, so each test uses a different device.
+    local.reset();
+    req = { unittest: true };
+  });
+
+  it('should save attributes that are too deep into S3', () => {
+    const device = 'A00001';
+    return moduleTested.updateDeviceState(req, device, { deep: deepValue, tmp: 28 })
+      .then(() => {
+        const reported = getReported(device);
+        should.not.exist(reported.deep);
+        reported.tmp.should.equal(28);
+        reported.overflow.deep.should.match(new RegExp(`^${bucket}/state/${device}/deep-[0-9a-f]{16}\\.json$`));
+        return moduleTested.getDeviceState(req, device);
+      })
+      .then((state) => {
+        state.reported.should.deep.equal({ deep: deepValue, tmp: 28 });
+        return listStateFiles(device);
+      })
+      .then(files => files.length.should.equal(1));
+  });
+
+  it('should save the largest attributes until the whole Thing Shadow fits', () => {
+    const device = 'A00002';
+    //  Each update fits, but not together with the attributes already in the Thing Shadow.
+    return moduleTested.updateDeviceState(req, device, { small: largeValue(1), medium: largeValue(4) })
+      .then(() => getReported(device).should.not.have.property('overflow'))
+      .then(() => moduleTested.updateDeviceState(req, device, { large: largeValue(3), tiny: 1 }))
+      .then(() => {
+        const reported = getReported(device);
+        Object.keys(reported.overflow).should.deep.equal(['large']);
+        reported.medium.length.should.equal(4 * 1024);
+        reported.tiny.should.equal(1);
+        return moduleTested.getDeviceState(req, device);
+      })
+      .then(state => state.reported.large.should.equal(largeValue(3)));
+  });
+
+  it('should merge updates into the saved attributes and replace their S3 objects', () => {
+    const device = 'A00003';
+    let location = null;
+    return moduleTested.updateDeviceState(req, device, { deep: deepValue })
+      .then(() => { location = getReported(device).overflow.deep; })
+      //  Null values delete the nested attributes.
+      .then(() => moduleTested.updateDeviceState(req, device, { deep: { l1: { l2: { l3: { l4: { l5: { l6: 2, l6b: { l7: 3 } } } } } }, extra: 1, more: null } }))
+      .then(() => moduleTested.updateDeviceState(req, device, { deep: { extra: null } }))
+      .then(() => {
+        getReported(device).overflow.deep.should.not.equal(location);
+        return moduleTested.getDeviceState(req, device);
+      })
+      .then((state) => {
+        state.reported.deep.should.deep.equal({ l1: { l2: { l3: { l4: { l5: { l6: 2, l6b: { l7: 3 } } } } } } });
+        return listStateFiles(device);
+      })
+      //  The replaced S3 objects were deleted.
+      .then(files => files.length.should.equal(1));
+  });
+
+  it('should move attributes that fit back into the Thing Shadow and delete attributes', () => {
+    const device = 'A00004';
+    return moduleTested.updateDeviceState(req, device, { deep: deepValue, large: largeValue(7) })
+      .then(() => Object.keys(getReported(device).overflow).sort().should.deep.equal(['deep', 'large']))
+      .then(() => moduleTested.updateDeviceState(req, device, { deep: 1, large: null }))
+      .then(() => {
+        const reported = getReported(device);
+        reported.deep.should.equal(1);
+        reported.should.not.have.property('large');
+        reported.overflow.should.deep.equal({});
+        return listStateFiles(device);
+      })
+      .then(files => files.length.should.equal(0));
+  });
+
+  it('should delete the new S3 objects if the update is rejected', () => {
+    const device = 'A00005';
+    let files0 = null;
+    return moduleTested.updateDeviceState(req, device, { deep: deepValue })
+      .then(() => listStateFiles(device))
+      .then((files) => { files0 = files; })
+      //  Update with an old version of the Thing Shadow.
+      .then(() => moduleTested.updateDeviceState(req, device, { deep: { l1: 2 }, large: largeValue(7) }, 0))
+      .then(() => { throw new Error('should be rejected'); }, (error) => {
+        error.code.should.equal('ConflictException');
+        return listStateFiles(device);
+      })
+      .then(files => files.should.deep.equal(files0))
+      .then(() => moduleTested.getDeviceState(req, device))
+      .then(state => state.reported.should.deep.equal({ deep: deepValue }));
+  });
+
+  it('should not read the Thing Shadow again in modifyDeviceState', () => {
+    const device = 'A00006';
+    const actions = [];
+    const previousLog = moduleTested.log;
+    moduleTested.log = (req0, action, para) => { actions.push(action); return previousLog(req0, action, para); };
+    return moduleTested.updateDeviceState(req, device, { deep: deepValue })
+      .then(() => { actions.length = 0; })
+      .then(() => moduleTested.modifyDeviceState(req, device, reported => ({ deep: { l1: { count: (reported.deep.l1.count || 0) + 1 } } })))
+      .then(() => {
+        moduleTested.log = previousLog;
+        actions.should.not.include('awsGetOverflow');
+        return moduleTested.getDeviceState(req, device);
+      }, (error) => { moduleTested.log = previousLog; throw error; })
+      .then(state => state.reported.deep.l1.count.should.equal(1));
+  });
+});
@@ -0,0 +1,99 @@
+//  Unit Test for choosing the route of each device from the Thing attributes and the routing table
+/* global describe:true, it:true, before:true, after:true */
+/* eslint-disable max-len, camelcase */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Run with the local emulator, so that no AWS credentials are needed.
+process.env.SIGFOX_LOCAL = 'true';
+const chai = require('chai');
+
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+const local = require('../local');
+
+const moduleName = 'sigfox-aws routing'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+const req = { unittest: true };
+
+//  Things are cached by device ID for 10 seconds, so each test uses different device IDs.
+const routeTable = {
+  rules: [
+    { device: 'A00001', route: 'fromDevice' },
+    { device: 'A00002', route: 'fromDevice' },
+    { pattern: '^A0', route: 'fromPattern' },
+    { thingType: 'RoutingTestSensor', route: 'fromThingType' },
+  ],
+  default: 'fromDefault',
+};
+
+function advanceClock(msec, func) {
+  //  Run func() with the clock moved forward by msec milliseconds.  Returns a promise.
+  const now = Date.now;
+  Date.now = () => now() + msec;
+  return Promise.resolve().then(func)
+    .then((result) => { Date.now = now; return result; },
+      (error) => { Date.now = now; throw error; });
+}
+
+describe(moduleName, () => {
+  let previousRouteTable = null;
+  let previousRoute = null;
+  before(() => {
+    local.reset();
+    previousRouteTable = process.env.SIGFOX_ROUTE_TABLE;
+    previousRoute = process.env.SIGFOX_ROUTE;
+    process.env.SIGFOX_ROUTE_TABLE = 'unittest-bucket/routes.json';
+    process.env.SIGFOX_ROUTE = 'fromEnvironment';
+    return moduleTested.writeFile(req, 'unittest-bucket', 'routes.json', routeTable);
+  });
+
+  after(() => {
+    for (const [key, value] of [['SIGFOX_ROUTE_TABLE', previousRouteTable], ['SIGFOX_ROUTE', previousRoute]]) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it('should compile the device ID patterns and skip invalid patterns', () => {
+    const errors = [];
+    const previousError = moduleTested.error;
+    moduleTested.error = (req0, action, para) => { errors.push({ action, para }); };
+    const table = moduleTested.compileRouteTable(req, { rules: [{ pattern: '(' }, { pattern: '^2c' }, { device: '1A2345' }], default: 'x' });
+    moduleTested.error = previousError;
+    table.rules.length.should.equal(2);
+    table.rules[0].regexp.test('2C30EB').should.equal(true);
+    should.not.exist(table.rules[1].regexp);
+    table.default.should.equal('x');
+    errors.length.should.equal(1);
+    errors[0].action.should.equal('compileRouteTable');
+    errors[0].para.rule.pattern.should.equal('(');
+  });
+
+  it('should use the route attribute of the Thing first', () => moduleTested.createDevice(req, 'A00001', { attributes: { route: 'decodeStructuredMessage,sendToUbidots' } })
+    .then(() => moduleTested.getDeviceRoute(req, 'A00001'))
+    .then(route => route.should.deep.equal(['decodeStructuredMessage', 'sendToUbidots'])));
+
+  it('should use the first rule that matches the device ID, pattern or Thing Type', () => moduleTested.createDevice(req, 'B00004', { thingType: 'RoutingTestSensor' })
+    .then(() => Promise.all([
+      moduleTested.getDeviceRoute(req, 'a00002'),
+      moduleTested.getDeviceRoute(req, 'A00003'),
+      moduleTested.getDeviceRoute(req, 'B00004'),
+    ]))
+    .then(routes => routes.should.deep.equal([['fromDevice'], ['fromPattern'], ['fromThingType']])));
+
+  it('should use the default route of the routing table', () => moduleTested.getDeviceRoute(req, 'B00005')
+    .then(route => route.should.deep.equal(['fromDefault'])));
+
+  it('should reload the routing table and Things after they expire', () => moduleTested.writeFile(req, 'unittest-bucket', 'routes.json', { rules: [{ device: 'B00005', route: 'changed' }] })
+    //  The cached table is still used.
+    .then(() => moduleTested.getDeviceRoute(req, 'B00006'))
+    .then(route => route.should.deep.equal(['fromDefault']))
+    .then(() => moduleTested.createDevice(req, 'B00006', { attributes: { route: 'fromThing' } }))
+    //  Other requests reuse the expired table while it is reloaded, so reload it first.
+    .then(() => advanceClock(11 * 1000, () => moduleTested.getDeviceRoute(req, 'B00005')
+      .then(route => Promise.all([
+        route,
+        moduleTested.getDeviceRoute(req, 'B00006'),
+        //  Without a default route in the table, use SIGFOX_ROUTE.
+        moduleTested.getDeviceRoute(req, 'B00007'),
+      ]))))
+    .then(routes => routes.should.deep.equal([['changed'], ['fromThing'], ['fromEnvironment']])));
+});
@@ -0,0 +1,91 @@
+//  Unit Test for deciding which Sigfox messages to trace with AWS X-Ray
+/* global describe:true, it:true, before:true, after:true */
+/* eslint-disable max-len, camelcase */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Keep the Things in memory with the local emulator.
+process.env.SIGFOX_LOCAL = 'true';
+const chai = require('chai');
+
+const local = require('../local');
+
+const moduleName = 'sigfox-aws sampling'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+const req = { unittest: true };
+
+function loadModule() {
+  //  The sampling rules in SIGFOX_TRACE_SAMPLING are parsed once per module, so load a copy of the module.
+  const modulePath = require.resolve('../index');
+  const previousModule = require.cache[modulePath];
+  delete require.cache[modulePath];
+  const result = require('../index');  //  eslint-disable-line global-require
+  if (previousModule) require.cache[modulePath] = previousModule;
+  return result;
+}
+
+const moduleTested = loadModule();  //  Module to be tested, i.e. the parent module.
+
+function withClock(now, func) {
+  //  Run func() with the clock fixed at now milliseconds.  Returns the result.
+  const previousNow = Date.now;
+  Date.now = () => now;
+  try {
+    return func();
+  } finally {
+    Date.now = previousNow;
+  }
+}
+
+describe(moduleName, () => {
+  let previousSampling = null;
+  before(() => {
+    local.reset();
+    previousSampling = process.env.SIGFOX_TRACE_SAMPLING;
+    process.env.SIGFOX_TRACE_SAMPLING = JSON.stringify({ fixed_target: 0, rate: 0, devices: { A00001: true, A00002: false, A00003: true } });
+  });
+
+  after(() => {
+    if (previousSampling === undefined) delete process.env.SIGFOX_TRACE_SAMPLING;
+    else process.env.SIGFOX_TRACE_SAMPLING = previousSampling;
+  });
+
+  it('should trace the first fixed_target messages in each second', () => {
+    const rules = { fixed_target: 2, rate: 0 };
+    const second = 1500000000000;
+    withClock(second, () => [1, 2, 3].map(() => moduleTested.applySamplingRules(rules)))
+      .should.deep.equal([true, true, false]);
+    withClock(second + 1000, () => moduleTested.applySamplingRules(rules)).should.equal(true);
+  });
+
+  it('should trace the fraction rate of the other messages', () => {
+    const second = 1600000000000;
+    withClock(second, () => [
+      moduleTested.applySamplingRules({ fixed_target: 0, rate: 1 }),
+      moduleTested.applySamplingRules({ fixed_target: 0, rate: 0 }),
+      moduleTested.applySamplingRules({}),
+    ]).should.deep.equal([true, false, false]);
+  });
+
+  it('should merge the sampling rules with the defaults', () => moduleTested.getSamplingRules(req)
+    .then(rules => rules.should.deep.equal({ fixed_target: 0, rate: 0, devices: { A00001: true, A00002: false, A00003: true } })));
+
+  it('should decide by the Thing attribute, then the devices, then the rules', () => Promise.all([
+    moduleTested.createDevice(req, 'A00002', { attributes: { trace: 'always' } }),
+    moduleTested.createDevice(req, 'A00003', { attributes: { trace: 'Never' } }),
+  ])
+    .then(() => Promise.all(['A00001', 'A00002', 'A00003', 'A00004'].map(device => moduleTested.isDeviceSampled(req, device))))
+    .then(sampled => sampled.should.deep.equal([true, true, false, false])));
+
+  it('should report invalid sampling rules and use the defaults', () => {
+    process.env.SIGFOX_TRACE_SAMPLING = '{ "rate": 0.5, }';
+    const moduleInvalid = loadModule();
+    const errors = [];
+    moduleInvalid.error = (req0, action, para) => { errors.push({ action, para }); };
+    return moduleInvalid.getSamplingRules(req)
+      .then((rules) => {
+        rules.should.deep.equal({ fixed_target: 100, rate: 0.90 });
+        errors.length.should.equal(1);
+        errors[0].action.should.equal('getSamplingRules');
+        errors[0].para.error.message.should.equal('SIGFOX_TRACE_SAMPLING is not valid JSON');
+      });
+  });
+});
@@ -0,0 +1,69 @@
+//  Unit Test for detecting duplicate, lost and reset Sigfox sequence numbers
+/* global describe:true, it:true */
+/* eslint-disable max-len, camelcase */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Run with the local emulator, so that no AWS credentials are needed.
+process.env.SIGFOX_LOCAL = 'true';
+const chai = require('chai');
+
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+
+const moduleName = 'sigfox-aws sequence'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+
+function receive(state0, seqNumbers) {
+  //  Return the state and results after receiving the sequence numbers in order.
+  let state = state0;
+  const results = seqNumbers.map((seqNumber) => {
+    const result = moduleTested.updateSequence(state, seqNumber);
+    state = result.state;
+    return result;
+  });
+  return { state, results };
+}
+
+describe(moduleName, () => {
+  it('should count lost frames', () => {
+    const { state, results } = receive(null, [1500, 1501, 1504]);
+    results.map(res => res.lost).should.deep.equal([0, 0, 2]);
+    state.last.should.equal(1504);
+    state.lost.should.equal(2);
+    state.seen.should.deep.equal([1500, 1501, 1504]);
+  });
+
+  it('should wrap around after 4095', () => {
+    const { state, results } = receive(null, [4094, 4095, 0, 2]);
+    results.map(res => res.lost).should.deep.equal([0, 0, 0, 1]);
+    results.filter(res => res.reset).length.should.equal(0);
+    state.last.should.equal(2);
+  });
+
+  it('should detect duplicates', () => {
+    const { state, results } = receive(null, [1500, 1501, 1500]);
+    results.map(res => res.duplicate).should.deep.equal([false, false, true]);
+    state.duplicates.should.equal(1);
+    state.last.should.equal(1501);
+    //  Sigfox flags the copies received by other base stations as duplicate.
+    const flagged = moduleTested.updateSequence(state, 1502, true);
+    flagged.duplicate.should.equal(true);
+    flagged.state.last.should.equal(1501);
+  });
+
+  it('should accept late frames previously counted as lost', () => {
+    const { state, results } = receive(null, [1500, 1503, 1501]);
+    results[1].lost.should.equal(2);
+    results[2].duplicate.should.equal(false);
+    results[2].reset.should.equal(false);
+    state.lost.should.equal(1);
+    state.last.should.equal(1503);
+  });
+
+  it('should detect a reset of the sequence numbers', () => {
+    const { state, results } = receive(null, [1500, 1501, 0, 1]);
+    results[2].reset.should.equal(true);
+    results[2].lost.should.equal(0);
+    results[3].lost.should.equal(0);
+    state.resets.should.equal(1);
+    state.seen.should.deep.equal([0, 1]);
+  });
+});
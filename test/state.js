@@ -0,0 +1,91 @@
+//  Unit Test for updating the device state atomically when other Lambda Functions update it at the same time
+/* global describe:true, it:true, beforeEach:true, afterEach:true */
+/* eslint-disable max-len, camelcase */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Keep the Thing Shadows in memory with the local emulator.
+process.env.SIGFOX_LOCAL = 'true';
+const chai = require('chai');
+
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+const local = require('../local');
+
+const moduleName = 'sigfox-aws atomic state'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+const device = '1A2345';
+let req = {};
+
+describe(moduleName, () => {
+  let previousSleep = null;
+  beforeEach(() => {
+    //  Start every test with no Thing Shadows, and retry without waiting.
+    local.reset();
+    req = { unittest: true };
+    previousSleep = moduleTested.sleep;
+    moduleTested.sleep = () => Promise.resolve(null);
+  });
+
+  afterEach(() => {
+    moduleTested.sleep = previousSleep;
+  });
+
+  it('should read the state again and retry after a version conflict', () => {
+    const calls = [];
+    return moduleTested.updateDeviceState(req, device, { counter: 1 })
+      .then(() => moduleTested.modifyDeviceState(req, device, (reported) => {
+        calls.push(reported.counter);
+        //  Update the Thing Shadow in between the first read and update, so the first update conflicts.
+        if (calls.length > 1) return { counter: reported.counter + 1 };
+        return moduleTested.updateDeviceState(req, device, { counter: 10 })
+          .then(() => ({ counter: reported.counter + 1 }));
+      }))
+      .then((result) => {
+        result.should.deep.equal({ counter: 11 });
+        calls.should.deep.equal([1, 10]);
+        return moduleTested.getDeviceState(req, device);
+      })
+      .then(state => state.reported.counter.should.equal(11));
+  });
+
+  it('should fail after too many version conflicts', () => {
+    let calls = 0;
+    return moduleTested.updateDeviceState(req, device, { counter: 1 })
+      .then(() => moduleTested.modifyDeviceState(req, device, (reported) => {
+        calls += 1;
+        return moduleTested.updateDeviceState(req, device, { counter: reported.counter + 1 })
+          .then(() => ({ counter: 0 }));
+      }))
+      .then(() => { throw new Error('should be rejected'); }, (error) => {
+        error.code.should.equal('ConflictException');
+        //  The first attempt and 5 retries.
+        calls.should.equal(6);
+      });
+  });
+
+  it('should skip the update if modify returns null', () => moduleTested.updateDeviceState(req, device, { counter: 1 })
+    .then(() => moduleTested.modifyDeviceState(req, device, () => null))
+    .then((result) => {
+      should.not.exist(result);
+      local.getShadows()[device].version.should.equal(1);
+    }));
+
+  it('should append values to a list without losing concurrent values', () => Promise.all([
+    moduleTested.appendDeviceState(req, device, 'linkQuality.history', [1, 2]),
+    moduleTested.appendDeviceState(req, device, 'linkQuality.history', 3),
+  ])
+    .then(() => moduleTested.getDeviceState(req, device))
+    .then((state) => {
+      //  Both concurrent appends were kept, in either order.
+      const list = state.reported.linkQuality.history;
+      list.slice().sort().should.deep.equal([1, 2, 3]);
+      return moduleTested.appendDeviceState(req, device, 'linkQuality.history', 4, 3)
+        .then(result => result.should.deep.equal(list.slice(-2).concat([4])));
+    }));
+
+  it('should increment counters without losing concurrent increments', () => Promise.all([
+    moduleTested.incrementDeviceState(req, device, 'linkQuality.stations.1D44'),
+    moduleTested.incrementDeviceState(req, device, 'linkQuality.stations.1D44', 2),
+    moduleTested.incrementDeviceState(req, device, 'linkQuality.stations.2A1B', 0.5),
+  ])
+    .then(() => moduleTested.getDeviceState(req, device))
+    .then(state => state.reported.linkQuality.stations.should.deep.equal({ '1D44': 3, '2A1B': 0.5 })));
+});
@@ -0,0 +1,194 @@
+//  Unit Test for the AWS X-Ray trace context of each invocation and the subsegments of the spans and AWS SDK calls
+/* global describe:true, it:true, beforeEach:true */
+/* eslint-disable max-len, camelcase */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Keep the AWS X-Ray segments in memory with the local emulator.
+process.env.SIGFOX_LOCAL = 'true';
+const chai = require('chai');
+
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+const local = require('../local');
+
+const moduleName = 'sigfox-aws trace'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+let req = {};
+
+function newRequest() {
+  //  Return a request with a trace context, whose child segment is the Lambda segment.
+  const request = { unittest: true };
+  const trace = moduleTested.getTraceContext(request);
+  trace.traceId = '1-5a1b2c3d-0123456789abcdef01234567';
+  trace.childSegmentId = moduleTested.newTraceSegmentId();
+  trace.childSegment = { id: trace.childSegmentId, trace_id: trace.traceId };
+  return request;
+}
+
+function newEvent(device, traceId) {
+  //  Return the event passed by the previous Lambda Function, with its trace segment.
+  const traceSegment = {
+    name: `${device}_@_routeMessage`,
+    id: moduleTested.newTraceSegmentId(),
+    trace_id: traceId,
+    start_time: Date.now() / 1000.0,
+    in_progress: true,
+    annotations: { device },
+    http: { request: { method: 'RUN', url: '', client_ip: '0.0.0.0' }, response: { content_length: -1, status: 0 } },
+  };
+  return { device, body: { device, data: 'b0513801a421f0019405a500' }, traceSegment };
+}
+
+function newClient(calls) {
+  //  Return a fake AWS SDK client.  getObject() fails for the key "missing".
+  const request = (params, func) => ({ promise: () => { calls.push(params); return Promise.resolve().then(func); } });
+  return {
+    getObject: params => request(params, () => {
+      if (params.Key !== 'missing') return { Body: '{}' };
+      const error = new Error('The specified key does not exist.');
+      error.code = 'NoSuchKey';
+      throw error;
+    }),
+    getBucketAcl: params => request(params, () => ({})),
+  };
+}
+
+describe(moduleName, () => {
+  beforeEach(() => {
+    //  Start every test with no segments.
+    local.reset();
+    req = newRequest();
+  });
+
+  it('should trace the whitelisted AWS SDK calls as subsegments', () => {
+    const calls = [];
+    const client = moduleTested.traceAWSClient('S3', newClient(calls));
+    const trace = req.traceContext;
+    return client.getObject({ Bucket: 'unittest-bucket', Key: 'data.json' }).promise(req)
+      .then((res) => {
+        res.should.deep.equal({ Body: '{}' });
+        calls.length.should.equal(1);
+        trace.openSpans.length.should.equal(0);
+        trace.endedSpans.length.should.equal(1);
+        const subsegment = trace.endedSpans[0];
+        subsegment.name.should.equal('S3');
+        subsegment.namespace.should.equal('aws');
+        subsegment.aws.should.deep.equal({ operation: 'getObject', bucket_name: 'unittest-bucket', key: 'data.json' });
+        subsegment.trace_id.should.equal(trace.traceId);
+        subsegment.parent_id.should.equal(trace.childSegmentId);
+        subsegment.end_time.should.be.at.least(subsegment.start_time);
+        should.not.exist(subsegment.fault);
+      });
+  });
+
+  it('should record failed AWS SDK calls as faults', () => {
+    const client = moduleTested.traceAWSClient('S3', newClient([]));
+    return client.getObject({ Bucket: 'unittest-bucket', Key: 'missing' }).promise(req)
+      .then(() => { throw new Error('should be rejected'); }, (error) => {
+        error.code.should.equal('NoSuchKey');
+        const subsegment = req.traceContext.endedSpans[0];
+        subsegment.fault.should.equal(true);
+        subsegment.cause.exceptions.should.deep.equal([{ message: 'The specified key does not exist.', type: 'NoSuchKey' }]);
+      });
+  });
+
+  it('should not trace other operations or calls without a traced request', () => {
+    const calls = [];
+    const client = moduleTested.traceAWSClient('S3', newClient(calls));
+    return client.getBucketAcl({ Bucket: 'unittest-bucket' }).promise(req)
+      .then(() => client.getObject({ Bucket: 'unittest-bucket', Key: 'data.json' }).promise())
+      .then(() => client.getObject({ Bucket: 'unittest-bucket', Key: 'data.json' }).promise({ unittest: true }))
+      .then(() => {
+        calls.length.should.equal(3);
+        req.traceContext.endedSpans.length.should.equal(0);
+      });
+  });
+
+  it('should start nested spans and end each span once', () => {
+    const trace = req.traceContext;
+    const span = moduleTested.startSpan(trace, trace.childSegment, 'task <decode>', { device: '1A2345', seqNumber: 1508, empty: null });
+    const child = span.startSpan('child');
+    span.subsegment.name.should.equal('task _decode_');
+    span.subsegment.annotations.should.deep.equal({ device: '1A2345', seqNumber: 1508 });
+    child.subsegment.parent_id.should.equal(span.subsegment.id);
+    child.subsegment.trace_id.should.equal(trace.traceId);
+    trace.openSpans.length.should.equal(2);
+    child.end(new Error('failed'));
+    child.end();
+    trace.endedSpans.length.should.equal(1);
+    trace.endedSpans[0].fault.should.equal(true);
+    span.end();
+    trace.endedSpans.length.should.equal(2);
+    trace.openSpans.length.should.equal(0);
+  });
+
+  it('should return the stub span without a parent', () => {
+    const trace = req.traceContext;
+    const span = moduleTested.startSpan(trace, null, 'task');
+    should.not.exist(span.subsegment);
+    span.startSpan('child').end();
+    span.end();
+    trace.openSpans.length.should.equal(0);
+    trace.endedSpans.length.should.equal(0);
+  });
+
+  it('should end the open spans and send the subsegments', () => {
+    const trace = req.traceContext;
+    const span = moduleTested.startSpan(trace, trace.childSegment, 'task');
+    const child = span.startSpan('child');
+    return moduleTested.endSpans(trace)
+      .then(() => {
+        trace.openSpans.length.should.equal(0);
+        trace.endedSpans.length.should.equal(0);
+        local.getSegments().map(segment => segment.id).sort()
+          .should.deep.equal([span.subsegment.id, child.subsegment.id].sort());
+        local.getSegments().forEach(segment => segment.should.have.property('end_time'));
+      });
+  });
+
+  it('should keep the subsegments until the message is sampled', () => {
+    const trace = req.traceContext;
+    trace.sampled = null;
+    moduleTested.startSpan(trace, trace.childSegment, 'task');
+    return moduleTested.endSpans(trace)
+      .then(() => {
+        trace.endedSpans.length.should.equal(1);
+        local.getSegments().length.should.equal(0);
+      });
+  });
+
+  it('should create unique segment IDs', () => {
+    const ids = {};
+    for (let i = 0; i < 1000; i += 1) ids[moduleTested.newTraceSegmentId()] = true;
+    Object.keys(ids).length.should.equal(1000);
+    Object.keys(ids).forEach(id => id.should.match(/^[0-9a-f]{16}$/));
+  });
+
+  it('should keep a separate trace context for each invocation', () => {
+    const events = [newEvent('1A2345', '1-5a1b2c3d-aaaaaaaaaaaaaaaaaaaaaaaa'), newEvent('2C30EB', '1-5a1b2c3d-bbbbbbbbbbbbbbbbbbbbbbbb')];
+    const reqs = events.map((event) => {
+      const request = { unittest: true };
+      request.traceContext = moduleTested.initTrace(event, {});
+      return request;
+    });
+    //  Start the tasks of both invocations before ending them, like concurrent invocations.
+    const spans = reqs.map(request => moduleTested.createRootTrace(request, null, null).startSpan('task'));
+    spans.forEach(span => span.end());
+    reqs.forEach((request, i) => {
+      const trace = request.traceContext;
+      trace.traceId.should.equal(events[i].traceSegment.trace_id);
+      trace.parentSegmentId.should.equal(events[i].traceSegment.id);
+      trace.childSegment.parent_id.should.equal(events[i].traceSegment.id);
+      trace.endedSpans.should.deep.equal([spans[i].subsegment]);
+      spans[i].subsegment.trace_id.should.equal(trace.traceId);
+      spans[i].subsegment.parent_id.should.equal(trace.childSegmentId);
+    });
+    reqs[0].traceContext.childSegmentId.should.not.equal(reqs[1].traceContext.childSegmentId);
+  });
+
+  it('should not trace invocations that were not sampled', () => {
+    const event = Object.assign(newEvent('1A2345', '1-5a1b2c3d-aaaaaaaaaaaaaaaaaaaaaaaa'), { traceSampled: false });
+    const trace = moduleTested.initTrace(event, { autoinstallStart: Date.now() });
+    trace.sampled.should.equal(false);
+    should.not.exist(trace.parentSegment);
+    local.getSegments().length.should.equal(0);
+  });
+});
@@ -0,0 +1,77 @@
+//  Unit Test for choosing the transport of each topic and unwrapping the messages delivered by SNS
+/* global describe:true, it:true, before:true, after:true */
+/* eslint-disable max-len, camelcase */
+process.env.AWS_LAMBDA_FUNCTION_NAME = 'unittest';
+//  Run with the local emulator, so that no AWS credentials are needed.
+process.env.SIGFOX_LOCAL = 'true';
+const chai = require('chai');
+
+//  The transports are parsed once per module, so load a copy of the module for this test only.
+const modulePath = require.resolve('../index');
+const previousModule = require.cache[modulePath];
+delete require.cache[modulePath];
+const moduleTested = require('../index');  //  Module to be tested, i.e. the parent module.
+
+if (previousModule) require.cache[modulePath] = previousModule;
+
+const moduleName = 'sigfox-aws transport'; // eslint-disable-next-line no-unused-vars
+const should = chai.should();
+const req = { unittest: true };
+const errors = [];
+
+describe(moduleName, () => {
+  let previousTransport = null;
+  let previousError = null;
+  before(() => {
+    previousTransport = process.env.SIGFOX_TRANSPORT;
+    process.env.SIGFOX_TRANSPORT = 'sigfox/devices/all:sqs, sigfox.types.sendToDatabase:SNS, sigfox.types.bad:kafka, *:sqs';
+    //  Capture the errors for unknown transports.
+    previousError = moduleTested.error;
+    moduleTested.error = (req0, action, para) => { errors.push({ action, para }); };
+    //  Parse SIGFOX_TRANSPORT now.
+    moduleTested.getTransport(req, 'sigfox.devices.all');
+  });
+
+  after(() => {
+    moduleTested.error = previousError;
+    if (previousTransport === undefined) delete process.env.SIGFOX_TRANSPORT;
+    else process.env.SIGFOX_TRANSPORT = previousTransport;
+  });
+
+  it('should accept topic names with "/" or "."', () => {
+    moduleTested.getTransport(req, 'sigfox.devices.all').should.equal('sqs');
+    moduleTested.getTransport(req, 'sigfox/devices/all').should.equal('sqs');
+  });
+
+  it('should ignore the case of the transport', () => {
+    moduleTested.getTransport(req, 'sigfox.types.sendToDatabase').should.equal('sns');
+  });
+
+  it('should use the "*" transport for other topics', () => {
+    moduleTested.getTransport(req, 'sigfox.types.routeMessage').should.equal('sqs');
+    moduleTested.getTransport(req, null).should.equal('sqs');
+  });
+
+  it('should report unknown transports and use the default', () => {
+    errors.length.should.equal(1);
+    errors[0].action.should.equal('getTransport');
+    errors[0].para.error.message.should.equal('Unknown transport "kafka" for sigfox.types.bad');
+    moduleTested.getTransport(req, 'sigfox.types.bad').should.equal('sqs');
+  });
+
+  it('should return the message inside an SNS record', () => {
+    const message = { device: '1A2345', data: 'b0513801a421f0019405a500' };
+    const event = { Records: [{ EventSource: 'aws:sns', Sns: { MessageId: '1', Message: JSON.stringify(message) } }] };
+    moduleTested.unwrapEvent(event).should.deep.equal(message);
+  });
+
+  it('should return other events unchanged', () => {
+    const message = { device: '1A2345', data: 'b0513801a421f0019405a500' };
+    moduleTested.unwrapEvent(message).should.equal(message);
+    const event = { Records: [{ eventSource: 'aws:sqs', body: JSON.stringify(message) }] };
+    moduleTested.unwrapEvent(event).should.equal(event);
+    const empty = { Records: [] };
+    moduleTested.unwrapEvent(empty).should.equal(empty);
+    should.not.exist(moduleTested.unwrapEvent(null));
+  });
+});